@@ -5,13 +5,15 @@ import { Readable } from 'stream';
 
 
 class S3Client {
-    constructor(region, accessKeyId, secretAccessKey) {
+    // endpoint/forcePathStyle allow S3-compatible stores such as MinIO
+    constructor(region, accessKeyId, secretAccessKey, { endpoint, forcePathStyle = false } = {}) {
         this.s3 = new AWSS3Client({
             credentials: {
                 accessKeyId,
                 secretAccessKey,
             },
             region,
+            ...(endpoint ? { endpoint, forcePathStyle } : {}),
         });
         this.region = region;
     }
@@ -0,0 +1,212 @@
+// Briefs directory mode (`--briefs <dir>` on run, validate and plan): every
+// *.yaml or *.yml file directly in the directory is a campaign brief, except
+// files whose name starts with "_", which like files in subdirectories are
+// shared defaults for briefs to `extends:` (see campaign-schema.js).
+// A combined run processes the campaigns one after another, each through
+// runCampaign with its own job ledger; campaigns the filters select no output
+// from are skipped. Outputs, masks and cached intermediates are stored under
+// <S3_KEY_PREFIX>/<campaign id>/ and results files are written to
+// <output dir>/<campaign id>/, so campaigns never share a prefix. The
+// consolidated summary across campaigns is written to
+// <output dir>/batch-<timestamp>.json.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { BriefValidationError, locateIssues } from './campaign-schema.js';
+import { createJobFilter, validateJobFilter, describeJobFilter } from './job-filter.js';
+import { runCampaign, listExpectedOutputs, resultsTimestamp } from './pipeline.js';
+import logger from './logger.js';
+
+const BRIEF_EXTENSIONS = ['.yaml', '.yml'];
+
+function listCampaignBriefs(briefsDir) {
+  return fs.readdirSync(briefsDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('_') && BRIEF_EXTENSIONS.includes(path.extname(entry.name)))
+    .map(entry => path.join(briefsDir, entry.name))
+    .sort();
+}
+
+// Load every campaign brief of the directory with `load` (loadBrief, or a
+// stricter check), reporting the problems of all briefs at once and campaign
+// ids used by more than one brief, since the id is the campaign's S3 prefix
+function loadCampaignBriefs(briefsDir, load) {
+  const briefPaths = listCampaignBriefs(briefsDir);
+  if (briefPaths.length === 0) {
+    throw new Error(`No campaign briefs (${BRIEF_EXTENSIONS.join(', ')}) in ${briefsDir}`);
+  }
+
+  const campaigns = [];
+  const errors = [];
+  // A problem in a shared defaults file is reported once, not per brief
+  const reported = new Set();
+  for (const briefPath of briefPaths) {
+    try {
+      campaigns.push({ briefPath, brief: load(briefPath) });
+    } catch (error) {
+      if (!(error instanceof BriefValidationError)) throw error;
+      for (const issue of error.errors) {
+        const key = [issue.file, issue.line, issue.col, issue.message].join('|');
+        if (reported.has(key)) continue;
+        reported.add(key);
+        errors.push(issue);
+      }
+    }
+  }
+
+  const firstById = new Map();
+  for (const { briefPath, brief } of campaigns) {
+    const first = firstById.get(brief.id);
+    if (!first) {
+      firstById.set(brief.id, briefPath);
+      continue;
+    }
+    const filename = path.relative(process.cwd(), briefPath) || briefPath;
+    errors.push(...locateIssues(briefPath, [{
+      file: filename,
+      path: 'campaign.id',
+      message: `duplicate campaign id "${brief.id}" (also used by ${path.relative(process.cwd(), first) || first})`
+    }]));
+  }
+
+  if (errors.length > 0) {
+    throw new BriefValidationError(briefsDir, errors);
+  }
+  return campaigns;
+}
+
+// Filters apply to every campaign; a value only has to exist in one of them
+function validateBatchFilter(filter, campaigns) {
+  const briefs = campaigns.map(({ brief }) => brief);
+  const categories = [...new Set(briefs.flatMap(brief => Object.keys(brief.product_categories)))];
+  const combined = {
+    product_categories: Object.fromEntries(categories.map(category => [category, {
+      target_regions: briefs.flatMap(brief => brief.product_categories[category]?.target_regions || [])
+    }])),
+    aspect_ratios: [...new Set(briefs.flatMap(brief => brief.aspect_ratios))]
+  };
+  return validateJobFilter(filter, combined);
+}
+
+function campaignOutputDir(outputDir, campaignId) {
+  return path.join(outputDir, campaignId);
+}
+
+// Run every campaign and write the consolidated summary. A campaign whose run
+// fails (including a missing provider or storage environment) is recorded and
+// the batch moves on to the next one.
+// runOptions: provider, storageBackend, resume, useCache passed to runCampaign
+async function runBatch({ briefsDir, campaigns, outputDir, filters = {}, runOptions = {} }) {
+  const startTime = Date.now();
+  const filter = createJobFilter(filters);
+  const entries = [];
+
+  for (const [index, { briefPath, brief }] of campaigns.entries()) {
+    const campaignStart = Date.now();
+    const entry = {
+      campaignId: brief.id,
+      name: brief.name,
+      briefPath,
+      status: 'completed',
+      resultsFile: null,
+      summary: null,
+      error: null
+    };
+    // A filter value only has to exist in one campaign, so others may have nothing to make
+    const assetsFolder = path.resolve(path.dirname(briefPath), brief.assets_folder);
+    if (listExpectedOutputs(brief, assetsFolder, filter).length === 0) {
+      logger.info(`Batch: campaign ${index + 1}/${campaigns.length} skipped, no outputs match the filters`, { campaignId: brief.id });
+      entries.push({ ...entry, status: 'skipped', executionTime: '0s' });
+      continue;
+    }
+    logger.info(`Batch: campaign ${index + 1}/${campaigns.length}`, { campaignId: brief.id, brief: briefPath });
+    try {
+      const { results, resultsFile } = await runCampaign({
+        ...runOptions,
+        brief,
+        briefPath,
+        outputDir: campaignOutputDir(outputDir, brief.id),
+        filter
+      });
+      entry.resultsFile = resultsFile;
+      entry.summary = {
+        total: results.summary.total,
+        succeeded: results.summary.succeeded,
+        failed: results.summary.failed,
+        copyBlocked: results.summary.copyBlocked,
+        compliance: results.summary.compliance
+      };
+    } catch (error) {
+      logger.error("Batch: campaign failed", { campaignId: brief.id, error: error.message });
+      entry.status = 'failed';
+      entry.error = error.message;
+    }
+    entry.executionTime = `${(Date.now() - campaignStart) / 1000}s`;
+    entries.push(entry);
+  }
+
+  const completed = entries.filter(entry => entry.status === 'completed');
+  const total = (field) => completed.reduce((sum, entry) => sum + (entry.summary[field] || 0), 0);
+  const batch = {
+    summary: {
+      campaigns: entries.length,
+      completed: completed.length,
+      skipped: entries.filter(entry => entry.status === 'skipped').length,
+      failedCampaigns: entries.filter(entry => entry.status === 'failed').length,
+      total: total('total'),
+      succeeded: total('succeeded'),
+      failed: total('failed'),
+      copyBlocked: total('copyBlocked')
+    },
+    campaigns: entries,
+    run: {
+      briefsDir,
+      provider: runOptions.provider,
+      storage: runOptions.storageBackend,
+      filters: describeJobFilter(filter),
+      resumed: Boolean(runOptions.resume),
+      executionTime: `${(Date.now() - startTime) / 1000}s`,
+      completedAt: new Date().toISOString()
+    }
+  };
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const batchFile = path.join(outputDir, `batch-${resultsTimestamp()}.json`);
+  fs.writeFileSync(batchFile, JSON.stringify(batch, null, 2));
+  logger.info("Batch completed", { batchFile, summary: batch.summary });
+  return { batch, batchFile };
+}
+
+function formatBatchSummary(batch, batchFile) {
+  const { summary } = batch;
+  const lines = [
+    `📦 ${batchFile}`,
+    `   Campaigns: ${summary.completed}/${summary.campaigns} completed` +
+      (summary.skipped ? `, ${summary.skipped} skipped` : '') +
+      (summary.failedCampaigns ? `, ${summary.failedCampaigns} failed` : ''),
+    `   Outputs: ${summary.succeeded}/${summary.total} succeeded, ${summary.failed} failed` + (summary.copyBlocked ? ` (${summary.copyBlocked} blocked by copy rules)` : ''),
+    ''
+  ];
+  for (const entry of batch.campaigns) {
+    if (entry.status === 'failed') {
+      lines.push(`❌ ${entry.campaignId}: run failed: ${entry.error}`);
+      continue;
+    }
+    if (entry.status === 'skipped') {
+      lines.push(`⏭️  ${entry.campaignId}: skipped, no outputs match the filters`);
+      continue;
+    }
+    const icon = entry.summary.failed === 0 ? '✅' : '⚠️ ';
+    lines.push(`${icon} ${entry.campaignId}: ${entry.summary.succeeded}/${entry.summary.total} succeeded, ${entry.summary.failed} failed (${entry.executionTime})`);
+    lines.push(`   ${entry.resultsFile}`);
+  }
+  return lines.join('\n');
+}
+
+export {
+  listCampaignBriefs,
+  loadCampaignBriefs,
+  validateBatchFilter,
+  campaignOutputDir,
+  runBatch,
+  formatBatchSummary
+};
@@ -0,0 +1,190 @@
+// Brand kit for the overlay step: logo, headline colours, call-to-action
+// lockup and brand font from the campaign's `brand` section, with per-region
+// overrides under a region's own `brand` (e.g. a localized logo or CTA).
+// Logos and the CTA are placed inside the ratio's safe area, like the headline.
+//
+// Brand settings:
+//   logo.file           PNG, WebP, JPEG or SVG, relative to the brief
+//   logo.placement      top-left | top-center | top-right | bottom-left | bottom-center | bottom-right
+//   logo.width          width as a fraction of the canvas width
+//   logo.min_width      smallest width in pixels the logo may be shown at
+//   colors.text         headline fill; colors.stroke and colors.shadow for its outline and drop shadow
+//   colors.background   fill for transparent areas in JPEG encodings (see encodings.js)
+//   cta.text            call to action, e.g. "Shop now"; no CTA is drawn without one
+//   cta.placement       as logo.placement
+//   cta.font_size       relative to the canvas width
+//   cta.text_color / cta.background_color
+//   palette             brand colours the outputs' dominant colours are compared with (see compliance.js)
+//   font                brand font (see fonts.js)
+// Precedence: defaults < campaign brand < region brand
+
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import logger from './logger.js';
+import { escapeXml, checkGlyphCoverage } from './fonts.js';
+import { measureText, safeAreaRect, textBounds, textDirection } from './text-layout.js';
+
+const BRAND_PLACEMENTS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const DEFAULT_BRAND = {
+  logo: null,
+  colors: { text: '#FFFFFF', stroke: '#000000', shadow: '#000000', background: '#FFFFFF' },
+  cta: null,
+  palette: null,
+  font: null
+};
+
+const DEFAULT_LOGO = { placement: 'top-right', width: 0.15, min_width: 0 };
+const DEFAULT_CTA = { placement: 'bottom-center', font_size: 0.03, text_color: '#FFFFFF', background_color: '#000000' };
+
+// Brand rules the output cannot meet (a logo that does not fit at its minimum size)
+class BrandError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BrandError';
+    Object.assign(this, details);
+  }
+}
+
+function mergeBrand(base, override = {}) {
+  return {
+    logo: override.logo ? { ...DEFAULT_LOGO, ...base.logo, ...override.logo } : base.logo,
+    colors: { ...base.colors, ...override.colors },
+    cta: override.cta ? { ...DEFAULT_CTA, ...base.cta, ...override.cta } : base.cta,
+    palette: override.palette || base.palette,
+    font: override.font || base.font
+  };
+}
+
+class BrandKit {
+  // Logo files are resolved against baseDir, the directory of the brief
+  constructor(brief, baseDir = '.') {
+    this.brief = brief;
+    this.baseDir = baseDir;
+  }
+
+  // Effective brand of one region, with the logo file resolved
+  forRegion(region) {
+    const brand = mergeBrand(mergeBrand(DEFAULT_BRAND, this.brief.brand), region.brand);
+    if (brand.logo) brand.logo = { ...brand.logo, file: path.resolve(this.baseDir, brand.logo.file) };
+    // CTA styling can be set for the campaign with the localized text per region
+    if (brand.cta && !brand.cta.text) brand.cta = null;
+    return brand;
+  }
+
+  // Validation issues for logo files the brief refers to but that do not exist,
+  // so a missing file stops the run before any API call
+  missingFiles(filename) {
+    const logos = [
+      this.brief.brand?.logo && { path: 'campaign.brand.logo.file', file: this.brief.brand.logo.file },
+      ...Object.entries(this.brief.product_categories || {}).flatMap(([category, config]) =>
+        config.target_regions.map((region, index) => region.brand?.logo && {
+          path: `campaign.product_categories.${category}.target_regions[${index}].brand.logo.file`,
+          file: region.brand.logo.file
+        })
+      )
+    ].filter(Boolean);
+
+    return logos
+      .filter(logo => !fs.existsSync(path.resolve(this.baseDir, logo.file)))
+      .map(logo => ({ file: filename, path: logo.path, message: `logo file "${logo.file}" not found in ${path.resolve(this.baseDir)}` }));
+  }
+}
+
+// Top-left corner of a width × height box at a placement inside the safe area
+function placeBox(placement, width, height, safe) {
+  const [vertical, horizontal] = placement.split('-');
+  const x = horizontal === 'left' ? safe.left
+    : horizontal === 'right' ? safe.right - width
+      : safe.left + (safe.right - safe.left - width) / 2;
+  const y = vertical === 'top' ? safe.top : safe.bottom - height;
+  return { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) };
+}
+
+const intersects = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+// PNG of the logo file at a pixel width
+async function rasterizeLogo(file, targetWidth) {
+  const source = await fs.promises.readFile(file);
+  const metadata = await sharp(source).metadata();
+  // Rasterize vector logos at the target size instead of scaling up a 72 dpi render
+  const options = metadata.format === 'svg' ? { density: Math.min(2400, 72 * targetWidth / metadata.width) } : {};
+  return sharp(source, options).resize({ width: targetWidth }).png().toBuffer({ resolveWithObject: true });
+}
+
+async function renderLogo(logo, width, safe) {
+  const targetWidth = Math.round(Math.max(logo.width * width, logo.min_width));
+  const { data, info } = await rasterizeLogo(logo.file, targetWidth);
+
+  if (info.width > safe.right - safe.left || info.height > safe.bottom - safe.top) {
+    throw new BrandError(
+      `Logo ${path.basename(logo.file)} at ${info.width}x${info.height}px (min_width ${logo.min_width}px) does not fit the safe area`,
+      { logoFile: logo.file }
+    );
+  }
+  return { data, box: placeBox(logo.placement, info.width, info.height, safe) };
+}
+
+function renderCta(cta, width, safe, font, locale) {
+  const fontSize = Math.max(1, Math.round(cta.font_size * width));
+  const paddingX = Math.round(fontSize * 0.8);
+  const paddingY = Math.round(fontSize * 0.45);
+  const textWidth = measureText(cta.text, fontSize);
+  const box = placeBox(cta.placement, textWidth + 2 * paddingX, fontSize + 2 * paddingY, safe);
+  const direction = textDirection(locale, cta.text);
+
+  const svg = `
+        <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="${Math.round(box.height / 2)}" fill="${cta.background_color}"/>
+        <text x="${box.x + box.width / 2}" y="${box.y + paddingY + fontSize * 0.82}"
+              font-family="${escapeXml(`'${font.family}', sans-serif`)}"
+              font-size="${fontSize}"
+              font-weight="bold"
+              fill="${cta.text_color}"
+              direction="${direction}"
+              text-anchor="middle">${escapeXml(cta.text)}</text>`;
+  return { svg, box };
+}
+
+// Logo composite, CTA SVG fragment and where both were placed, for one output.
+// Overlapping the headline is allowed but logged
+async function brandOverlay(brand, { width, height, layout, textLayout, font }) {
+  const safe = safeAreaRect(width, height, layout);
+  const textBox = textBounds(textLayout);
+  const overlay = { composites: [], svg: '', placements: {} };
+
+  if (brand.logo) {
+    const logo = await renderLogo(brand.logo, width, safe);
+    overlay.composites.push({ input: logo.data, left: logo.box.x, top: logo.box.y });
+    overlay.placements.logo = { file: path.basename(brand.logo.file), placement: brand.logo.placement, box: logo.box };
+  }
+
+  if (brand.cta) {
+    checkGlyphCoverage(brand.cta.text, font);
+    const cta = renderCta(brand.cta, width, safe, font, layout.locale);
+    overlay.svg = cta.svg;
+    overlay.placements.cta = { text: brand.cta.text, placement: brand.cta.placement, box: cta.box };
+  }
+
+  const overlaps = Object.entries(overlay.placements)
+    .filter(([, placed]) => intersects(placed.box, textBox))
+    .map(([element]) => element);
+  if (overlaps.length > 0) {
+    logger.warn("brandOverlay: Brand elements overlap the headline", { overlaps, textBox });
+  }
+  if (overlay.placements.logo && overlay.placements.cta && intersects(overlay.placements.logo.box, overlay.placements.cta.box)) {
+    logger.warn("brandOverlay: Logo and CTA overlap", { logo: overlay.placements.logo.box, cta: overlay.placements.cta.box });
+  }
+  return overlay;
+}
+
+export {
+  BRAND_PLACEMENTS,
+  COLOR_PATTERN,
+  DEFAULT_BRAND,
+  BrandError,
+  BrandKit,
+  rasterizeLogo,
+  brandOverlay
+};
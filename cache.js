@@ -0,0 +1,191 @@
+// Content-addressed cache for intermediate images (expanded images, masks).
+// Entries are keyed by a hash of the input bytes plus the operation and its
+// parameters (size, prompt, locale, seed, provider), so an unchanged source
+// image never has to be uploaded, expanded or masked again:
+//   <cacheDir>/<operation>/<key>.<ext>    cached image
+//   <cacheDir>/<operation>/<key>.json     metadata (params, size, last use)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import logger from './logger.js';
+
+const DEFAULT_CACHE_DIR = './.cache';
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Extension from the image's magic bytes; Firefly and Photoshop outputs are not
+// always named after their format
+function imageExtension(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x89504e47) return '.png';
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) return '.jpg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === 'WEBP') return '.webp';
+  return '.bin';
+}
+
+class ContentCache {
+  // A cache without a directory is disabled: every lookup misses and nothing is stored or counted
+  constructor(cacheDir, { namespace = '' } = {}) {
+    this.cacheDir = cacheDir ? path.resolve(cacheDir) : null;
+    this.namespace = namespace;
+    this.counts = {};
+  }
+
+  get enabled() {
+    return this.cacheDir !== null;
+  }
+
+  // inputHash is the hash of the input bytes, or the key of the cached entry it was derived from
+  key(operation, inputHash, params = {}) {
+    const sortedParams = Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)));
+    return hashBuffer(JSON.stringify([this.namespace, operation, inputHash, sortedParams]));
+  }
+
+  count(operation, outcome) {
+    this.counts[operation] ??= { hits: 0, misses: 0 };
+    this.counts[operation][outcome]++;
+  }
+
+  metadataPath(operation, key) {
+    return path.join(this.cacheDir, operation, `${key}.json`);
+  }
+
+  // Cached bytes for (operation, key), or null on a miss
+  async get(operation, key) {
+    if (!this.enabled) return null;
+
+    const metadataPath = this.metadataPath(operation, key);
+    try {
+      const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf-8'));
+      const buffer = await fs.promises.readFile(path.join(this.cacheDir, operation, metadata.file));
+      metadata.lastUsedAt = new Date().toISOString();
+      metadata.hits = (metadata.hits || 0) + 1;
+      await fs.promises.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+      this.count(operation, 'hits');
+      logger.debug("Cache hit", { operation, key });
+      return buffer;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn("Cache entry unreadable, treating as a miss", { operation, key, error: error.message });
+      }
+      this.count(operation, 'misses');
+      return null;
+    }
+  }
+
+  async put(operation, key, buffer, params = {}) {
+    if (!this.enabled) return;
+
+    const file = `${key}${imageExtension(buffer)}`;
+    const dir = path.join(this.cacheDir, operation);
+    await fs.promises.mkdir(dir, { recursive: true });
+    // Image first, metadata last: an entry only exists once both are written
+    await fs.promises.writeFile(path.join(dir, file), buffer);
+    const now = new Date().toISOString();
+    await fs.promises.writeFile(this.metadataPath(operation, key), JSON.stringify({
+      key,
+      operation,
+      namespace: this.namespace,
+      params,
+      file,
+      bytes: buffer.length,
+      createdAt: now,
+      lastUsedAt: now,
+      hits: 0
+    }, null, 2));
+  }
+
+  // Hit/miss counts of this run, for the results summary
+  summary() {
+    const operations = Object.values(this.counts);
+    return {
+      enabled: this.enabled,
+      hits: operations.reduce((sum, c) => sum + c.hits, 0),
+      misses: operations.reduce((sum, c) => sum + c.misses, 0),
+      byOperation: this.counts
+    };
+  }
+
+  entries() {
+    if (!this.enabled || !fs.existsSync(this.cacheDir)) return [];
+
+    const entries = [];
+    for (const operation of fs.readdirSync(this.cacheDir)) {
+      const dir = path.join(this.cacheDir, operation);
+      if (!fs.statSync(dir).isDirectory()) continue;
+      for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+          entries.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+        } catch (error) {
+          logger.warn("Skipping unreadable cache metadata", { file: path.join(dir, file), error: error.message });
+        }
+      }
+    }
+    return entries;
+  }
+
+  // Per-operation entry counts and sizes
+  inspect() {
+    const entries = this.entries();
+    const operations = {};
+    for (const entry of entries) {
+      operations[entry.operation] ??= { entries: 0, bytes: 0, hits: 0, oldestUse: null, newestUse: null };
+      const stats = operations[entry.operation];
+      stats.entries++;
+      stats.bytes += entry.bytes;
+      stats.hits += entry.hits || 0;
+      if (!stats.oldestUse || entry.lastUsedAt < stats.oldestUse) stats.oldestUse = entry.lastUsedAt;
+      if (!stats.newestUse || entry.lastUsedAt > stats.newestUse) stats.newestUse = entry.lastUsedAt;
+    }
+    return {
+      cacheDir: this.cacheDir,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      operations
+    };
+  }
+
+  // Remove every entry, or only those not used for olderThanDays
+  purge({ olderThanDays = null } = {}) {
+    const cutoff = olderThanDays === null ? null : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    let bytes = 0;
+    for (const entry of this.entries()) {
+      if (cutoff !== null && Date.parse(entry.lastUsedAt) >= cutoff) continue;
+      fs.rmSync(this.metadataPath(entry.operation, entry.key), { force: true });
+      fs.rmSync(path.join(this.cacheDir, entry.operation, entry.file), { force: true });
+      removed++;
+      bytes += entry.bytes;
+    }
+    return { removed, bytes };
+  }
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Human-readable output of ContentCache.inspect()
+function formatCacheInspection(stats) {
+  const lines = [`🗄️  Cache ${stats.cacheDir}: ${stats.entries} entries, ${formatBytes(stats.bytes)}`];
+  for (const [operation, op] of Object.entries(stats.operations)) {
+    lines.push(`   ${operation}: ${op.entries} entries, ${formatBytes(op.bytes)}, ${op.hits} hits, last used ${op.oldestUse} … ${op.newestUse}`);
+  }
+  return lines.join('\n');
+}
+
+export {
+  DEFAULT_CACHE_DIR,
+  ContentCache,
+  formatBytes,
+  formatCacheInspection,
+  hashBuffer,
+  imageExtension
+};
@@ -0,0 +1,714 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML, { LineCounter, isMap, isSeq, isScalar } from 'yaml';
+import { LAYOUT_ANCHORS, LAYOUT_ALIGNMENTS } from './text-layout.js';
+import { FONT_SCRIPTS, FONT_STYLES } from './fonts.js';
+import { BRAND_PLACEMENTS, COLOR_PATTERN } from './brand.js';
+import { MAX_VARIATIONS } from './variations.js';
+import { MAX_BASE_SEED } from './seeds.js';
+import { FIREFLY_SIZES, CROP_POSITIONS, MAX_CHANNEL_SIZE, FORMAT_PATTERN, formatIssues } from './channels.js';
+import { ENCODING_FORMATS, COLOR_PROFILES } from './encodings.js';
+
+const SUPPORTED_ASPECT_RATIOS = Object.keys(FIREFLY_SIZES);
+
+// Firefly expects promptBiasingLocaleCode in language-REGION form (e.g. en-US)
+const LOCALE_PATTERN = /^[a-z]{2,3}-[A-Z]{2}$/;
+
+function isValidLocale(value) {
+  if (!LOCALE_PATTERN.test(value)) return false;
+  try {
+    return Intl.getCanonicalLocales(value)[0] === value;
+  } catch {
+    return false;
+  }
+}
+
+// Declarative schema for campaign.yaml. Supported keywords:
+// type, properties, required, additionalProperties, propertyNames, items,
+// minItems, minProperties, uniqueItems, uniqueBy, enum, pattern, minLength,
+// minimum, maximum, format, description
+const fractionSchema = { type: 'number', minimum: 0, maximum: 1 };
+
+// An aspect_ratios entry: Firefly ratio or channel preset (see channels.js);
+// names that are neither are reported by formatIssues
+const FORMAT_DESCRIPTION = 'a Firefly ratio such as "9:16" or a channel name such as "instagram_feed"';
+
+// Text overlay layout (see text-layout.js); "ratios" holds per-format overrides
+const layoutProperties = {
+  anchor: { type: 'string', enum: LAYOUT_ANCHORS },
+  align: { type: 'string', enum: LAYOUT_ALIGNMENTS },
+  position: {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: { x: fractionSchema, y: fractionSchema },
+    additionalProperties: false
+  },
+  box: {
+    type: 'object',
+    properties: { width: fractionSchema, height: fractionSchema },
+    additionalProperties: false
+  },
+  safe_area: {
+    type: 'object',
+    properties: { top: fractionSchema, right: fractionSchema, bottom: fractionSchema, left: fractionSchema },
+    additionalProperties: false
+  },
+  max_font_size: fractionSchema,
+  min_font_size: fractionSchema,
+  line_height: { type: 'number', minimum: 0.5, maximum: 3 },
+  max_lines: { type: 'integer', minimum: 1 }
+};
+
+const layoutSchema = {
+  type: 'object',
+  properties: {
+    ...layoutProperties,
+    ratios: {
+      type: 'object',
+      propertyNames: { pattern: FORMAT_PATTERN, description: FORMAT_DESCRIPTION },
+      additionalProperties: { type: 'object', properties: layoutProperties, additionalProperties: false }
+    }
+  },
+  additionalProperties: false
+};
+
+// Overlay font (see fonts.js); the family is read from the file when omitted
+const fontSchema = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    family: { type: 'string', minLength: 1 },
+    file: { type: 'string', pattern: /\.(ttf|otf|ttc)$/i, description: 'a .ttf, .otf or .ttc font file' },
+    style: { type: 'string', enum: FONT_STYLES }
+  },
+  additionalProperties: false
+};
+
+// Backgrounds per output (see variations.js)
+const variationsSchema = { type: 'integer', minimum: 1, maximum: MAX_VARIATIONS };
+
+// Pinned Firefly seed (see seeds.js)
+const seedSchema = { type: 'integer', minimum: 0, maximum: MAX_BASE_SEED };
+
+const colorSchema = { type: 'string', pattern: COLOR_PATTERN, description: 'a hex colour such as "#1A2B3C"' };
+
+// Brand kit (see brand.js); a region's brand overrides the campaign's key by key
+const brandSchema = {
+  type: 'object',
+  properties: {
+    logo: {
+      type: 'object',
+      required: ['file'],
+      properties: {
+        file: { type: 'string', minLength: 1 },
+        placement: { type: 'string', enum: BRAND_PLACEMENTS },
+        width: fractionSchema,
+        min_width: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    colors: {
+      type: 'object',
+      properties: { text: colorSchema, stroke: colorSchema, shadow: colorSchema, background: colorSchema },
+      additionalProperties: false
+    },
+    cta: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', minLength: 1 },
+        placement: { type: 'string', enum: BRAND_PLACEMENTS },
+        font_size: fractionSchema,
+        text_color: colorSchema,
+        background_color: colorSchema
+      },
+      additionalProperties: false
+    },
+    palette: { type: 'array', minItems: 1, items: colorSchema },
+    font: fontSchema
+  },
+  additionalProperties: false
+};
+
+// Output checks (see compliance.js)
+const complianceSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    min_contrast: { type: 'number', minimum: 1, maximum: 21 },
+    min_logo_visibility: fractionSchema,
+    min_palette_match: fractionSchema,
+    palette_tolerance: { type: 'number', minimum: 0, maximum: 100 }
+  },
+  additionalProperties: false
+};
+
+// Channel presets with exact delivery sizes (see channels.js)
+const channelSizeSchema = { type: 'integer', minimum: 1, maximum: MAX_CHANNEL_SIZE };
+const channelsSchema = {
+  type: 'object',
+  propertyNames: { pattern: /^[a-z][a-z0-9_]*$/, description: 'lowercase letters, digits or "_", starting with a letter' },
+  additionalProperties: {
+    type: 'object',
+    required: ['width', 'height'],
+    properties: {
+      width: channelSizeSchema,
+      height: channelSizeSchema,
+      crop: { type: 'string', enum: CROP_POSITIONS }
+    },
+    additionalProperties: false
+  }
+};
+
+// Delivery encodings per output format, "*" for the rest (see encodings.js)
+const qualitySchema = { type: 'integer', minimum: 1, maximum: 100 };
+const encodingsSchema = {
+  type: 'object',
+  propertyNames: { pattern: new RegExp(`^\\*$|${FORMAT_PATTERN.source}`), description: `"*" or ${FORMAT_DESCRIPTION}` },
+  additionalProperties: {
+    type: 'array',
+    minItems: 1,
+    uniqueBy: 'format',
+    items: {
+      type: 'object',
+      required: ['format'],
+      properties: {
+        format: { type: 'string', enum: ENCODING_FORMATS },
+        quality: qualitySchema,
+        min_quality: qualitySchema,
+        max_bytes: { type: 'integer', minimum: 1 },
+        color_profile: { type: 'string', enum: COLOR_PROFILES },
+        strip_metadata: { type: 'boolean' }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// Concurrency and rate limits per service (see rate-limit.js); keys left out
+// come from the environment
+const serviceLimitsSchema = {
+  type: 'object',
+  properties: {
+    concurrency: { type: 'integer', minimum: 1 },
+    max_concurrency: { type: 'integer', minimum: 1 },
+    requests_per_minute: { type: 'number', minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+const rateLimitsSchema = {
+  type: 'object',
+  properties: {
+    firefly: serviceLimitsSchema,
+    photoshop: serviceLimitsSchema,
+    adaptive: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// Copy rules (see copy-rules.js)
+const copyRulesSchema = {
+  type: 'object',
+  properties: {
+    prohibited: {
+      type: 'object',
+      propertyNames: { pattern: /^(\*|[a-z]{2,3}(-[A-Z]{2})?)$/, description: '"*", a language such as "de" or a locale such as "de-DE"' },
+      additionalProperties: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } }
+    },
+    disclaimers: {
+      type: 'object',
+      propertyNames: { pattern: /^[A-Z]{2}$/, description: 'a two-letter uppercase region code' },
+      additionalProperties: { type: 'string', minLength: 1 }
+    }
+  },
+  additionalProperties: false
+};
+
+const regionSchema = {
+  type: 'object',
+  required: ['code', 'locale', 'message', 'background_prompt'],
+  properties: {
+    code: { type: 'string', pattern: /^[A-Z]{2}$/, description: 'two-letter uppercase region code (e.g. US)' },
+    locale: { type: 'string', format: 'locale' },
+    audience: { type: 'string' },
+    message: { type: 'string', minLength: 1 },
+    background_prompt: { type: 'string', minLength: 1 },
+    layout: layoutSchema,
+    font: fontSchema,
+    brand: brandSchema,
+    variations: variationsSchema,
+    seed: seedSchema
+  },
+  additionalProperties: false
+};
+
+const categorySchema = {
+  type: 'object',
+  required: ['target_regions'],
+  properties: {
+    target_regions: { type: 'array', minItems: 1, items: regionSchema, uniqueBy: 'code' },
+    variations: variationsSchema,
+    seed: seedSchema
+  },
+  additionalProperties: false
+};
+
+const campaignSchema = {
+  type: 'object',
+  required: ['name', 'id', 'assets_folder', 'product_categories', 'aspect_ratios'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    id: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/, description: 'lowercase letters, digits, "_" or "-", since it is used in S3 keys' },
+    assets_folder: { type: 'string', minLength: 1 },
+    product_categories: { type: 'object', minProperties: 1, additionalProperties: categorySchema },
+    aspect_ratios: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', pattern: FORMAT_PATTERN, description: FORMAT_DESCRIPTION } },
+    channels: channelsSchema,
+    encodings: encodingsSchema,
+    product_prompts: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+    layout: layoutSchema,
+    brand: brandSchema,
+    compliance: complianceSchema,
+    copy_rules: copyRulesSchema,
+    variations: variationsSchema,
+    rate_limits: rateLimitsSchema,
+    fonts: { type: 'object', propertyNames: { enum: FONT_SCRIPTS }, additionalProperties: fontSchema }
+  },
+  additionalProperties: false
+};
+
+const briefSchema = {
+  type: 'object',
+  required: ['campaign'],
+  properties: {
+    campaign: campaignSchema
+  },
+  additionalProperties: false
+};
+
+class BriefValidationError extends Error {
+  constructor(filename, errors) {
+    super(`${filename}: ${errors.length} validation error(s)\n` + errors.map(formatIssue).join('\n'));
+    this.name = 'BriefValidationError';
+    this.filename = filename;
+    this.errors = errors;
+  }
+}
+
+function formatIssue(issue) {
+  const location = issue.line ? `${issue.file}:${issue.line}:${issue.col}` : issue.file;
+  return `  ${location} ${issue.path || '(root)'}: ${issue.message}`;
+}
+
+function describeType(node) {
+  if (!node) return 'nothing';
+  if (isMap(node)) return 'a mapping';
+  if (isSeq(node)) return 'a list';
+  if (isScalar(node)) return node.value === null ? 'null' : typeof node.value;
+  return 'an unsupported node';
+}
+
+function matchesType(node, type) {
+  switch (type) {
+    case 'object': return isMap(node);
+    case 'array': return isSeq(node);
+    case 'string': return isScalar(node) && typeof node.value === 'string';
+    case 'number': return isScalar(node) && typeof node.value === 'number';
+    case 'integer': return isScalar(node) && Number.isInteger(node.value);
+    case 'boolean': return isScalar(node) && typeof node.value === 'boolean';
+    default: return false;
+  }
+}
+
+// Small edit distance helper used to suggest the intended key for typos
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, candidates) {
+  const best = candidates
+    .map(candidate => ({ candidate, distance: editDistance(key, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return best && best.distance <= 3 ? best.candidate : null;
+}
+
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : String(key);
+}
+
+function validateNode(node, schema, nodePath, ctx, anchorNode) {
+  const report = (message, at = node || anchorNode) => ctx.report(at, nodePath, message);
+
+  if (!matchesType(node, schema.type)) {
+    const expected = schema.type === 'object' ? 'a mapping' : schema.type === 'array' ? 'a list' : `a ${schema.type}`;
+    report(`must be ${expected}, got ${describeType(node)}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    const seen = new Set();
+    for (const pair of node.items) {
+      const key = isScalar(pair.key) ? pair.key.value : pair.key;
+      const keyPath = joinPath(nodePath, key);
+      seen.add(key);
+
+      if (schema.propertyNames?.enum && !schema.propertyNames.enum.includes(key)) {
+        ctx.report(pair.key, keyPath, `unsupported key "${key}" (expected one of: ${schema.propertyNames.enum.join(', ')})`);
+        continue;
+      }
+      if (schema.propertyNames?.pattern && !schema.propertyNames.pattern.test(String(key))) {
+        ctx.report(pair.key, keyPath, `unsupported key "${key}" (expected ${schema.propertyNames.description})`);
+        continue;
+      }
+
+      let valueSchema = schema.properties?.[key];
+      if (!valueSchema) {
+        if (schema.additionalProperties === false) {
+          const suggestion = suggestKey(String(key), Object.keys(schema.properties || {}));
+          ctx.report(pair.key, keyPath, `unknown key "${key}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+          continue;
+        }
+        valueSchema = schema.additionalProperties;
+      }
+      if (valueSchema) {
+        validateNode(pair.value, valueSchema, keyPath, ctx, pair.key);
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (!seen.has(key)) {
+        report(`missing required key "${key}"`);
+      }
+    }
+    if (schema.minProperties && node.items.length < schema.minProperties) {
+      report(`must define at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && node.items.length < schema.minItems) {
+      report(`must contain at least ${schema.minItems} item(s)`);
+    }
+
+    const seenValues = new Map();
+    node.items.forEach((item, index) => {
+      const itemPath = joinPath(nodePath, index);
+      if (schema.items) {
+        validateNode(item, schema.items, itemPath, ctx, node);
+      }
+
+      let identity;
+      let identityNode = item;
+      if (schema.uniqueItems && isScalar(item)) {
+        identity = item.value;
+      } else if (schema.uniqueBy && isMap(item)) {
+        identityNode = item.get(schema.uniqueBy, true);
+        identity = isScalar(identityNode) ? identityNode.value : undefined;
+      }
+      if (identity === undefined || identity === null) return;
+
+      if (seenValues.has(identity)) {
+        const label = schema.uniqueBy ? `${schema.uniqueBy} "${identity}"` : `"${identity}"`;
+        ctx.report(identityNode, schema.uniqueBy ? joinPath(itemPath, schema.uniqueBy) : itemPath,
+          `duplicate ${label} (first defined at ${seenValues.get(identity)})`);
+      } else {
+        const { line, col } = ctx.position(identityNode);
+        seenValues.set(identity, `line ${line}, column ${col}`);
+      }
+    });
+    return;
+  }
+
+  // Scalars
+  const value = node.value;
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`unsupported value "${value}" (expected one of: ${schema.enum.join(', ')})`);
+  }
+  if (schema.minLength && typeof value === 'string' && value.trim().length < schema.minLength) {
+    report('must not be empty');
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    report(`must be at least ${schema.minimum}, got ${value}`);
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+    report(`must be at most ${schema.maximum}, got ${value}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    report(`invalid value "${value}"` + (schema.description ? ` (expected ${schema.description})` : ''));
+  }
+  if (schema.format === 'locale' && typeof value === 'string' && !isValidLocale(value)) {
+    report(`invalid locale "${value}" (expected a language-REGION code such as en-US)`);
+  }
+}
+
+// Validate campaign YAML source text. Returns every problem found, each with
+// its YAML line/column, together with the parsed campaign block.
+function validateBriefSource(source, filename = 'campaign.yaml', schema = briefSchema) {
+  const lineCounter = new LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter, prettyErrors: true });
+  const errors = [];
+
+  const position = (node) => {
+    const offset = node?.range?.[0];
+    return offset === undefined ? { line: undefined, col: undefined } : lineCounter.linePos(offset);
+  };
+
+  for (const error of doc.errors) {
+    const [start] = error.linePos || [];
+    errors.push({
+      file: filename,
+      path: '',
+      line: start?.line,
+      col: start?.col,
+      message: error.message.split('\n')[0]
+    });
+  }
+
+  if (errors.length === 0) {
+    const ctx = {
+      position,
+      report(node, nodePath, message) {
+        const { line, col } = position(node);
+        errors.push({ file: filename, path: nodePath, line, col, message });
+      }
+    };
+    validateNode(doc.contents, schema, '', ctx, null);
+  }
+
+  errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.col ?? 0) - (b.col ?? 0));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    brief: errors.length === 0 ? doc.toJS().campaign : null,
+    // The campaign block as parsed, whether valid or not (null on YAML errors)
+    data: doc.errors.length === 0 && isMap(doc.contents) ? doc.toJS().campaign ?? null : null
+  };
+}
+
+// Add line/column to issues found after schema validation (checks that need
+// the parsed brief), from their dotted path into the brief's YAML, or into the
+// defaults file that sets the value when the brief extends one
+function locateIssues(briefPath, issues) {
+  const { files, campaign } = readBriefChain(briefPath);
+  return issues.map(issue => locateIssue(files, campaign, issue) || issue);
+}
+
+// Shared defaults: a brief may name defaults files in a top-level `extends:`
+// (a path or a list of paths, relative to the file naming them). A defaults
+// file holds any part of a campaign block and may extend further files. Files
+// listed later win over earlier ones, and the brief over all of them: mappings
+// merge key by key, target_regions merge by region code, other lists are
+// replaced, and a key set to null drops the inherited value.
+function parseBriefFile(filePath) {
+  const lineCounter = new LineCounter();
+  const doc = YAML.parseDocument(fs.readFileSync(filePath, 'utf-8'), { lineCounter, prettyErrors: true });
+  return { filePath, filename: path.relative(process.cwd(), filePath) || filePath, doc, lineCounter };
+}
+
+function usesExtends(doc) {
+  return isMap(doc.contents) && doc.contents.has('extends');
+}
+
+// The brief and every defaults file it extends, lowest precedence first, with
+// the merged campaign block and the problems found in extends chains
+function readBriefChain(briefPath) {
+  const files = [];
+  const errors = [];
+  const visited = new Set();
+
+  const visit = (filePath, chain) => {
+    visited.add(filePath);
+    const file = parseBriefFile(filePath);
+    const report = (node, nodePath, message) => {
+      const offset = node?.range?.[0];
+      errors.push({ file: file.filename, path: nodePath, ...(offset === undefined ? {} : file.lineCounter.linePos(offset)), message });
+    };
+    if (file.doc.errors.length > 0) {
+      for (const error of file.doc.errors) {
+        const [start] = error.linePos || [];
+        errors.push({ file: file.filename, path: '', line: start?.line, col: start?.col, message: error.message.split('\n')[0] });
+      }
+      files.push(file);
+      return;
+    }
+    // Only the campaign block and extends; the block itself is checked once merged
+    if (!isMap(file.doc.contents)) {
+      report(file.doc.contents, '', `must be a mapping, got ${describeType(file.doc.contents)}`);
+      files.push(file);
+      return;
+    }
+    for (const pair of file.doc.contents.items) {
+      const key = isScalar(pair.key) ? pair.key.value : pair.key;
+      if (key === 'campaign' && !isMap(pair.value)) {
+        report(pair.value || pair.key, 'campaign', `must be a mapping, got ${describeType(pair.value)}`);
+      } else if (key !== 'campaign' && key !== 'extends') {
+        const suggestion = suggestKey(String(key), ['campaign', 'extends']);
+        report(pair.key, String(key), `unknown key "${key}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : ''));
+      }
+    }
+    const extendsNode = file.doc.contents.get('extends', true);
+    const targets = isSeq(extendsNode) ? extendsNode.items : extendsNode ? [extendsNode] : [];
+    for (const target of targets) {
+      if (!isScalar(target) || typeof target.value !== 'string') {
+        report(target, 'extends', `expected a file path or a list of file paths, got ${describeType(target)}`);
+        continue;
+      }
+      const targetPath = path.resolve(path.dirname(filePath), target.value);
+      if (chain.includes(targetPath)) {
+        report(target, 'extends', `"${target.value}" extends itself (${[...chain, targetPath].map(item => path.basename(item)).join(' -> ')})`);
+      } else if (!fs.existsSync(targetPath)) {
+        report(target, 'extends', `no such file "${target.value}"`);
+      } else if (!visited.has(targetPath)) {
+        visit(targetPath, [...chain, targetPath]);
+      }
+    }
+    // After the files it extends, so it wins over them
+    files.push(file);
+  };
+  visit(path.resolve(briefPath), [path.resolve(briefPath)]);
+
+  const campaign = files.reduce((merged, file) => {
+    const value = file.doc.errors.length === 0 && isMap(file.doc.contents) ? file.doc.toJS().campaign : null;
+    return isPlainObject(value) ? mergeBriefValues(merged, value) : merged;
+  }, {});
+  return { files, campaign, errors };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function mergeBriefValues(base, override, key = null) {
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged = { ...base };
+    for (const [field, value] of Object.entries(override)) {
+      if (value === null) {
+        delete merged[field];
+      } else {
+        merged[field] = field in base ? mergeBriefValues(base[field], value, field) : value;
+      }
+    }
+    return merged;
+  }
+  if (key === 'target_regions' && Array.isArray(base) && Array.isArray(override)) {
+    const overrides = new Map(override.filter(isPlainObject).map(region => [region.code, region]));
+    const inherited = new Set(base.map(region => region?.code));
+    return [
+      ...base.map(region => (overrides.has(region?.code) ? mergeBriefValues(region, overrides.get(region.code)) : region)),
+      ...override.filter(region => !inherited.has(region?.code))
+    ];
+  }
+  return override;
+}
+
+// Position of an issue's path in the highest-precedence file that sets it.
+// List indexes are into the merged brief; regions are matched by code since
+// merging can move them.
+function locateIssue(files, campaign, issue) {
+  const keys = issue.path.split(/\.|\[(\d+)\]/).filter(Boolean).map(key => (/^\d+$/.test(key) ? Number(key) : key));
+  for (const file of [...files].reverse()) {
+    const fileKeys = [];
+    let merged = { campaign };
+    for (const key of keys) {
+      const item = Array.isArray(merged) && typeof key === 'number' ? merged[key] : null;
+      if (isPlainObject(item) && item.code !== undefined) {
+        const list = file.doc.getIn(fileKeys, true);
+        const index = isSeq(list) ? list.items.findIndex(node => isMap(node) && node.get('code') === item.code) : -1;
+        fileKeys.push(index === -1 ? key : index);
+      } else {
+        fileKeys.push(key);
+      }
+      merged = merged?.[key];
+    }
+    const offset = file.doc.getIn(fileKeys, true)?.range?.[0];
+    if (offset !== undefined) {
+      return { ...issue, file: file.filename, ...file.lineCounter.linePos(offset) };
+    }
+  }
+  return null;
+}
+
+// Validate a brief that extends defaults files: the YAML and extends of each
+// file, then the merged campaign block against the brief schema, with every
+// issue pointing at the file and line that set the value
+function validateExtendedBrief(briefPath, filename) {
+  const { files, campaign, errors } = readBriefChain(briefPath);
+  if (errors.length === 0) {
+    const merged = validateBriefSource(YAML.stringify({ campaign }, { aliasDuplicateObjects: false }), filename);
+    // Lines of the generated YAML mean nothing to the author
+    errors.push(...merged.errors.map(issue => locateIssue(files, campaign, issue) || { ...issue, line: undefined, col: undefined }));
+  }
+  return { valid: errors.length === 0, errors, brief: errors.length === 0 ? campaign : null, data: campaign };
+}
+
+// Paths of a brief and the defaults files it extends, for watching
+function briefFiles(briefPath) {
+  return readBriefChain(briefPath).files.map(file => file.filePath);
+}
+
+// The parts of a campaign block formatIssues reads, keeping only values of the
+// right shape so output formats can be checked in a brief that fails the schema.
+// Region indexes are kept, as issue paths refer to them.
+function formatCheckInput(campaign) {
+  const mapping = (value) => (isPlainObject(value) ? value : {});
+  const layout = (value) => (isPlainObject(value) && isPlainObject(value.ratios) ? value : undefined);
+  return {
+    channels: mapping(campaign.channels),
+    aspect_ratios: Array.isArray(campaign.aspect_ratios) ? campaign.aspect_ratios.map(format => (typeof format === 'string' ? format : null)) : [],
+    layout: layout(campaign.layout),
+    encodings: mapping(campaign.encodings),
+    product_categories: Object.fromEntries(Object.entries(mapping(campaign.product_categories)).map(([category, config]) => [category, {
+      target_regions: Array.isArray(config?.target_regions)
+        ? config.target_regions.map(region => ({ layout: layout(region?.layout) }))
+        : []
+    }]))
+  };
+}
+
+// Read and validate a brief from disk; throws BriefValidationError listing
+// every problem so nothing reaches the Adobe APIs with a broken config.
+function loadBrief(briefPath) {
+  const filename = path.relative(process.cwd(), briefPath) || briefPath;
+  const source = fs.readFileSync(briefPath, 'utf-8');
+  const { errors, brief, data } = usesExtends(YAML.parseDocument(source))
+    ? validateExtendedBrief(briefPath, filename)
+    : validateBriefSource(source, filename);
+  // Output formats may name channels defined elsewhere in the brief; they are
+  // checked alongside the schema so every problem is reported at once
+  const schemaPaths = new Set(errors.map(issue => issue.path));
+  const issues = isPlainObject(data)
+    ? locateIssues(briefPath, formatIssues(formatCheckInput(data), filename)
+      .filter(issue => !schemaPaths.has(issue.path)))
+    : [];
+  if (errors.length > 0 || issues.length > 0) {
+    const all = [...errors, ...issues].sort((a, b) =>
+      a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0) || (a.col ?? 0) - (b.col ?? 0));
+    throw new BriefValidationError(filename, all);
+  }
+  return brief;
+}
+
+export {
+  FIREFLY_SIZES,
+  SUPPORTED_ASPECT_RATIOS,
+  BriefValidationError,
+  briefSchema,
+  isValidLocale,
+  validateBriefSource,
+  loadBrief,
+  briefFiles,
+  locateIssues,
+  formatIssue
+};
@@ -0,0 +1,121 @@
+// Output formats (campaign `aspect_ratios`). An entry is either a Firefly aspect
+// ratio (1:1, 9:16, 16:9), made at its Firefly size, or the name of a channel
+// preset with exact delivery dimensions. Built-in presets can be overridden and
+// new ones added under the campaign's `channels` section:
+//   channels.<name>.width    delivery width in pixels
+//   channels.<name>.height   delivery height in pixels
+//   channels.<name>.crop     part of the image kept when the aspects differ:
+//                            center (default) | top | bottom | left | right
+// A channel output is generated, expanded and filled at the Firefly size whose
+// aspect is nearest the preset's; its background is then cropped to the preset's
+// aspect and resized to the exact size before the overlay, so the headline and
+// brand are laid out on the delivered image.
+
+import sharp from 'sharp';
+
+// Firefly-supported output sizes per aspect ratio
+const FIREFLY_SIZES = {
+  '1:1': { width: 2048, height: 2048 },
+  '9:16': { width: 1792, height: 2304 },
+  '16:9': { width: 2688, height: 1512 }
+};
+
+const CHANNEL_PRESETS = {
+  instagram_feed: { width: 1080, height: 1350 },
+  instagram_story: { width: 1080, height: 1920 },
+  display_300x250: { width: 300, height: 250 },
+  display_728x90: { width: 728, height: 90 },
+  youtube_thumbnail: { width: 1280, height: 720 }
+};
+
+const CROP_POSITIONS = ['center', 'top', 'bottom', 'left', 'right'];
+
+// Largest delivery size a preset may ask for
+const MAX_CHANNEL_SIZE = 4096;
+
+// Firefly ratios in aspect_ratios, channel names in `channels` and layout.ratios
+const FORMAT_PATTERN = /^(\d+:\d+|[a-z][a-z0-9_]*)$/;
+
+const isFireflyRatio = (format) => Object.hasOwn(FIREFLY_SIZES, format);
+
+function channelPresets(brief) {
+  return { ...CHANNEL_PRESETS, ...brief.channels };
+}
+
+// Firefly ratio whose aspect is closest to width:height (compared on a log scale,
+// so 2:1 and 1:2 are equally far from 1:1)
+function nearestFireflyRatio({ width, height }) {
+  const distance = (ratio) => Math.abs(Math.log((width / height) / (FIREFLY_SIZES[ratio].width / FIREFLY_SIZES[ratio].height)));
+  return Object.keys(FIREFLY_SIZES).reduce((best, ratio) => (distance(ratio) < distance(best) ? ratio : best));
+}
+
+// How an aspect_ratios entry is made: the Firefly ratio and size it is generated
+// at, and for a channel its delivery size
+function outputFormat(brief, format) {
+  if (isFireflyRatio(format)) {
+    return { format, ratio: format, size: FIREFLY_SIZES[format], delivery: null };
+  }
+  const preset = channelPresets(brief)[format];
+  if (!preset) {
+    throw new Error(`Unknown output format "${format}"`);
+  }
+  const ratio = nearestFireflyRatio(preset);
+  return {
+    format,
+    ratio,
+    size: FIREFLY_SIZES[ratio],
+    delivery: { channel: format, width: preset.width, height: preset.height, crop: preset.crop || 'center' }
+  };
+}
+
+// Size of the finished output
+function outputSize(brief, format) {
+  const { size, delivery } = outputFormat(brief, format);
+  return delivery ? { width: delivery.width, height: delivery.height } : size;
+}
+
+// Crop and resize a background to a channel's delivery size; Firefly ratios pass through
+async function fitToDelivery(buffer, delivery) {
+  if (!delivery) return buffer;
+  return sharp(buffer)
+    .resize(delivery.width, delivery.height, { fit: 'cover', position: delivery.crop })
+    .toBuffer();
+}
+
+// Validation issues for aspect_ratios entries, layout ratio overrides and
+// encodings keys that are neither a Firefly ratio nor a channel preset
+function formatIssues(brief, filename) {
+  const known = [...Object.keys(FIREFLY_SIZES), ...Object.keys(channelPresets(brief))];
+  const unknown = (format) => !known.includes(format);
+  const expected = `expected a Firefly ratio (${Object.keys(FIREFLY_SIZES).join(', ')}) or a channel (${Object.keys(channelPresets(brief)).join(', ')})`;
+  const layoutIssues = (layout, layoutPath) => Object.keys(layout?.ratios || {})
+    .filter(unknown)
+    .map(format => ({ file: filename, path: `${layoutPath}.ratios.${format}`, message: `unsupported key "${format}" (${expected})` }));
+
+  return [
+    ...brief.aspect_ratios
+      .map((format, index) => ({ format, index }))
+      .filter(({ format }) => unknown(format))
+      .map(({ format, index }) => ({ file: filename, path: `campaign.aspect_ratios[${index}]`, message: `unsupported value "${format}" (${expected})` })),
+    ...layoutIssues(brief.layout, 'campaign.layout'),
+    ...Object.keys(brief.encodings || {})
+      .filter(format => format !== '*' && unknown(format))
+      .map(format => ({ file: filename, path: `campaign.encodings.${format}`, message: `unsupported key "${format}" (${expected})` })),
+    ...Object.entries(brief.product_categories).flatMap(([category, config]) =>
+      config.target_regions.flatMap((region, index) =>
+        layoutIssues(region.layout, `campaign.product_categories.${category}.target_regions[${index}].layout`)))
+  ];
+}
+
+export {
+  FIREFLY_SIZES,
+  CHANNEL_PRESETS,
+  CROP_POSITIONS,
+  MAX_CHANNEL_SIZE,
+  FORMAT_PATTERN,
+  channelPresets,
+  outputFormat,
+  outputSize,
+  fitToDelivery,
+  formatIssues
+};
@@ -0,0 +1,251 @@
+// Brand and legibility checks on finished outputs. Each success entry gets a
+// `compliance` block; outputs that fail a check are flagged, not failed:
+//   contrast   WCAG contrast ratio between the headline colour and the
+//              background under the headline (the image before the overlay),
+//              measured against its brightest (or darkest) 10%
+//   logo       share of the logo's opaque pixels that are visible unchanged
+//              in the output, so a missing or covered logo scores low
+//   palette    share of the output's dominant colours that are close
+//              (CIE76 ΔE) to a colour of the brand palette
+// Checks without what they need (no logo, no palette) are skipped.
+//
+// Thresholds (campaign `compliance` section):
+//   enabled               false to skip the checks
+//   min_contrast          WCAG ratio; 3 is AA for large text
+//   min_logo_visibility   share of logo pixels, 0-1
+//   min_palette_match     share of dominant colours, 0-1
+//   palette_tolerance     largest ΔE that still counts as a brand colour
+
+import sharp from 'sharp';
+import { rasterizeLogo } from './brand.js';
+import { textBounds } from './text-layout.js';
+
+const DEFAULT_COMPLIANCE = {
+  enabled: true,
+  min_contrast: 3,
+  min_logo_visibility: 0.9,
+  min_palette_match: 0.3,
+  palette_tolerance: 20
+};
+
+// Dominant colours reported per output
+const DOMINANT_COLORS = 5;
+// RGB distance under which an output pixel still shows the logo pixel (allows for JPEG artefacts)
+const LOGO_PIXEL_TOLERANCE = 48;
+
+function resolveCompliance(brief) {
+  return { ...DEFAULT_COMPLIANCE, ...brief.compliance };
+}
+
+// --- Colour maths ---
+
+function hexToRgb(hex) {
+  const digits = hex.slice(1).length === 3 ? [...hex.slice(1)].map(d => d + d).join('') : hex.slice(1);
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// WCAG relative luminance
+function luminance([r, g, b]) {
+  const linear = (c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+const contrastRatio = (a, b) => (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+
+// sRGB to CIELAB (D65)
+function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map(c => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+  const xyz = [
+    (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047,
+    0.2126 * r + 0.7152 * g + 0.0722 * b,
+    (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883
+  ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+  return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+const deltaE = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Raw RGB pixels of a region, clipped to the image
+async function readRegion(buffer, box) {
+  const { width, height } = await sharp(buffer).metadata();
+  const left = Math.max(0, Math.min(width - 1, box.x));
+  const top = Math.max(0, Math.min(height - 1, box.y));
+  const region = {
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, box.width - (left - box.x))),
+    height: Math.max(1, Math.min(height - top, box.height - (top - box.y)))
+  };
+  const { data, info } = await sharp(buffer).removeAlpha().extract(region).raw().toBuffer({ resolveWithObject: true });
+  return { data, info, region };
+}
+
+// --- Checks ---
+
+// Contrast of the headline colour against the background under the headline,
+// at its worst (the brightest or darkest 10%) and at the median; null without a headline
+async function headlineContrast(background, textLayout, textColor) {
+  const bounds = textBounds(textLayout);
+  if (bounds.height === 0) return null;
+
+  const { data } = await readRegion(background, bounds);
+  const luminances = [];
+  for (let i = 0; i < data.length; i += 3) luminances.push(luminance([data[i], data[i + 1], data[i + 2]]));
+  luminances.sort((a, b) => a - b);
+
+  // Light text is hardest to read on the brightest background, dark text on the darkest
+  const text = luminance(hexToRgb(textColor));
+  const median = luminances[Math.floor(luminances.length / 2)];
+  const worst = text > median ? luminances[Math.floor(luminances.length * 0.9)] : luminances[Math.floor(luminances.length * 0.1)];
+  return { ratio: contrastRatio(text, worst), medianRatio: contrastRatio(text, median) };
+}
+
+async function checkContrast(background, textLayout, textColor, minimum) {
+  const contrast = await headlineContrast(background, textLayout, textColor);
+  if (!contrast) return { skipped: true, reason: 'no headline' };
+
+  const { ratio } = contrast;
+  const passed = ratio >= minimum;
+  return {
+    passed,
+    score: round(Math.min(1, ratio / minimum)),
+    ratio: round(ratio),
+    medianRatio: round(contrast.medianRatio),
+    minimum,
+    ...(passed ? {} : { reason: `headline contrast ${round(ratio)}:1 is below ${minimum}:1` })
+  };
+}
+
+async function checkLogo(output, logo, placement, minimum) {
+  if (!logo || !placement) return { skipped: true, reason: 'no logo in the brand kit' };
+
+  const { box } = placement;
+  const { data: logoPng } = await rasterizeLogo(logo.file, box.width);
+  const { data: logoPixels, info: logoInfo } = await sharp(logoPng).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { data, info, region } = await readRegion(output, box);
+
+  let opaque = 0;
+  let visible = 0;
+  for (let y = 0; y < logoInfo.height; y++) {
+    for (let x = 0; x < logoInfo.width; x++) {
+      const source = (y * logoInfo.width + x) * logoInfo.channels;
+      // Only fully opaque logo pixels have a known colour in the output
+      if (logoPixels[source + 3] < 250) continue;
+      opaque++;
+
+      // Logo pixels outside the image are not visible
+      const outputX = box.x + x - region.left;
+      const outputY = box.y + y - region.top;
+      if (outputX < 0 || outputY < 0 || outputX >= info.width || outputY >= info.height) continue;
+      const target = (outputY * info.width + outputX) * 3;
+      const distance = Math.hypot(
+        data[target] - logoPixels[source],
+        data[target + 1] - logoPixels[source + 1],
+        data[target + 2] - logoPixels[source + 2]
+      );
+      if (distance <= LOGO_PIXEL_TOLERANCE) visible++;
+    }
+  }
+
+  const visibility = opaque === 0 ? 0 : visible / opaque;
+  const passed = visibility >= minimum;
+  return {
+    passed,
+    score: round(Math.min(1, visibility / minimum)),
+    visibility: round(visibility),
+    minimum,
+    ...(passed ? {} : { reason: `logo only ${Math.round(visibility * 100)}% visible (minimum ${Math.round(minimum * 100)}%)` })
+  };
+}
+
+// Most common colours, from a 64 × 64 thumbnail quantized to 4 bits per channel
+async function dominantColors(buffer, count = DOMINANT_COLORS) {
+  const { data } = await sharp(buffer).resize(64, 64, { fit: 'fill' }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 3) {
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { pixels: 0, sum: [0, 0, 0] };
+    bucket.pixels++;
+    bucket.sum[0] += data[i];
+    bucket.sum[1] += data[i + 1];
+    bucket.sum[2] += data[i + 2];
+    buckets.set(key, bucket);
+  }
+  const total = data.length / 3;
+  return [...buckets.values()]
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, count)
+    .map(bucket => ({ rgb: bucket.sum.map(c => c / bucket.pixels), share: bucket.pixels / total }));
+}
+
+async function checkPalette(output, palette, minimum, tolerance) {
+  if (!palette?.length) return { skipped: true, reason: 'no brand palette' };
+
+  const paletteLab = palette.map(color => ({ color, lab: rgbToLab(hexToRgb(color)) }));
+  const dominant = (await dominantColors(output)).map(({ rgb, share }) => {
+    const lab = rgbToLab(rgb);
+    const nearest = paletteLab
+      .map(entry => ({ color: entry.color, deltaE: deltaE(lab, entry.lab) }))
+      .sort((a, b) => a.deltaE - b.deltaE)[0];
+    return { color: rgbToHex(rgb), share: round(share, 3), nearest: nearest.color, deltaE: round(nearest.deltaE, 1) };
+  });
+
+  const dominantShare = dominant.reduce((sum, color) => sum + color.share, 0);
+  const matchedShare = dominant.filter(color => color.deltaE <= tolerance).reduce((sum, color) => sum + color.share, 0);
+  const match = dominantShare === 0 ? 0 : matchedShare / dominantShare;
+  const passed = match >= minimum;
+  return {
+    passed,
+    score: round(Math.min(1, match / minimum)),
+    match: round(match),
+    minimum,
+    dominant,
+    ...(passed ? {} : { reason: `${Math.round(match * 100)}% of dominant colours match the brand palette (minimum ${Math.round(minimum * 100)}%)` })
+  };
+}
+
+// Compliance block for one output. `background` is the image the overlay was
+// drawn on; `placements` are the brand elements addTextOverlay placed
+async function checkCompliance(output, { background, textLayout, brand, placements = {}, settings = DEFAULT_COMPLIANCE }) {
+  const checks = {
+    contrast: await checkContrast(background, textLayout, brand.colors.text, settings.min_contrast),
+    logo: await checkLogo(output, brand.logo, placements.logo, settings.min_logo_visibility),
+    palette: await checkPalette(output, brand.palette, settings.min_palette_match, settings.palette_tolerance)
+  };
+
+  const applied = Object.values(checks).filter(check => !check.skipped);
+  return {
+    passed: applied.every(check => check.passed),
+    score: applied.length === 0 ? null : round(applied.reduce((sum, check) => sum + check.score, 0) / applied.length),
+    checks,
+    reasons: applied.filter(check => !check.passed).map(check => check.reason)
+  };
+}
+
+// Passed/flagged counts over success entries, for the results summary
+function complianceSummary(entries) {
+  const checked = entries.filter(entry => entry.compliance && typeof entry.compliance.passed === 'boolean');
+  const passed = checked.filter(entry => entry.compliance.passed).length;
+  return { checked: checked.length, passed, flagged: checked.length - passed };
+}
+
+export {
+  DEFAULT_COMPLIANCE,
+  resolveCompliance,
+  contrastRatio,
+  luminance,
+  headlineContrast,
+  dominantColors,
+  checkCompliance,
+  complianceSummary
+};
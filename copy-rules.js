@@ -0,0 +1,110 @@
+// Copy rules for region messages and prompts (campaign `copy_rules` section):
+//   prohibited    words or claims a region's message and background_prompt may
+//                 not contain, keyed by "*" (every region), a language ("de") or
+//                 a locale ("de-DE"); every key that matches the region applies
+//   disclaimers   text a region's message must contain, keyed by region code
+// Matching ignores case and, for scripts written with spaces, matches whole
+// words only ("cure" does not match "secure"). Violations in the brief block the
+// affected category/region jobs before any API call; the message is checked
+// again as rendered, so a disclaimer lost to truncation also blocks the output.
+
+// Scripts whose words are separated by spaces, so terms match at word boundaries
+const WORD_SCRIPT = /[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}\p{N}]/u;
+
+// Copy that breaks the campaign's copy rules; classified like moderated content
+class CopyViolationError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'CopyViolationError';
+    this.errorClass = 'content_policy';
+    this.violations = violations;
+  }
+}
+
+const normalize = (text) => text.normalize('NFC');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPatterns = new Map();
+
+function termPattern(term) {
+  if (!termPatterns.has(term)) {
+    const words = normalize(term).trim().split(/\s+/);
+    const chars = [...words.join('')];
+    const start = WORD_SCRIPT.test(chars[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+    const end = WORD_SCRIPT.test(chars.at(-1)) ? '(?![\\p{L}\\p{N}])' : '';
+    termPatterns.set(term, new RegExp(`${start}${words.map(escapeRegExp).join('\\s+')}${end}`, 'iu'));
+  }
+  return termPatterns.get(term);
+}
+
+// Prohibited terms (with the key that listed them) and disclaimer of one region
+function rulesForRegion(brief, region) {
+  const { prohibited = {}, disclaimers = {} } = brief.copy_rules || {};
+  const language = region.locale.split('-')[0];
+  return {
+    prohibited: ['*', language, region.locale]
+      .filter(key => prohibited[key])
+      .flatMap(key => prohibited[key].map(term => ({ term, rule: key }))),
+    disclaimer: disclaimers[region.code] || null
+  };
+}
+
+function prohibitedTerms(text, field, rules) {
+  return rules.prohibited
+    .filter(({ term }) => termPattern(term).test(normalize(text)))
+    .map(({ term, rule }) => ({ field, term, rule, message: `${field} contains prohibited term "${term}" (copy_rules.prohibited["${rule}"])` }));
+}
+
+// Disclaimers are compared without case or whitespace, which line wrapping changes
+function missingDisclaimer(text, field, rules) {
+  if (!rules.disclaimer) return [];
+  const squash = (value) => normalize(value).toLocaleLowerCase().replace(/\s+/g, '');
+  if (squash(text).includes(squash(rules.disclaimer))) return [];
+  return [{ field, disclaimer: rules.disclaimer, message: `${field} is missing the required disclaimer "${rules.disclaimer}"` }];
+}
+
+// Violations in a region's copy as written in the brief
+function checkRegionCopy(brief, region) {
+  const rules = rulesForRegion(brief, region);
+  return [
+    ...prohibitedTerms(region.message, 'message', rules),
+    ...prohibitedTerms(region.background_prompt, 'background_prompt', rules),
+    ...missingDisclaimer(region.message, 'message', rules)
+  ];
+}
+
+// Violations in the lines actually drawn on an output
+function checkRenderedCopy(lines, rules) {
+  const text = lines.join(' ');
+  return [...prohibitedTerms(text, 'rendered message', rules), ...missingDisclaimer(text, 'rendered message', rules)];
+}
+
+// Category/region pairs of the brief whose copy breaks the rules
+function briefCopyViolations(brief) {
+  return Object.entries(brief.product_categories).flatMap(([category, config]) =>
+    config.target_regions
+      .map((region, index) => ({ category, region: region.code, index, violations: checkRegionCopy(brief, region) }))
+      .filter(entry => entry.violations.length > 0)
+  );
+}
+
+// Validation issues for every violation in the brief
+function copyRuleIssues(brief, filename) {
+  return briefCopyViolations(brief).flatMap(({ category, index, violations }) =>
+    violations.map(violation => ({
+      file: filename,
+      path: `campaign.product_categories.${category}.target_regions[${index}].${violation.field}`,
+      message: violation.message
+    }))
+  );
+}
+
+export {
+  CopyViolationError,
+  rulesForRegion,
+  checkRegionCopy,
+  checkRenderedCopy,
+  briefCopyViolations,
+  copyRuleIssues
+};
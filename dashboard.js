@@ -0,0 +1,408 @@
+// Local web dashboard (`dashboard` command) for browsing runs without opening
+// results and log files by hand. Pages:
+//   /                             results files in the results directory, newest first
+//   /runs/<results file>          the run's outputs (?category=&region=&ratio=), review
+//                                 state, and per-job step timings and errors from its ledger
+//   /logs?file=<name>&lines=<n>   tail of a log file (default: the newest app log);
+//                                 &follow=1 reloads every few seconds
+// and, for outputs of a run, both fetched through a freshly presigned URL since
+// the ones recorded in the results expire after an hour:
+//   /image?run=<file>&key=<s3Key>[&width=<px>]   the image (or a JPEG thumbnail)
+//   /link?run=<file>&key=<s3Key>                 redirect to a fresh URL
+// Listens on 127.0.0.1 only; files are only served when they appear in the
+// results or log directory listing, and images only for keys the run recorded.
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import sharp from 'sharp';
+import { listResultsFiles, loadResults, describeReview } from './report.js';
+import { ReviewStore } from './reviews.js';
+import { escapeHtml } from './proof-sheet.js';
+import { createStorage } from './storage.js';
+import { downloadBuffer } from './image-transfer.js';
+import { getMimeType } from './firefly-utils.js';
+import { resultJobKey } from './pipeline.js';
+import { JOB_STEPS } from './ledger.js';
+import { formatBytes } from './cache.js';
+import logger from './logger.js';
+
+const DEFAULT_DASHBOARD_PORT = 3000;
+const DEFAULT_LOG_LINES = 200;
+const MAX_LOG_LINES = 5000;
+// Only the end of a log file is read for the tail
+const LOG_TAIL_BYTES = 1024 * 1024;
+const FOLLOW_REFRESH_SECONDS = 5;
+const THUMBNAIL_WIDTH = 320;
+const URL_EXPIRATION_SECONDS = 3600;
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #222; background: #f6f6f4; }
+  nav { background: #222; padding: 10px 24px; }
+  nav a { color: #fff; margin-right: 16px; text-decoration: none; font-weight: 600; }
+  main { padding: 16px 24px; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  h2 { font-size: 17px; margin: 24px 0 8px; }
+  .meta { color: #666; font-size: 13px; margin: 2px 0; }
+  table { border-collapse: collapse; font-size: 13px; background: #fff; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  form { margin: 8px 0 16px; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 10px; width: ${THUMBNAIL_WIDTH}px; font-size: 12px; }
+  .card img { display: block; max-width: 100%; margin-bottom: 6px; background: #eee; min-height: 60px; }
+  .card.failed { border-color: #d9534f; background: #fff6f6; }
+  .card.flagged { border-color: #f0ad4e; }
+  .card.approved { border-color: #5cb85c; }
+  .card.rejected { border-color: #d9534f; }
+  .label { font-weight: 600; word-break: break-all; }
+  .message { font-size: 14px; margin: 4px 0; }
+  .failed, .error { color: #b52b27; }
+  .running { color: #8a6d3b; }
+  pre { background: #111; color: #ddd; padding: 12px; font-size: 12px; overflow-x: auto; white-space: pre-wrap; }
+  pre .log-error { color: #ff6b6b; }
+  pre .log-warn { color: #f0ad4e; }
+`;
+
+function page(title, body, { refreshSeconds = null } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+${refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : ''}
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<nav><a href="/">Runs</a><a href="/logs">Logs</a></nav>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+const query = (params) => new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+
+const formatDuration = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+// s3Key → recorded URL of every stored file of a run: outputs, variations and encodings
+function storedFiles(results) {
+  const files = new Map();
+  const add = (output) => {
+    if (output?.s3Key) files.set(output.s3Key, output.presignedGetUrl);
+  };
+  for (const entry of results.success) {
+    add(entry);
+    (entry.variations || []).forEach(add);
+    (entry.variations || [entry]).forEach(output => (output.encodings || []).forEach(add));
+  }
+  return files;
+}
+
+// Success and failure entries matching the page's category/region/ratio filters
+function filteredEntries(results, filters) {
+  const matches = (entry) => ['category', 'region', 'ratio'].every(field => {
+    const value = { category: entry.productCategory, region: entry.region, ratio: entry.aspectRatio }[field];
+    return !filters[field] || filters[field] === value;
+  });
+  return [
+    ...results.success.filter(matches).map(entry => ({ ...entry, status: 'success' })),
+    ...results.failures.filter(matches).map(entry => ({ ...entry, status: 'failed' }))
+  ];
+}
+
+// Last `count` lines of a file, reading at most LOG_TAIL_BYTES from its end
+function tailLines(filePath, count) {
+  const { size } = fs.statSync(filePath);
+  const length = Math.min(size, LOG_TAIL_BYTES);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString('utf-8').split('\n');
+  // The first line is cut off when the file is longer than the chunk read
+  if (length < size) lines.shift();
+  return lines.slice(-count);
+}
+
+class Dashboard {
+  constructor({ outputDir, logDir = logger.logDir, storageBackend = null }) {
+    this.outputDir = outputDir;
+    this.logDir = logDir;
+    this.storageBackend = storageBackend;
+    // One storage per backend, created on first use
+    this.storages = new Map();
+    this.server = null;
+    this.url = null;
+  }
+
+  async listen(port = DEFAULT_DASHBOARD_PORT) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error("Dashboard: request failed", { url: req.url, error: error.message });
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`Internal error: ${error.message}`);
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    logger.info("Dashboard: listening", { url: this.url, outputDir: this.outputDir, logDir: this.logDir });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    for (const storage of this.storages.values()) {
+      await (await storage).close();
+    }
+    this.storages.clear();
+  }
+
+  // The storage a run wrote to (or the --storage override)
+  storageFor(results) {
+    const name = this.storageBackend || results.run?.storage || process.env.STORAGE_BACKEND || 's3';
+    if (!this.storages.has(name)) this.storages.set(name, createStorage(name));
+    return this.storages.get(name);
+  }
+
+  // A results file by name, only if it is in the results directory
+  runFile(name) {
+    return listResultsFiles(this.outputDir).find(file => path.basename(file) === name) || null;
+  }
+
+  logFiles() {
+    if (!fs.existsSync(this.logDir)) return [];
+    return fs.readdirSync(this.logDir)
+      .filter(file => file.endsWith('.log'))
+      .map(file => ({ name: file, path: path.join(this.logDir, file), stats: fs.statSync(path.join(this.logDir, file)) }))
+      .sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs);
+  }
+
+  async handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(url.searchParams);
+
+    if (url.pathname === '/') {
+      this.send(res, 200, 'text/html; charset=utf-8', this.runsPage());
+    } else if (url.pathname.startsWith('/runs/')) {
+      const file = this.runFile(decodeURIComponent(url.pathname.slice('/runs/'.length)));
+      if (!file) return this.notFound(res);
+      this.send(res, 200, 'text/html; charset=utf-8', this.runPage(file, params));
+    } else if (url.pathname === '/image' || url.pathname === '/link') {
+      await this.serveOutput(res, url.pathname === '/link', params);
+    } else if (url.pathname === '/logs') {
+      const body = this.logsPage(params);
+      if (!body) return this.notFound(res);
+      this.send(res, 200, 'text/html; charset=utf-8', body);
+    } else {
+      this.notFound(res);
+    }
+  }
+
+  send(res, status, contentType, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+    res.end(body);
+  }
+
+  notFound(res) {
+    this.send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+  }
+
+  // Stored file of a run through a freshly presigned URL; file:// URLs cannot be
+  // opened from a page, so /link serves those through /image instead
+  async serveOutput(res, redirect, { run, key, width }) {
+    const file = run && this.runFile(run);
+    const results = file && loadResults(file);
+    const recordedUrl = results && storedFiles(results).get(key);
+    if (recordedUrl === undefined) return this.notFound(res);
+
+    const storage = await this.storageFor(results);
+    const freshUrl = await storage.client.getPresignedGetUrl(storage.bucket, key, URL_EXPIRATION_SECONDS);
+    if (redirect) {
+      const location = /^https?:/.test(freshUrl) ? freshUrl : `/image?${query({ run, key })}`;
+      this.send(res, 302, 'text/plain; charset=utf-8', '', { Location: location });
+      return;
+    }
+
+    let buffer;
+    try {
+      buffer = await downloadBuffer(freshUrl);
+    } catch (error) {
+      logger.warn("Dashboard: fresh URL failed, trying the recorded one", { key, error: error.message });
+      buffer = await downloadBuffer(recordedUrl);
+    }
+    if (width) {
+      const thumbnail = await sharp(buffer).resize({ width: Math.min(Number(width) || THUMBNAIL_WIDTH, 2048), withoutEnlargement: true }).jpeg({ quality: 75 }).toBuffer();
+      this.send(res, 200, 'image/jpeg', thumbnail);
+    } else {
+      this.send(res, 200, getMimeType(key), buffer);
+    }
+  }
+
+  runsPage() {
+    const rows = listResultsFiles(this.outputDir).map((file) => {
+      const name = path.basename(file);
+      let results;
+      try {
+        results = loadResults(file);
+      } catch (error) {
+        return `<tr><td>${escapeHtml(name)}</td><td colspan="7" class="error">${escapeHtml(error.message)}</td></tr>`;
+      }
+      const { run = {}, summary = {} } = results;
+      const reviews = new ReviewStore(file).summary(results.success.map(entry => entry.label));
+      const origin = run.rerunOf
+        ? `rerun of ${escapeHtml(path.basename(run.rerunOf))}`
+        : run.reproduceOf ? `reproduction of ${escapeHtml(run.reproduceOf.label)}` : '';
+      return `<tr>
+        <td><a href="/runs/${encodeURIComponent(name)}">${escapeHtml(name)}</a></td>
+        <td>${escapeHtml(run.campaignId)}</td>
+        <td>${escapeHtml(run.completedAt)}</td>
+        <td>${escapeHtml(run.executionTime)}</td>
+        <td>${summary.succeeded ?? results.success.length}</td>
+        <td class="${results.failures.length ? 'failed' : ''}">${summary.failed ?? results.failures.length}</td>
+        <td>${reviews.approved} approved, ${reviews.rejected} rejected, ${reviews.pending} pending</td>
+        <td>${origin}</td>
+      </tr>`;
+    });
+
+    const table = rows.length > 0
+      ? `<table><tr><th>Results</th><th>Campaign</th><th>Completed</th><th>Time</th><th>Succeeded</th><th>Failed</th><th>Review</th><th></th></tr>${rows.join('\n')}</table>`
+      : `<p class="meta">No results files in ${escapeHtml(this.outputDir)} yet.</p>`;
+    return page('Runs', `<h1>Runs</h1><p class="meta">${escapeHtml(path.resolve(this.outputDir))}</p>${table}`);
+  }
+
+  runPage(file, params) {
+    const name = path.basename(file);
+    const results = loadResults(file);
+    const reviews = new ReviewStore(file);
+    const { run = {}, summary = {} } = results;
+    const filters = { category: params.category, region: params.region, ratio: params.ratio };
+    const entries = filteredEntries(results, filters);
+
+    // Filter choices come from the run's own entries
+    const all = [...results.success, ...results.failures];
+    const select = (field, values) => `<label>${field} <select name="${field}" onchange="this.form.submit()">
+      <option value="">all</option>
+      ${[...new Set(values.filter(Boolean))].sort().map(value => `<option${value === filters[field] ? ' selected' : ''}>${escapeHtml(value)}</option>`).join('')}
+    </select></label>`;
+    const form = `<form method="get">
+      ${select('category', all.map(entry => entry.productCategory))}
+      ${select('region', all.map(entry => entry.region))}
+      ${select('ratio', all.map(entry => entry.aspectRatio))}
+      <noscript><button>Filter</button></noscript>
+    </form>`;
+
+    const imageUrl = (key, width) => `/image?${query({ run: name, key, width })}`;
+    const linkUrl = (key) => `/link?${query({ run: name, key })}`;
+    const cards = entries.map((entry) => {
+      if (entry.status === 'failed') {
+        return `<div class="card failed">
+          <div class="label">${escapeHtml(entry.assetName || 'unknown asset')}</div>
+          <div class="meta">${escapeHtml(`${entry.productCategory} · ${entry.region} · ${entry.aspectRatio}`)}</div>
+          <div class="error">${escapeHtml(entry.violations ? `blocked by copy rules: ${entry.violations.map(violation => violation.message).join('; ')}` : entry.error)}</div>
+          <div class="meta">${escapeHtml([entry.failedStep, entry.errorClass, entry.attempts && `${entry.attempts} attempt(s)`].filter(Boolean).join(' · '))}</div>
+        </div>`;
+      }
+      const review = reviews.get(entry.label);
+      const flagged = entry.compliance?.passed === false;
+      const classes = ['card', flagged && 'flagged', review.status !== 'pending' && review.status].filter(Boolean).join(' ');
+      const variations = (entry.variations || []).filter(variation => variation.s3Key !== entry.s3Key)
+        .map(variation => `<a href="${linkUrl(variation.s3Key)}">v${variation.variation}</a>`);
+      const encodings = (entry.encodings || [])
+        .map(encoding => `<a href="${linkUrl(encoding.s3Key)}">${escapeHtml(encoding.format)}</a> ${formatBytes(encoding.bytes)}`);
+      return `<div class="${classes}">
+        <a href="${linkUrl(entry.s3Key)}"><img src="${imageUrl(entry.s3Key, THUMBNAIL_WIDTH)}" loading="lazy" alt="${escapeHtml(entry.label)}"></a>
+        <div class="label">${escapeHtml(entry.label)}</div>
+        <div class="message" dir="auto">${escapeHtml(entry.message)}</div>
+        <div class="meta">review: ${escapeHtml(describeReview(review))}</div>
+        ${flagged ? `<div class="meta">⚠️ compliance ${entry.compliance.score}: ${escapeHtml(entry.compliance.reasons.join('; '))}</div>` : ''}
+        ${variations.length > 0 ? `<div class="meta">other variations: ${variations.join(' ')}</div>` : ''}
+        ${encodings.length > 0 ? `<div class="meta">${encodings.join(' · ')}</div>` : ''}
+      </div>`;
+    });
+
+    const body = `<h1>${escapeHtml(run.campaignId || name)}</h1>
+      <p class="meta">${escapeHtml(name)} · brief ${escapeHtml(run.briefPath)} · completed ${escapeHtml(run.completedAt)} (${escapeHtml(run.executionTime)}) · ${escapeHtml(run.provider)}/${escapeHtml(run.storage)}</p>
+      <p class="meta">Succeeded: ${summary.succeeded ?? results.success.length} · Failed: ${summary.failed ?? results.failures.length}${run.rerunOf ? ` · rerun of ${escapeHtml(run.rerunOf)}` : ''}</p>
+      ${form}
+      <h2>Outputs (${entries.length})</h2>
+      <div class="cards">${cards.join('\n')}</div>
+      <h2>Jobs</h2>
+      ${this.jobsTable(results, entries)}`;
+    return page(`${run.campaignId || name}: ${name}`, body);
+  }
+
+  // Step timings and errors from the run's ledger, for the jobs shown. The ledger
+  // holds the campaign's latest state, which a later run may have moved on.
+  jobsTable(results, entries) {
+    const ledgerFile = results.run?.ledger;
+    if (!ledgerFile || !fs.existsSync(ledgerFile)) {
+      return `<p class="meta">No job ledger${ledgerFile ? ` at ${escapeHtml(ledgerFile)}` : ' recorded for this run'}.</p>`;
+    }
+    const ledger = JSON.parse(fs.readFileSync(ledgerFile, 'utf-8'));
+    const keys = new Set(entries.map(resultJobKey));
+    const jobs = Object.entries(ledger.jobs || {}).filter(([key]) => keys.has(key));
+    const steps = [...new Set([...JOB_STEPS, ...jobs.flatMap(([, job]) => Object.keys(job.steps || {}))])];
+
+    const cell = (step) => {
+      if (!step) return '<td></td>';
+      const end = step.completedAt || step.failedAt;
+      const duration = end ? formatDuration(Date.parse(end) - Date.parse(step.startedAt)) : '';
+      const className = step.status === 'succeeded' ? '' : step.status;
+      return `<td class="${className}" title="${escapeHtml(step.error || step.startedAt)}">${escapeHtml(step.status === 'succeeded' ? duration : `${step.status} ${duration}`)}</td>`;
+    };
+    const rows = jobs.map(([key, job]) => `<tr>
+      <td>${escapeHtml(key)}</td>
+      <td class="${job.status === 'failed' ? 'failed' : ''}">${escapeHtml(job.status)}</td>
+      ${steps.map(step => cell(job.steps?.[step])).join('')}
+      <td class="error">${escapeHtml(job.error ? `${job.error.step}: ${job.error.message}${job.error.errorClass ? ` [${job.error.errorClass}, ${job.error.attempts} attempt(s)]` : ''}` : '')}</td>
+    </tr>`);
+
+    return `<p class="meta">Ledger ${escapeHtml(ledgerFile)}, updated ${escapeHtml(ledger.updatedAt)}</p>
+      <table><tr><th>Job</th><th>Status</th>${steps.map(step => `<th>${escapeHtml(step)}</th>`).join('')}<th>Error</th></tr>${rows.join('\n')}</table>`;
+  }
+
+  logsPage({ file, lines, follow }) {
+    const files = this.logFiles();
+    const selected = file
+      ? files.find(candidate => candidate.name === file)
+      : files.find(candidate => candidate.name.startsWith('app-')) || files[0];
+    if (file && !selected) return null;
+
+    const count = Math.min(Math.max(parseInt(lines) || DEFAULT_LOG_LINES, 1), MAX_LOG_LINES);
+    const fileLinks = files.map(candidate => `<a href="/logs?${query({ file: candidate.name, lines: count, follow })}">${escapeHtml(candidate.name)}</a> <span class="meta">${formatBytes(candidate.stats.size)}</span>`);
+    const tail = selected
+      ? tailLines(selected.path, count).map((line) => {
+        const level = line.match(/^\[[^\]]+\] (ERROR|WARN):/)?.[1];
+        return level ? `<span class="log-${level.toLowerCase()}">${escapeHtml(line)}</span>` : escapeHtml(line);
+      }).join('\n')
+      : '';
+    const followLink = follow
+      ? `<a href="/logs?${query({ file: selected?.name, lines: count })}">stop following</a>`
+      : `<a href="/logs?${query({ file: selected?.name, lines: count, follow: 1 })}">follow</a>`;
+
+    const body = `<h1>Logs</h1>
+      <p class="meta">${escapeHtml(path.resolve(this.logDir))}: ${fileLinks.join(' · ') || 'no log files'}</p>
+      ${selected ? `<h2>${escapeHtml(selected.name)}: last ${count} lines · ${followLink}</h2><pre>${tail}</pre>` : ''}`;
+    return page(`Logs${selected ? `: ${selected.name}` : ''}`, body, { refreshSeconds: follow ? FOLLOW_REFRESH_SECONDS : null });
+  }
+}
+
+export {
+  DEFAULT_DASHBOARD_PORT,
+  Dashboard
+};
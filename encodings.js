@@ -0,0 +1,96 @@
+// Delivery encodings of finished outputs (campaign `encodings` section). The
+// overlaid master keeps the source asset's format; each output format (a
+// Firefly ratio or channel name, or "*" for formats without their own list)
+// can list further files to make from it and store next to it:
+//   format          jpeg | webp | avif
+//   quality         quality tried first, 1-100 (default 85)
+//   min_quality     lowest quality tried to meet max_bytes (default 40)
+//   max_bytes       file-size budget; the highest quality that fits is used
+//   color_profile   srgb | p3: convert to and embed this ICC profile
+//   strip_metadata  drop EXIF/XMP and the ICC profile (default true; a
+//                   color_profile is embedded either way)
+// An encoding that is over budget even at min_quality is still stored, marked
+// withinBudget: false. JPEG has no alpha channel, so transparent areas are
+// flattened onto the brand's background colour.
+
+import sharp from 'sharp';
+
+const ENCODING_FORMATS = ['jpeg', 'webp', 'avif'];
+const COLOR_PROFILES = ['srgb', 'p3'];
+
+const DEFAULT_QUALITY = 85;
+const DEFAULT_MIN_QUALITY = 40;
+const DEFAULT_BACKGROUND = '#FFFFFF';
+
+const ENCODING_EXTENSIONS = { jpeg: '.jpg', webp: '.webp', avif: '.avif' };
+const ENCODING_MIME_TYPES = { jpeg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif' };
+
+// Encodings for an output format: its own list, else the "*" list
+function encodingsFor(brief, format) {
+  const encodings = brief.encodings || {};
+  return encodings[format] || encodings['*'] || [];
+}
+
+async function encodeAt(master, spec, quality, background) {
+  let image = sharp(master);
+  if (spec.format === 'jpeg') image = image.flatten({ background });
+  if (spec.color_profile) image = image.withIccProfile(spec.color_profile);
+  if (spec.strip_metadata === false) image = image.keepMetadata();
+  return image.toFormat(spec.format, { quality }).toBuffer();
+}
+
+// Encode a master to one spec. Without a budget the starting quality is used;
+// with one, the highest quality down to min_quality that fits is found by
+// bisection (file size falls with quality), or the smallest file if none fits.
+async function encodeOutput(master, spec, background = DEFAULT_BACKGROUND) {
+  const quality = spec.quality ?? DEFAULT_QUALITY;
+  const minQuality = Math.min(spec.min_quality ?? DEFAULT_MIN_QUALITY, quality);
+  const result = (buffer, used) => ({
+    buffer,
+    quality: used,
+    bytes: buffer.length,
+    withinBudget: spec.max_bytes ? buffer.length <= spec.max_bytes : null
+  });
+
+  const first = await encodeAt(master, spec, quality, background);
+  if (!spec.max_bytes || first.length <= spec.max_bytes) return result(first, quality);
+
+  let fit = null;
+  let smallest = { buffer: first, quality };
+  let low = minQuality;
+  let high = quality - 1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    const buffer = await encodeAt(master, spec, middle, background);
+    if (buffer.length < smallest.buffer.length) smallest = { buffer, quality: middle };
+    if (buffer.length <= spec.max_bytes) {
+      fit = { buffer, quality: middle };
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  const chosen = fit || smallest;
+  return result(chosen.buffer, chosen.quality);
+}
+
+// Counts for the results summary; every variation's encodings are counted
+function encodingSummary(entries) {
+  const encodings = entries.flatMap(entry =>
+    (entry.variations || [entry]).flatMap(output => output.encodings || []));
+  return {
+    files: encodings.length,
+    bytes: encodings.reduce((sum, encoding) => sum + encoding.bytes, 0),
+    overBudget: encodings.filter(encoding => encoding.withinBudget === false).length
+  };
+}
+
+export {
+  ENCODING_FORMATS,
+  COLOR_PROFILES,
+  ENCODING_EXTENSIONS,
+  ENCODING_MIME_TYPES,
+  encodingsFor,
+  encodeOutput,
+  encodingSummary
+};
@@ -2,8 +2,14 @@ import { v4 as uuidv4 } from 'uuid';
 import { StorageType, ImageFormatType } from "@adobe/photoshop-apis";
 import path from 'node:path';
 import sharp from 'sharp';
-import fetch from 'node-fetch';
 import logger from './logger.js';
+import { downloadBuffer, uploadBuffer } from './image-transfer.js';
+import { withRetry } from './retry.js';
+import { DEFAULT_LAYOUT, layoutText } from './text-layout.js';
+import { DEFAULT_FONT, checkGlyphCoverage, escapeXml } from './fonts.js';
+import { DEFAULT_BRAND, brandOverlay } from './brand.js';
+import { CopyViolationError, checkRenderedCopy } from './copy-rules.js';
+import { fitToDelivery } from './channels.js';
 
 async function uploadImage(firefly, imageBuffer, filename) {
   try {
@@ -14,7 +20,7 @@ async function uploadImage(firefly, imageBuffer, filename) {
     const mimeType = getMimeType(filename);
     logger.debug("Using MIME type", { filename, mimeType });
     
-    const uploadResult = await firefly.upload(new Blob([imageBuffer], { type: mimeType }));
+    const uploadResult = await withRetry('uploadImage', () => firefly.upload(new Blob([imageBuffer], { type: mimeType })));
     logger.info("uploadImage: Upload completed", { filename });
     
     return uploadResult;
@@ -24,9 +30,9 @@ async function uploadImage(firefly, imageBuffer, filename) {
   }
 }
 
-async function expandImage (firefly, imageId, expandedWidth, expandedHeight, numVariations) {
+async function expandImage (firefly, imageId, expandedWidth, expandedHeight, numVariations, seeds = null) {
   try {
-    console.log(`expandImage: Starting gen expand image to: ${expandedWidth}x${expandedHeight}`);
+    logger.info("expandImage: Starting gen expand", { width: expandedWidth, height: expandedHeight, numVariations });
 
     const ffInput = {
       image: {
@@ -35,20 +41,21 @@ async function expandImage (firefly, imageId, expandedWidth, expandedHeight, num
         }
       },
       numVariations: numVariations,
+      ...(seeds ? { seeds } : {}),
       size: {
         width: expandedWidth,
         height: expandedHeight
       }
     };
 
-    const expandResults = await firefly.expandImage(ffInput);
-    console.log(`expandImage: gen expand completed`);
+    const expandResults = await withRetry('expandImage', () => firefly.expandImage(ffInput));
+    logger.info("expandImage: gen expand completed");
 
     return {
       expandResults: expandResults.result
     };
   } catch (error) {
-    console.log("expandImage: Error expanding image", error);
+    logger.error("expandImage: Error expanding image", { error: error.message });
     throw error;
   }
 }
@@ -60,7 +67,7 @@ async function createMask (s3Client, photoshop, originalPresignedGetUrl, baseIma
     const baseImageNameWithoutExt = path.basename(baseImageFilename, baseImageExtension);
     const maskFilePath = `${s3_key_prefix}/${baseImageNameWithoutExt}_mask_${uuidv4()}${baseImageExtension}`;
 
-    console.log("CREATE MASK: Starting pre-signed URL generation for mask.");
+    logger.info("createMask: Generating presigned URLs for the mask", { key: maskFilePath });
     const maskPresignedPutUrl = await s3Client.getPresignedPutUrl(s3_bucket, maskFilePath, 3600);
     const maskPresignedGetUrl = await s3Client.getPresignedGetUrl(s3_bucket, maskFilePath, 3600);
 
@@ -74,12 +81,12 @@ async function createMask (s3Client, photoshop, originalPresignedGetUrl, baseIma
       storage: StorageType.EXTERNAL
     };
 
-    console.log("CREATE MASK: Starting mask creation in Photoshop.");
-    const createMaskResult = await photoshop.createMask({ input: psInput, output: psOutput });
-    console.log("CREATE MASK: Mask created. Status:", createMaskResult.result.status);
+    logger.info("createMask: Starting mask creation in Photoshop");
+    const createMaskResult = await withRetry('createMask', () => photoshop.createMask({ input: psInput, output: psOutput }));
+    logger.info("createMask: Mask created", { status: createMaskResult.result.status });
 
 
-    console.log("CREATE MASK: Starting mask inversion in Photoshop.");
+    logger.info("createMask: Starting mask inversion in Photoshop");
     const maskInput = [{
       href: maskPresignedGetUrl,
       storage: StorageType.EXTERNAL
@@ -87,7 +94,7 @@ async function createMask (s3Client, photoshop, originalPresignedGetUrl, baseIma
 
     const invertMaskFilePath = `${s3_key_prefix}/${baseImageNameWithoutExt}_inverted_mask_${uuidv4()}${baseImageExtension}`;
 
-    console.log("CREATE INVERT MASK: Starting pre-signed URL generation for inverting mask.");
+    logger.info("createMask: Generating presigned URLs for the inverted mask", { key: invertMaskFilePath });
     const invertMaskPresignedPutUrl = await s3Client.getPresignedPutUrl(s3_bucket, invertMaskFilePath, 3600);
     const invertMaskPresignedGetUrl = await s3Client.getPresignedGetUrl(s3_bucket, invertMaskFilePath, 3600);
 
@@ -105,20 +112,22 @@ async function createMask (s3Client, photoshop, originalPresignedGetUrl, baseIma
       ]
     };
 
-    const invertMaskResult = await photoshop.playPhotoshopActionsJson({ inputs: maskInput, outputs: maskOutput, options: invertFilter });
-    console.log("CREATE MASK: Mask inverted. Status:", invertMaskResult.result.outputs[0].status);
+    const invertMaskResult = await withRetry('invertMask', () =>
+      photoshop.playPhotoshopActionsJson({ inputs: maskInput, outputs: maskOutput, options: invertFilter })
+    );
+    logger.info("createMask: Mask inverted", { status: invertMaskResult.result.outputs[0].status });
 
     return invertMaskPresignedGetUrl;
 
   } catch (error) {
-    console.log("CREATE MASK: Error creating mask in Photoshop", error);
+    logger.error("createMask: Error creating mask in Photoshop", { error: error.message });
     throw error;
   }
 }
 
-async function fillImage (firefly, sourcePresignedGetUrl, maskPresignedGetUrl, prompt, numVariations, promptBiasingLocaleCode = "en-US") {
+async function fillImage (firefly, sourcePresignedGetUrl, maskPresignedGetUrl, prompt, numVariations, promptBiasingLocaleCode = "en-US", seeds = null) {
   try {
-    console.log(`fillImage: Starting gen fill image with prompt: ${prompt}`);
+    logger.info("fillImage: Starting gen fill", { prompt, numVariations });
 
     const ffInput = {
       image: {
@@ -131,16 +140,17 @@ async function fillImage (firefly, sourcePresignedGetUrl, maskPresignedGetUrl, p
       },
       prompt: prompt,
       numVariations: numVariations,
+      ...(seeds ? { seeds } : {}),
       promptBiasingLocaleCode: promptBiasingLocaleCode
     };
 
-    const fillImageResults = await firefly.fillImage(ffInput);
-    console.log(`fillImage: gen fill image completed`);
+    const fillImageResults = await withRetry('fillImage', () => firefly.fillImage(ffInput));
+    logger.info("fillImage: gen fill completed");
 
     return fillImageResults.result;
 
   } catch (error) {
-    console.log("fillImage: Error filling image", error);
+    logger.error("fillImage: Error filling image", { error: error.message });
     throw error;
   }
 }
@@ -161,8 +171,8 @@ function getMimeType(filename) {
   }
 }
 
-// Add text overlay using Sharp
-async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent, imageFormat, baseImageExtension) {
+// Add text overlay using Sharp; the message is wrapped, sized and placed by the layout engine
+async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent, imageFormat, baseImageExtension, layout = DEFAULT_LAYOUT, font = { ...DEFAULT_FONT, script: 'default' }, brand = DEFAULT_BRAND, copyRules = null, delivery = null) {
   try {
     logger.info("addTextOverlay: Starting text overlay with Sharp", {
       textContent,
@@ -170,13 +180,8 @@ async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent
       outputUrl: outputPresignedUrl.substring(0, 100) + "..."
     });
     
-    // Download the input image
-    const response = await fetch(inputPresignedUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
-    }
-    
-    const imageBuffer = Buffer.from(await response.arrayBuffer());
+    // Download the input image; channel outputs are cropped to their delivery size first
+    const imageBuffer = await fitToDelivery(await downloadBuffer(inputPresignedUrl), delivery);
     
     // Get image dimensions to position text properly
     const metadata = await sharp(imageBuffer).metadata();
@@ -184,35 +189,64 @@ async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent
     
     logger.info("addTextOverlay: Image dimensions", { width, height });
     
-    // Calculate text positioning (top left of image)
-    const fontSize = Math.floor(width / 20); // Reduced font size (was width/15)
-    const textX = Math.floor(width * 0.05); // 5% from left edge
-    const textY = Math.floor(height * 0.1); // 10% from top edge
+    // Wrap and fit the message into the layout's text box
+    const textLayout = layoutText(textContent, width, height, layout);
+    if (textLayout.overflow) {
+      logger.warn("addTextOverlay: Message does not fit at the minimum font size, truncated", {
+        textContent,
+        lines: textLayout.lines.map(line => line.text)
+      });
+    }
+    
+    // The rendered lines may end in an ellipsis the message does not have
+    checkGlyphCoverage(textLayout.lines.map(line => line.text).join(''), font);
+    
+    // The brief's copy was checked before the run; truncation can still cut off a disclaimer
+    if (copyRules) {
+      const violations = checkRenderedCopy(textLayout.lines.map(line => line.text), copyRules);
+      if (violations.length > 0) {
+        throw new CopyViolationError(`Copy rules: ${violations.map(violation => violation.message).join('; ')}`, violations);
+      }
+    }
+    
+    // Logo and CTA lockup from the brand kit
+    const branding = await brandOverlay(brand, { width, height, layout, textLayout, font });
     
     // Create SVG text overlay
+    const tspans = textLayout.lines
+      .map(line => `<tspan x="${line.x}" y="${line.y}">${escapeXml(line.text)}</tspan>`)
+      .join('');
     const svgText = `
       <svg width="${width}" height="${height}">
         <defs>
           <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
-            <feDropShadow dx="2" dy="2" stdDeviation="3" flood-color="black" flood-opacity="0.8"/>
+            <feDropShadow dx="2" dy="2" stdDeviation="3" flood-color="${brand.colors.shadow}" flood-opacity="0.8"/>
           </filter>
         </defs>
-        <text x="${textX}" y="${textY}" 
-              font-family="Arial, sans-serif" 
-              font-size="${fontSize}" 
+        <text font-family="${escapeXml(`'${font.family}', sans-serif`)}" 
+              font-size="${textLayout.fontSize}" 
               font-weight="normal"
-              font-style="italic"
-              fill="white" 
-              text-anchor="start" 
+              font-style="${font.style}"
+              fill="${brand.colors.text}" 
+              direction="${textLayout.direction}"
+              xml:lang="${escapeXml(layout.locale)}"
+              text-anchor="${textLayout.textAnchor}" 
               filter="url(#shadow)"
-              stroke="black" 
-              stroke-width="2">
-          ${textContent}
-        </text>
+              stroke="${brand.colors.stroke}" 
+              stroke-width="2">${tspans}</text>${branding.svg}
       </svg>
     `;
     
-    logger.info("addTextOverlay: Text styling", { fontSize, position: `(${textX}, ${textY})`, content: textContent });
+    logger.info("addTextOverlay: Text styling", {
+      fontSize: textLayout.fontSize,
+      anchor: textLayout.anchor,
+      direction: textLayout.direction,
+      font: font.family,
+      box: textLayout.box,
+      brand: Object.keys(branding.placements),
+      lines: textLayout.lines.length,
+      content: textContent
+    });
     
     // Apply text overlay
     const formatWithoutDot = baseImageExtension.replace('.', ''); // Remove dot from extension
@@ -221,25 +255,14 @@ async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent
           input: Buffer.from(svgText),
           top: 0,
           left: 0
-        }])
+        }, ...branding.composites])
         .toFormat(formatWithoutDot)
         .toBuffer();
     
     logger.info("addTextOverlay: Text overlay applied", { outputSize: `${outputBuffer.length} bytes`, format: formatWithoutDot });
     
     // Upload the result to the output URL
-    const uploadResponse = await fetch(outputPresignedUrl, {
-      method: 'PUT',
-      body: outputBuffer,
-      headers: {
-        'Content-Type': imageFormat,
-        'Content-Length': outputBuffer.length.toString()
-      }
-    });
-    
-    if (!uploadResponse.ok) {
-      throw new Error(`Failed to upload result: ${uploadResponse.status} ${uploadResponse.statusText}`);
-    }
+    await uploadBuffer(outputPresignedUrl, outputBuffer, imageFormat);
     
     logger.info("addTextOverlay: Successfully uploaded result", { size: `${outputBuffer.length} bytes` });
     
@@ -247,8 +270,11 @@ async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent
       status: 'succeeded',
       outputUrl: outputPresignedUrl,
       textContent: textContent,
-      fontSize: fontSize,
-      dimensions: { width, height }
+      fontSize: textLayout.fontSize,
+      layout: textLayout,
+      brand: branding.placements,
+      dimensions: { width, height },
+      bytes: outputBuffer.length
     };
     
   } catch (error) {
@@ -258,7 +284,7 @@ async function addTextOverlay(inputPresignedUrl, outputPresignedUrl, textContent
 }
 
 // Generate image using Firefly V3 async API
-async function generateImage(firefly, prompt, width, height, numVariations = 1, locale = "en-US") {
+async function generateImage(firefly, prompt, width, height, numVariations = 1, locale = "en-US", seeds = null) {
   try {
     logger.info("generateImage: Starting image generation", { 
       prompt: prompt.substring(0, 100) + "...", 
@@ -275,10 +301,11 @@ async function generateImage(firefly, prompt, width, height, numVariations = 1,
         height: height
       },
       promptBiasingLocaleCode: locale,
-      seeds: [Math.floor(Math.random() * 1000000)] // Random seed for variation
+      // One seed per variation; random unless the caller pins them
+      seeds: seeds || Array.from({ length: numVariations }, () => Math.floor(Math.random() * 1000000))
     };
 
-    const generateResult = await firefly.generateImages(generateInput);
+    const generateResult = await withRetry('generateImage', () => firefly.generateImages(generateInput));
     logger.info("generateImage: Image generation completed", { 
       status: generateResult.result?.status || 'unknown',
       outputCount: generateResult.result?.outputs?.length || 0
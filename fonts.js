@@ -0,0 +1,302 @@
+// Fonts for the headline overlay. A region's font is the first one set of:
+//   region font, campaign fonts.<script of the message>, the font file for
+//   that script in FONT_DIR if it has been put there, campaign fonts.default,
+//   the brand font (region brand.font, then campaign brand.font), Arial.
+// No font files ship with the repository; FONT_DIR is where a deployment puts them.
+// Font files are registered with fontconfig so the SVG renderer can find them
+// by family, and each job checks that the chosen font has a glyph for every
+// character of its message before any Firefly call is spent on it.
+//
+// Font settings (campaign fonts.<script>, region font or brand.font):
+//   family   font family name; read from the file when omitted
+//   file     .ttf, .otf or .ttc file, relative to FONT_DIR
+//   style    normal | italic
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import logger from './logger.js';
+
+const DEFAULT_FONT_DIR = './fonts';
+const FONT_SCRIPTS = ['default', 'arabic', 'hebrew', 'cjk', 'thai', 'devanagari'];
+const FONT_STYLES = ['normal', 'italic'];
+
+// System font used when nothing is configured; it has no file, so its glyphs are not checked
+const DEFAULT_FONT = { family: 'Arial', file: null, style: 'italic' };
+
+// Files looked up in FONT_DIR for scripts the default font does not cover
+const SCRIPT_FONT_FILES = {
+  arabic: 'NotoSansArabic-Regular.ttf',
+  hebrew: 'NotoSansHebrew-Regular.ttf',
+  cjk: 'NotoSansCJK-Regular.ttc',
+  thai: 'NotoSansThai-Regular.ttf',
+  devanagari: 'NotoSansDevanagari-Regular.ttf'
+};
+
+const SCRIPT_PATTERNS = {
+  arabic: /\p{Script=Arabic}/u,
+  hebrew: /\p{Script=Hebrew}/u,
+  cjk: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u,
+  thai: /\p{Script=Thai}/u,
+  devanagari: /\p{Script=Devanagari}/u
+};
+
+// Font failures are configuration errors: retrying the job cannot fix them
+class FontError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FontError';
+    Object.assign(this, details);
+  }
+}
+
+const fontDir = () => process.env.FONT_DIR || DEFAULT_FONT_DIR;
+
+// First script of the message that needs its own font, or "default"
+function textScript(text = '') {
+  for (const char of text) {
+    const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+    if (script) return script;
+  }
+  return 'default';
+}
+
+// --- Font file parsing (sfnt: TrueType, OpenType, collections) ---
+
+// Table offsets of the first font in the file
+function readTableDirectory(buffer) {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 4) === 'ttcf') offset = buffer.readUInt32BE(12);
+
+  const version = buffer.readUInt32BE(offset);
+  if (version !== 0x00010000 && buffer.toString('ascii', offset, offset + 4) !== 'OTTO' && buffer.toString('ascii', offset, offset + 4) !== 'true') {
+    throw new Error('not a TrueType/OpenType font (WOFF and WOFF2 are not supported)');
+  }
+
+  const tables = {};
+  const numTables = buffer.readUInt16BE(offset + 4);
+  for (let i = 0; i < numTables; i++) {
+    const record = offset + 12 + i * 16;
+    tables[buffer.toString('ascii', record, record + 4)] = buffer.readUInt32BE(record + 8);
+  }
+  return tables;
+}
+
+// Family name from the name table: typographic family (16) over family (1), Windows over Mac
+function readFamilyName(buffer, tableOffset) {
+  const count = buffer.readUInt16BE(tableOffset + 2);
+  const stringsOffset = tableOffset + buffer.readUInt16BE(tableOffset + 4);
+  const candidates = [];
+  for (let i = 0; i < count; i++) {
+    const record = tableOffset + 6 + i * 12;
+    const platformId = buffer.readUInt16BE(record);
+    const languageId = buffer.readUInt16BE(record + 4);
+    const nameId = buffer.readUInt16BE(record + 6);
+    if (nameId !== 1 && nameId !== 16) continue;
+    if (platformId !== 3 && platformId !== 1) continue;
+
+    const start = stringsOffset + buffer.readUInt16BE(record + 10);
+    const bytes = buffer.subarray(start, start + buffer.readUInt16BE(record + 8));
+    const name = platformId === 3 ? Buffer.from(bytes).swap16().toString('utf16le') : bytes.toString('latin1');
+    const rank = (nameId === 16 ? 0 : 2) + (platformId === 3 && languageId === 0x409 ? 0 : 1);
+    candidates.push({ name, rank });
+  }
+  return candidates.sort((a, b) => a.rank - b.rank)[0]?.name ?? null;
+}
+
+// Code point -> has a glyph, from the best Unicode cmap subtable (format 12, else 4)
+function readCharacterMap(buffer, tableOffset) {
+  const numSubtables = buffer.readUInt16BE(tableOffset + 2);
+  const subtables = [];
+  for (let i = 0; i < numSubtables; i++) {
+    const record = tableOffset + 4 + i * 8;
+    const platformId = buffer.readUInt16BE(record);
+    const encodingId = buffer.readUInt16BE(record + 2);
+    const offset = tableOffset + buffer.readUInt32BE(record + 4);
+    const unicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10));
+    if (unicode) subtables.push({ offset, format: buffer.readUInt16BE(offset) });
+  }
+
+  const full = subtables.find(subtable => subtable.format === 12);
+  if (full) {
+    const groups = [];
+    const numGroups = buffer.readUInt32BE(full.offset + 12);
+    for (let i = 0; i < numGroups; i++) {
+      const group = full.offset + 16 + i * 12;
+      groups.push([buffer.readUInt32BE(group), buffer.readUInt32BE(group + 4), buffer.readUInt32BE(group + 8)]);
+    }
+    return (codePoint) => groups.some(([start, end, startGlyph]) =>
+      codePoint >= start && codePoint <= end && startGlyph + codePoint - start !== 0
+    );
+  }
+
+  const basic = subtables.find(subtable => subtable.format === 4);
+  if (basic) {
+    const segCountX2 = buffer.readUInt16BE(basic.offset + 6);
+    const endCodes = basic.offset + 14;
+    const startCodes = endCodes + segCountX2 + 2;
+    const idDeltas = startCodes + segCountX2;
+    const idRangeOffsets = idDeltas + segCountX2;
+    return (codePoint) => {
+      if (codePoint > 0xffff) return false;
+      for (let i = 0; i < segCountX2; i += 2) {
+        if (codePoint > buffer.readUInt16BE(endCodes + i)) continue;
+        const start = buffer.readUInt16BE(startCodes + i);
+        if (codePoint < start) return false;
+
+        const idDelta = buffer.readUInt16BE(idDeltas + i);
+        const idRangeOffset = buffer.readUInt16BE(idRangeOffsets + i);
+        if (idRangeOffset === 0) return ((codePoint + idDelta) & 0xffff) !== 0;
+        return buffer.readUInt16BE(idRangeOffsets + i + idRangeOffset + 2 * (codePoint - start)) !== 0;
+      }
+      return false;
+    };
+  }
+
+  throw new Error('no Unicode character map (format 4 or 12)');
+}
+
+const parsedFonts = new Map();
+
+// Family name and glyph lookup of a font file, parsed once per process
+function loadFontFile(file) {
+  const resolved = path.resolve(file);
+  if (!parsedFonts.has(resolved)) {
+    let font;
+    try {
+      const buffer = fs.readFileSync(resolved);
+      const tables = readTableDirectory(buffer);
+      if (tables.cmap === undefined) throw new Error('no cmap table');
+      font = {
+        file: resolved,
+        family: tables.name === undefined ? null : readFamilyName(buffer, tables.name),
+        hasGlyph: readCharacterMap(buffer, tables.cmap)
+      };
+    } catch (error) {
+      throw new FontError(`Cannot read font file ${file}: ${error.message}`, { fontFile: file });
+    }
+    parsedFonts.set(resolved, font);
+  }
+  return parsedFonts.get(resolved);
+}
+
+// --- Font resolution ---
+
+function resolveFontFile(file) {
+  return path.isAbsolute(file) ? file : path.join(fontDir(), file);
+}
+
+// Font setting with its file resolved and family filled in from the file
+function completeFont(setting, source) {
+  const file = setting.file ? resolveFontFile(setting.file) : null;
+  return {
+    family: setting.family || (file ? loadFontFile(file).family : null) || DEFAULT_FONT.family,
+    file,
+    style: setting.style || 'normal',
+    source
+  };
+}
+
+// Font that renders the region's message
+function resolveFont(brief, region) {
+  const campaignFonts = brief.fonts || {};
+  const script = textScript(region.message);
+
+  if (region.font) return { ...completeFont(region.font, 'region'), script };
+  if (script !== 'default' && campaignFonts[script]) return { ...completeFont(campaignFonts[script], `campaign:${script}`), script };
+
+  const scriptFile = SCRIPT_FONT_FILES[script];
+  if (scriptFile && fs.existsSync(resolveFontFile(scriptFile))) return { ...completeFont({ file: scriptFile }, 'font_dir'), script };
+
+  if (campaignFonts.default) return { ...completeFont(campaignFonts.default, 'campaign:default'), script };
+  const brandFont = region.brand?.font || brief.brand?.font;
+  if (brandFont) return { ...completeFont(brandFont, 'brand'), script };
+  return { ...DEFAULT_FONT, source: 'default', script };
+}
+
+// Characters that need a glyph: not whitespace, controls or invisible formatting (ZWJ, bidi marks)
+function visibleCharacters(text) {
+  return [...new Set(text)].filter(char => !/[\s\p{Cc}\p{Cf}]/u.test(char));
+}
+
+// Throws a FontError when the font cannot render the text. A font without a
+// file can only be trusted with the default script
+function checkGlyphCoverage(text, font, context = {}) {
+  if (!font.file) {
+    if (font.script === 'default') return;
+    throw new FontError(
+      `No font file for ${font.script} text: set fonts.${font.script} in campaign.yaml or add ${SCRIPT_FONT_FILES[font.script]} to ${fontDir()}`,
+      { ...context, fontFamily: font.family, script: font.script }
+    );
+  }
+
+  const { hasGlyph } = loadFontFile(font.file);
+  const missing = visibleCharacters(text).filter(char => !hasGlyph(char.codePointAt(0)));
+  if (missing.length > 0) {
+    throw new FontError(
+      `Font "${font.family}" (${path.basename(font.file)}) has no glyphs for: ${missing.join(' ')}`,
+      { ...context, fontFamily: font.family, missingGlyphs: missing }
+    );
+  }
+}
+
+// --- fontconfig registration ---
+
+let registeredDirs = null;
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+
+// Make FONT_DIR and the brief's font files visible to the SVG renderer.
+// fontconfig reads its configuration once, on the first render of the
+// process, so directories registered after that are only used after a restart
+function registerFonts(brief) {
+  const files = [
+    ...Object.values(brief.fonts || {}),
+    brief.brand?.font,
+    ...Object.values(brief.product_categories || {}).flatMap(category =>
+      category.target_regions.flatMap(region => [region.font, region.brand?.font])
+    )
+  ].filter(font => font?.file).map(font => resolveFontFile(font.file));
+  const dirs = [...new Set([fontDir(), ...files.map(file => path.dirname(file))].map(dir => path.resolve(dir)))];
+
+  if (registeredDirs) {
+    const added = dirs.filter(dir => !registeredDirs.includes(dir));
+    if (added.length > 0) {
+      logger.warn("Font directories added after fonts were registered are used after a restart", { dirs: added });
+    }
+    return;
+  }
+  registeredDirs = dirs;
+
+  // Keep the system (or previously configured) fonts and add ours
+  const baseConfig = process.env.FONTCONFIG_FILE || '/etc/fonts/fonts.conf';
+  const configFile = path.join(os.tmpdir(), `creative-automation-fonts-${process.pid}.conf`);
+  fs.writeFileSync(configFile, [
+    '<?xml version="1.0"?>',
+    '<!DOCTYPE fontconfig SYSTEM "fonts.dtd">',
+    '<fontconfig>',
+    `  <include ignore_missing="yes">${escapeXml(baseConfig)}</include>`,
+    ...dirs.map(dir => `  <dir>${escapeXml(dir)}</dir>`),
+    '</fontconfig>',
+    ''
+  ].join('\n'));
+  process.env.FONTCONFIG_FILE = configFile;
+  process.on('exit', () => fs.rmSync(configFile, { force: true }));
+
+  logger.debug("Registered font directories", { dirs, configFile });
+}
+
+export {
+  DEFAULT_FONT_DIR,
+  DEFAULT_FONT,
+  FONT_SCRIPTS,
+  FONT_STYLES,
+  SCRIPT_FONT_FILES,
+  FontError,
+  escapeXml,
+  textScript,
+  loadFontFile,
+  resolveFont,
+  checkGlyphCoverage,
+  registerFonts
+};
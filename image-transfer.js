@@ -0,0 +1,50 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fetch from 'node-fetch';
+import { HttpError, withRetry } from './retry.js';
+
+// Download image bytes from a presigned URL or a file:// URL
+async function downloadBuffer(url) {
+  if (url.startsWith('file:')) {
+    return fs.promises.readFile(fileURLToPath(url));
+  }
+
+  return withRetry('downloadBuffer', async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new HttpError(`Failed to download image: ${response.status} ${response.statusText}`, response);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  });
+}
+
+// Upload image bytes to a presigned PUT URL or a file:// URL
+async function uploadBuffer(url, buffer, contentType) {
+  if (url.startsWith('file:')) {
+    const filePath = fileURLToPath(url);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return;
+  }
+
+  await withRetry('uploadBuffer', async () => {
+    const response = await fetch(url, {
+      method: 'PUT',
+      body: buffer,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Length': buffer.length.toString()
+      }
+    });
+
+    if (!response.ok) {
+      throw new HttpError(`Failed to upload result: ${response.status} ${response.statusText}`, response);
+    }
+  });
+}
+
+export {
+  downloadBuffer,
+  uploadBuffer
+};
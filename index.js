@@ -1,616 +1,617 @@
-// Creative Automation POC - Main Processing Script
-// HYBRID APPROACH: Optimized parallel processing with selective sequencing
-// - Firefly APIs: Parallel (they handle concurrency well)
-// - Photoshop API: Sequential (to avoid rate limits)
-// - Text Overlay: Parallel (local processing)
-// - Best of both worlds: Speed + Reliability
+#!/usr/bin/env node
+// Creative Automation POC - Command Line Interface
+// Usage: node index.js <command> [options]
 
 import 'dotenv/config';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
-import fetch from 'node-fetch';
-import YAML from 'yaml';
-import { PhotoshopClient } from "@adobe/photoshop-apis";
-import { FireflyClient } from "@adobe/firefly-apis";
-import { uploadImage, expandImage, createMask, fillImage, addTextOverlay, getMimeType, generateImage } from './firefly-utils.js';
-import { ServerToServerTokenProvider } from "@adobe/firefly-services-common-apis";
-import S3Client from "./S3Client.js";
-import logger from "./logger.js";
-
-const {
-  ADOBE_CLIENT_ID,
-  ADOBE_CLIENT_SECRET,
-  ADOBE_SCOPES,
-  AWS_REGION,
-  AWS_ACCESS_KEY_ID,
-  AWS_SECRET_ACCESS_KEY,
-  S3_BUCKET_NAME,
-  S3_KEY_PREFIX
-} = process.env;
-
-if (!ADOBE_CLIENT_ID || !ADOBE_CLIENT_SECRET || !ADOBE_SCOPES) {
-  console.error('Missing required environment variables:');
-  console.error('- ADOBE_CLIENT_ID');
-  console.error('- ADOBE_CLIENT_SECRET');
-  console.error('- ADOBE_SCOPES');
-  process.exit(1);
-}
-
-if (!AWS_REGION || !S3_BUCKET_NAME || !AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !S3_KEY_PREFIX) {
-  console.error('Missing required S3 environment variables:');
-  console.error('- AWS_REGION');
-  console.error('- S3_BUCKET_NAME');
-  console.error('- AWS_ACCESS_KEY_ID');
-  console.error('- AWS_SECRET_ACCESS_KEY');
-  console.error('- S3_KEY_PREFIX');
-  process.exit(1);
-}
-
-const ratioToSize = (ratio) => {
-  switch (ratio) {
-    case '1:1': return { width: 2048, height: 2048 };
-    case '9:16': return { width: 1792, height: 2304 };
-    case '16:9': return { width: 2688, height: 1512 };
-    default: return { width: 2048, height: 2048 };
+import { parseArgs } from 'node:util';
+import { loadBrief, locateIssues, BriefValidationError } from './campaign-schema.js';
+import { createJobFilter, validateJobFilter, jobKey } from './job-filter.js';
+import { runCampaign, listExpectedOutputs, resultJobKey, assertEnvironment, EnvironmentError } from './pipeline.js';
+import { findOutput, changedInputs, reproductionBrief } from './reproduce.js';
+import { PROVIDERS } from './providers.js';
+import { STORAGE_BACKENDS, createStorage } from './storage.js';
+import { buildPlan, formatPlan } from './planner.js';
+import { loadResults, findLatestResults, formatResultsReport } from './report.js';
+import { buildProofSheet } from './proof-sheet.js';
+import { ReviewStore, applyReviewEdits } from './reviews.js';
+import { Dashboard, DEFAULT_DASHBOARD_PORT } from './dashboard.js';
+import { JobApi, DEFAULT_API_PORT } from './job-api.js';
+import { DEFAULT_QUEUE_DIR } from './job-queue.js';
+import { CampaignWatcher, manifestFileFor } from './watch.js';
+import { loadCampaignBriefs, validateBatchFilter, runBatch, formatBatchSummary } from './batch.js';
+import { downloadBuffer } from './image-transfer.js';
+import { ContentCache, DEFAULT_CACHE_DIR, formatBytes, formatCacheInspection } from './cache.js';
+import { BrandKit } from './brand.js';
+import { copyRuleIssues } from './copy-rules.js';
+import logger from './logger.js';
+
+const DEFAULT_BRIEF = './campaign.yaml';
+const DEFAULT_OUTPUT_DIR = './results';
+
+const HELP = `Creative Automation POC
+
+Usage: node index.js <command> [options]
+
+Commands:
+  run                      Process the campaign brief (default); with --briefs, every
+                           campaign of a briefs directory, then a summary across them
+  validate                 Validate the campaign brief (or every brief with --briefs) and exit
+  plan                     Dry run: show assets, the job matrix and the API call budget
+                           without credentials or network access
+  report [results-file]    Summarize a results file (default: latest in --output-dir)
+  rerun [results-file]     Regenerate failed or missing outputs of a results file;
+                           with filters, regenerate exactly the matching outputs;
+                           with --rejected, regenerate the rejected outputs
+  reproduce <label> [results-file]
+                           Remake one output with its recorded seeds and inputs
+                           ("<label>_v2" for one variation; --ratio for another size)
+  approve <label>... [results-file]
+                           Mark outputs of a results file as approved
+  reject <label>... [results-file]
+                           Mark outputs as rejected, optionally with an edited
+                           --message or --prompt for \`rerun --rejected\`
+  watch                    Process the brief, then keep watching it and its assets folder
+                           and process only the outputs each change affects; results
+                           accumulate in <output-dir>/manifest-<campaign id>.json
+  dashboard                Serve a local web dashboard of the runs in --output-dir,
+                           their outputs, job step timings and the daily log
+  serve                    Serve the HTTP job API: briefs POSTed to /jobs are validated,
+                           queued in $QUEUE_DIR (default: ${DEFAULT_QUEUE_DIR}) and run one at a time
+  cache [inspect|purge]    Show or delete cached expanded images and masks
+                           ($CACHE_DIR, default: ${DEFAULT_CACHE_DIR})
+
+Options:
+  -b, --brief <path>       Campaign brief (default: ${DEFAULT_BRIEF})
+      --briefs <dir>       run, validate, plan: every campaign brief in a directory
+                           (*.yaml; files starting with "_" are shared defaults)
+  -o, --output-dir <dir>   Directory for results files (default: ${DEFAULT_OUTPUT_DIR})
+  -c, --category <name>    Only process this product category
+  -r, --region <code>      Only process this region code
+      --ratio <ratio>      Only process this aspect ratio or channel
+  -p, --provider <name>    Image provider: adobe or local (default: $IMAGE_PROVIDER or adobe)
+  -s, --storage <name>     Storage backend: s3 or local (default: $STORAGE_BACKEND or s3)
+      --json               plan, cache: print JSON instead of text
+      --html               report: write a self-contained HTML proof sheet with
+                           embedded thumbnails next to the results file
+      --dry-run            run: print the plan instead of processing
+      --resume             run: continue the campaign's job ledger, skipping completed
+                           outputs and restarting failed ones from their last good step
+      --no-cache           run/rerun: neither read nor write the intermediate cache
+      --rejected           rerun: regenerate only the outputs rejected in review
+      --reviewer <name>    approve/reject: who reviewed (default: $REVIEWER or the OS user)
+      --comment <text>     approve/reject: review comment
+      --message <text>     reject: message to use when the output is regenerated
+      --prompt <text>      reject: background prompt (product prompt for generated
+                           outputs) to use when the output is regenerated
+      --port <port>        dashboard: port on 127.0.0.1 (default: $DASHBOARD_PORT or ${DEFAULT_DASHBOARD_PORT});
+                           serve: port on $API_HOST or 127.0.0.1 (default: $API_PORT or ${DEFAULT_API_PORT})
+      --older-than <days>  cache purge: only delete entries unused for this many days
+  -h, --help               Show this help
+
+Filters can be repeated or comma separated, e.g. --region DE,ES --ratio 9:16`;
+
+const COMMANDS = ['run', 'validate', 'plan', 'report', 'rerun', 'reproduce', 'approve', 'reject', 'watch', 'dashboard', 'serve', 'cache'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
   }
-};
+}
 
-// PARALLELIZED: Generate missing assets with Promise.all (Firefly handles this well)
-async function generateMissingAssetsParallel(firefly, s3Client, brief, missingCategories) {
-  logger.info("generateMissingAssets: Starting parallel asset generation", { missingCategories });
-  
-  const generatedAssets = [];
-  
-  if (missingCategories.length === 0) {
-    logger.info("generateMissingAssets: No missing categories, skipping generation");
-    return generatedAssets;
-  }
-  
-  // Create all generation tasks in parallel
-  const generationTasks = [];
-  
-  for (const categoryName of missingCategories) {
-    const categoryConfig = brief.product_categories[categoryName];
-    if (!categoryConfig) {
-      logger.warn("generateMissingAssets: Skipping unknown category", { category: categoryName });
-      continue;
-    }
-    
-    logger.info("generateMissingAssets: Generating images for missing category", { category: categoryName });
-    
-    // Generate all aspect ratios for this category in parallel
-    for (const ratio of brief.aspect_ratios) {
-      const { width, height } = ratioToSize(ratio);
-      const enhancedPrompt = getEnhancedProductPrompt(categoryName, categoryConfig, ratio, brief);
-      
-      const task = generateSingleAsset(firefly, enhancedPrompt, width, height, categoryName, ratio);
-      generationTasks.push(task);
-    }
-  }
-  
-  // Execute all generation tasks in parallel
+function parseCommandLine(argv) {
+  let parsed;
   try {
-    const results = await Promise.allSettled(generationTasks);
-    
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        generatedAssets.push(result.value);
-        logger.info("generateMissingAssets: Generated asset ready for processing", result.value);
-      } else {
-        logger.error("generateMissingAssets: Failed to generate asset", { 
-          error: result.reason?.message || 'Unknown error',
-          taskIndex: index
-        });
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        brief: { type: 'string', short: 'b' },
+        briefs: { type: 'string' },
+        'output-dir': { type: 'string', short: 'o' },
+        category: { type: 'string', short: 'c', multiple: true },
+        region: { type: 'string', short: 'r', multiple: true },
+        ratio: { type: 'string', multiple: true },
+        json: { type: 'boolean' },
+        html: { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        resume: { type: 'boolean' },
+        'no-cache': { type: 'boolean' },
+        rejected: { type: 'boolean' },
+        reviewer: { type: 'string' },
+        comment: { type: 'string' },
+        message: { type: 'string' },
+        prompt: { type: 'string' },
+        'older-than': { type: 'string' },
+        port: { type: 'string' },
+        provider: { type: 'string', short: 'p' },
+        storage: { type: 'string', short: 's' },
+        help: { type: 'boolean', short: 'h' }
       }
     });
-    
   } catch (error) {
-    logger.error("generateMissingAssets: Parallel generation failed", error);
-    throw error;
+    throw new UsageError(error.message);
   }
-  
-  logger.info("generateMissingAssets: Parallel asset generation completed", { 
-    generated: generatedAssets.length,
-    total: generationTasks.length
-  });
-  
-  return generatedAssets;
-}
 
-// Helper function for single asset generation
-async function generateSingleAsset(firefly, enhancedPrompt, width, height, categoryName, ratio) {
-  try {
-    const generateResult = await generateImage(firefly, enhancedPrompt, width, height, 1, 'en-US');
-    const generatedImageUrl = generateResult.outputs[0].image.url;
-    
-    const aspectRatioFormatted = ratio.replace(':', 'x');
-    const filename = `${categoryName}_generated_${aspectRatioFormatted}.jpg`;
-    
-    return {
-      category: categoryName,
-      aspectRatio: ratio,
-      downloadUrl: generatedImageUrl,
-      filename: filename,
-      prompt: enhancedPrompt,
-      isGenerated: true,
-      dimensions: { width, height }
-    };
-  } catch (error) {
-    logger.error("generateSingleAsset: Failed", { 
-      category: categoryName,
-      aspectRatio: ratio, 
-      error: error.message 
-    });
-    throw error;
+  const { values, positionals } = parsed;
+  const [command = 'run', ...args] = positionals;
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}"`);
   }
-}
 
-// HYBRID: Process assets with selective parallelization
-async function processAssetsHybrid(assetReferences, brief, firefly, photoshop, s3Client) {
-  logger.info("Starting HYBRID asset processing", { totalAssets: assetReferences.length });
-  
-  // Phase 1: Parallel Upload & Expand (Firefly handles this well)
-  logger.info("Phase 1: Parallel Upload & Expand operations");
-  const preparedAssets = await parallelUploadAndExpand(assetReferences, brief, firefly);
-  
-  // Phase 2: Sequential Mask Creation (Photoshop rate limit bottleneck)
-  logger.info("Phase 2: Sequential Mask creation (avoiding rate limits)");
-  const maskedAssets = await sequentialMaskCreation(preparedAssets, photoshop, s3Client);
-  
-  // Phase 3: Parallel Fill & Text Overlay (Fast operations)
-  logger.info("Phase 3: Parallel Fill & Text overlay");
-  const results = await parallelFillAndOverlay(maskedAssets, brief, firefly, s3Client);
-  
-  return results;
-}
+  if (values.provider && !PROVIDERS.includes(values.provider)) {
+    throw new UsageError(`Unknown provider "${values.provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  if (values.storage && !STORAGE_BACKENDS.includes(values.storage)) {
+    throw new UsageError(`Unknown storage backend "${values.storage}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
 
-// Phase 1: Parallel Upload & Expand
-async function parallelUploadAndExpand(assetReferences, brief, firefly) {
-  const uploadExpandTasks = [];
-  
-  for (const assetRef of assetReferences) {
-    const productCategoryConfig = brief.product_categories[assetRef.category];
-    if (!productCategoryConfig) continue;
-    
-    // Load asset buffer once (for local assets)
-    let baseBuffer;
-    let assetName;
-    
-    try {
-      if (assetRef.type === 'local') {
-        if (!fs.existsSync(assetRef.path)) {
-          throw new Error("Local image file not found");
-        }
-        baseBuffer = fs.readFileSync(assetRef.path);
-        assetName = path.basename(assetRef.path);
-      } else if (assetRef.type === 'generated') {
-        assetName = assetRef.filename;
-        baseBuffer = Buffer.alloc(0);
-      }
-      
-      if (assetRef.type === 'local' && baseBuffer.length === 0) {
-        throw new Error("Empty image buffer");
-      }
-    } catch (error) {
-      logger.error(`Failed to load asset: ${assetRef.filename}`, error);
-      continue;
+  if (values.briefs !== undefined) {
+    if (!['run', 'validate', 'plan'].includes(command)) {
+      throw new UsageError('--briefs is only used by run, validate and plan');
     }
-    
-    // Create tasks for all region/ratio combinations
-    for (const region of productCategoryConfig.target_regions) {
-      for (const ratio of brief.aspect_ratios) {
-        // Skip if generated asset doesn't match ratio
-        if (assetRef.isGenerated && assetRef.aspectRatio !== ratio) {
-          continue;
-        }
-        
-        if (assetRef.isGenerated) {
-          // Generated assets skip upload/expand
-          uploadExpandTasks.push(Promise.resolve({
-            assetRef,
-            region,
-            ratio,
-            assetName,
-            imageUrl: assetRef.downloadUrl,
-            needsMask: false
-          }));
-        } else {
-          // Local assets need upload/expand
-          const task = uploadAndExpandSingle(assetRef, region, ratio, baseBuffer, assetName, firefly);
-          uploadExpandTasks.push(task);
-        }
-      }
+    if (values.brief !== undefined) {
+      throw new UsageError('--brief and --briefs cannot be combined');
     }
+    if (!fs.existsSync(values.briefs) || !fs.statSync(values.briefs).isDirectory()) {
+      throw new UsageError(`--briefs expects a directory, got "${values.briefs}"`);
+    }
+  }
+
+  if ((values.message !== undefined || values.prompt !== undefined) && command !== 'reject') {
+    throw new UsageError('--message and --prompt are only used by reject');
+  }
+
+  if (values['older-than'] !== undefined && !(Number(values['older-than']) >= 0)) {
+    throw new UsageError(`--older-than expects a number of days, got "${values['older-than']}"`);
   }
-  
-  // Execute all upload/expand operations in parallel
-  logger.info(`Executing ${uploadExpandTasks.length} upload/expand operations in parallel`);
-  const results = await Promise.allSettled(uploadExpandTasks);
-  
-  const preparedAssets = [];
-  results.forEach((result, index) => {
-    if (result.status === 'fulfilled' && result.value) {
-      preparedAssets.push(result.value);
-    } else {
-      logger.error("Upload/Expand failed", { 
-        error: result.reason?.message || 'Unknown error',
-        taskIndex: index
-      });
+
+  const portVariable = { dashboard: 'DASHBOARD_PORT', serve: 'API_PORT' }[command];
+  const port = values.port ?? process.env[portVariable];
+  if (port !== undefined && !/^\d+$/.test(port)) {
+    throw new UsageError(`${values.port === undefined ? `$${portVariable}` : '--port'} expects a port number, got "${port}"`);
+  }
+
+  const list = (items = []) => items.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+
+  return {
+    command,
+    args,
+    help: values.help,
+    json: values.json,
+    html: values.html,
+    dryRun: values['dry-run'],
+    resume: values.resume,
+    useCache: !values['no-cache'],
+    rejected: values.rejected,
+    reviewer: values.reviewer,
+    comment: values.comment,
+    edits: values.message || values.prompt ? { message: values.message, prompt: values.prompt } : null,
+    olderThanDays: values['older-than'] === undefined ? null : Number(values['older-than']),
+    port: port === undefined ? null : Number(port),
+    provider: values.provider,
+    storageBackend: values.storage,
+    briefPath: values.brief,
+    briefsDir: values.briefs,
+    outputDir: values['output-dir'] || DEFAULT_OUTPUT_DIR,
+    filters: {
+      categories: list(values.category),
+      regions: list(values.region),
+      ratios: list(values.ratio)
     }
-  });
-  
-  logger.info(`Phase 1 completed: ${preparedAssets.length} assets prepared`);
-  return preparedAssets;
+  };
 }
 
-// Single upload & expand operation
-async function uploadAndExpandSingle(assetRef, region, ratio, baseBuffer, assetName, firefly) {
-  try {
-    const { width, height } = ratioToSize(ratio);
-    const label = `${path.basename(assetName, path.extname(assetName))}_${region.code}_${ratio.replace(':', 'x')}`;
-    
-    logger.info("Upload & Expand", { label, targetSize: `${width}x${height}` });
-    
-    // Upload to Firefly
-    const uploadResponse = await uploadImage(firefly, baseBuffer, assetName);
-    const uploadResult = uploadResponse.data || uploadResponse.result || uploadResponse;
-    const imageId = uploadResult.images[0].id;
-    
-    // Expand image
-    const expandedImages = await expandImage(firefly, imageId, width, height, 1);
-    const expandedImageUrl = expandedImages.expandResults.outputs[0].image.url;
-    
-    return {
-      assetRef,
-      region,
-      ratio,
-      assetName,
-      imageUrl: expandedImageUrl,
-      needsMask: true,
-      label
-    };
-    
-  } catch (error) {
-    logger.error("Upload/Expand failed", { 
-      asset: assetName,
-      region: region.code,
-      ratio,
-      error: error.message 
-    });
-    throw error;
+// loadBrief, with a missing brief file reported as a usage error
+function readBrief(briefPath) {
+  if (!fs.existsSync(briefPath) || !fs.statSync(briefPath).isFile()) {
+    throw new UsageError(`Brief ${briefPath} does not exist (use --brief <path>)`);
   }
+  return loadBrief(briefPath);
 }
 
-// Phase 2: Sequential Mask Creation (THE BOTTLENECK)
-async function sequentialMaskCreation(preparedAssets, photoshop, s3Client) {
-  logger.info(`Phase 2: Processing ${preparedAssets.length} assets sequentially for masks`);
-  
-  const maskedAssets = [];
-  
-  for (let i = 0; i < preparedAssets.length; i++) {
-    const asset = preparedAssets[i];
-    
-    logger.info(`Mask creation ${i + 1}/${preparedAssets.length}`, { 
-      label: asset.label || `${asset.assetName}_${asset.region.code}_${asset.ratio}`
-    });
-    
-    try {
-      if (asset.needsMask) {
-        // Create mask using Photoshop API (sequential)
-        const invertMaskPresignedGetUrl = await createMask(
-          s3Client, 
-          photoshop, 
-          asset.imageUrl, 
-          asset.assetName, 
-          S3_BUCKET_NAME, 
-          S3_KEY_PREFIX + "/intermediate"
-        );
-        
-        maskedAssets.push({
-          ...asset,
-          maskUrl: invertMaskPresignedGetUrl
-        });
-      } else {
-        // Generated assets don't need masks
-        maskedAssets.push({
-          ...asset,
-          maskUrl: null
-        });
-      }
-      
-      // Small delay between Photoshop API calls for stability
-      if (asset.needsMask && i < preparedAssets.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-      
-    } catch (error) {
-      logger.error("Mask creation failed", { 
-        asset: asset.assetName,
-        error: error.message 
-      });
-      // Continue with other assets
-    }
+function loadFilteredBrief(briefPath, filters) {
+  const brief = readBrief(briefPath);
+  const filter = createJobFilter(filters);
+  const errors = validateJobFilter(filter, brief);
+  if (errors.length > 0) {
+    throw new UsageError(errors.join('\n'));
   }
-  
-  logger.info(`Phase 2 completed: ${maskedAssets.length} assets with masks`);
-  return maskedAssets;
+  return { brief, filter };
 }
 
-// Phase 3: Parallel Fill & Text Overlay
-async function parallelFillAndOverlay(maskedAssets, brief, firefly, s3Client) {
-  logger.info(`Phase 3: Processing ${maskedAssets.length} assets in parallel for fill & overlay`);
-  
-  const finalTasks = maskedAssets.map(asset => 
-    processFillAndOverlay(asset, brief, firefly, s3Client)
-  );
-  
-  // Execute all fill & overlay operations in parallel
-  const results = await Promise.allSettled(finalTasks);
-  
-  // Process results
-  const processResults = {
-    success: [],
-    failures: [],
-    summary: {
-      total: maskedAssets.length,
-      processed: results.length,
-      succeeded: 0,
-      failed: 0
-    }
-  };
-  
-  results.forEach((result, index) => {
-    if (result.status === 'fulfilled' && result.value.success) {
-      processResults.success.push(result.value.data);
-      processResults.summary.succeeded++;
-    } else {
-      processResults.failures.push(result.value?.error || { error: result.reason?.message });
-      processResults.summary.failed++;
-    }
-  });
-  
-  logger.info(`Phase 3 completed: ${processResults.summary.succeeded} success, ${processResults.summary.failed} failed`);
-  return processResults;
+// Every campaign of a briefs directory; filter values only have to exist in one
+function loadCampaigns(briefsDir, filters, load = readBrief) {
+  const campaigns = loadCampaignBriefs(briefsDir, load);
+  const filter = createJobFilter(filters);
+  const errors = validateBatchFilter(filter, campaigns);
+  if (errors.length > 0) {
+    throw new UsageError(errors.join('\n'));
+  }
+  return { campaigns, filter };
 }
 
-// Single fill & overlay operation
-async function processFillAndOverlay(asset, brief, firefly, s3Client) {
-  try {
-    const { width, height } = ratioToSize(asset.ratio);
-    const label = asset.label || `${path.basename(asset.assetName, path.extname(asset.assetName))}_${asset.region.code}_${asset.ratio.replace(':', 'x')}`;
-    
-    let imageUrl = asset.imageUrl;
-    
-    // Fill background if needed (local assets only)
-    if (asset.needsMask && asset.maskUrl) {
-      const fillImageResults = await fillImage(
-        firefly, 
-        asset.imageUrl, 
-        asset.maskUrl, 
-        asset.region.background_prompt, 
-        1, 
-        asset.region.locale
-      );
-      imageUrl = fillImageResults.outputs[0].image.url;
-    }
-    
-    // Final processing & text overlay
-    const baseFileName = path.basename(asset.assetName, path.extname(asset.assetName));
-    const baseImageExtension = path.extname(asset.assetName);
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const aspectRatioFormatted = asset.ratio.replace(':', 'x');
-    const s3Key = `${S3_KEY_PREFIX}/${brief.id}/${asset.assetRef.category}/${asset.region.code}/${aspectRatioFormatted}/${baseFileName}_${asset.region.code}_${aspectRatioFormatted}_${timestamp}${baseImageExtension}`;
-    const textLayerPutUrl = await s3Client.getPresignedPutUrl(S3_BUCKET_NAME, s3Key, 3600);
-    
-    const imageFormat = getMimeType(baseImageExtension);
-    await addTextOverlay(imageUrl, textLayerPutUrl, asset.region.message, imageFormat, baseImageExtension);
-    
-    const finalImageGetUrl = await s3Client.getPresignedGetUrl(S3_BUCKET_NAME, s3Key, 3600);
-    
-    return {
-      success: true,
-      data: {
-        assetName: asset.assetName,
-        productCategory: asset.assetRef.category,
-        region: asset.region.code,
-        aspectRatio: asset.ratio,
-        label,
-        s3Key,
-        presignedGetUrl: finalImageGetUrl,
-        dimensions: { width, height },
-        message: asset.region.message,
-        assetType: asset.assetRef.type,
-        isGenerated: asset.assetRef.isGenerated,
-        processingSteps: asset.assetRef.isGenerated ? ['text_overlay'] : ['upload', 'expand', 'mask', 'fill', 'text_overlay'],
-        timestamp: new Date().toISOString()
-      }
-    };
-    
-  } catch (error) {
-    logger.error(`Fill & overlay failed`, { error: error.message });
-    return {
-      success: false,
-      error: {
-        assetName: asset.assetName,
-        productCategory: asset.assetRef.category,
-        region: asset.region.code,
-        aspectRatio: asset.ratio,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+function assetsFolderFor(brief, briefPath) {
+  return path.resolve(path.dirname(briefPath), brief.assets_folder);
+}
+
+function resolveResultsFile(args, outputDir) {
+  const resultsFile = args[0] || findLatestResults(outputDir);
+  if (!resultsFile) {
+    throw new UsageError(`No results file given and none found in ${outputDir}`);
   }
+  return resultsFile;
 }
 
-// Helper functions (unchanged from original)
-function getBaseProductPrompt(category, brief) {
-  const prompts = brief.product_prompts || {};
-  return prompts[category] || `A premium ${category} product, modern design, clean style on white background, studio lighting, product photography style, high quality, commercial photography`;
+// The schema, then the files and copy the schema cannot check
+function checkBrief(briefPath) {
+  const brief = readBrief(briefPath);
+  const filename = path.relative(process.cwd(), briefPath) || briefPath;
+  const issues = [
+    ...new BrandKit(brief, path.dirname(briefPath)).missingFiles(filename),
+    ...copyRuleIssues(brief, filename)
+  ];
+  if (issues.length > 0) {
+    throw new BriefValidationError(filename, locateIssues(briefPath, issues));
+  }
+  return brief;
 }
 
-function getEnhancedProductPrompt(category, categoryConfig, aspectRatio, brief) {
-  const basePrompt = getBaseProductPrompt(category, brief);
-  const backgroundPrompt = categoryConfig.target_regions[0]?.background_prompt || '';
-  const enhancedPrompt = `${basePrompt}, set in ${backgroundPrompt}, professional commercial photography, high quality, detailed`;
-  return enhancedPrompt;
+function describeValidBrief(brief, briefPath) {
+  const regionCount = Object.values(brief.product_categories).reduce((sum, c) => sum + c.target_regions.length, 0);
+  return `✅ ${briefPath} is valid: ${Object.keys(brief.product_categories).length} categories, ${regionCount} category/region pairs, ${brief.aspect_ratios.length} output formats`;
+}
+
+async function validateCommand(options) {
+  if (options.briefsDir) {
+    const campaigns = loadCampaignBriefs(options.briefsDir, checkBrief);
+    campaigns.forEach(({ brief, briefPath }) => console.log(`${describeValidBrief(brief, briefPath)} (campaign ${brief.id})`));
+    return;
+  }
+  const briefPath = options.briefPath || DEFAULT_BRIEF;
+  console.log(describeValidBrief(checkBrief(briefPath), briefPath));
 }
 
-async function getAssetReferences(assetsFolder, firefly, s3Client, brief) {
-  const assetReferences = [];
-  const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
-
-  // Scan for existing local assets
-  if (fs.existsSync(assetsFolder)) {
-    function scanDirectory(dir) {
-      const items = fs.readdirSync(dir, { withFileTypes: true });
-      for (const item of items) {
-        const fullPath = path.join(dir, item.name);
-        if (item.isDirectory()) {
-          scanDirectory(fullPath);
-        } else if (item.isFile()) {
-          const ext = path.extname(item.name).toLowerCase();
-          if (imageExtensions.includes(ext)) {
-            const productCategory = path.basename(path.dirname(fullPath));
-            assetReferences.push({
-              type: 'local',
-              path: fullPath,
-              category: productCategory,
-              filename: path.basename(fullPath),
-              isGenerated: false
-            });
-          }
-        }
+async function planCommand(options) {
+  if (options.briefsDir) {
+    const { campaigns, filter } = loadCampaigns(options.briefsDir, options.filters);
+    const plans = campaigns.map(({ brief, briefPath }) => buildPlan(brief, assetsFolderFor(brief, briefPath), filter));
+    console.log(options.json ? JSON.stringify(plans, null, 2) : plans.map(formatPlan).join('\n\n'));
+    return;
+  }
+  const briefPath = options.briefPath || DEFAULT_BRIEF;
+  const { brief, filter } = loadFilteredBrief(briefPath, options.filters);
+  const plan = buildPlan(brief, assetsFolderFor(brief, briefPath), filter);
+  console.log(options.json ? JSON.stringify(plan, null, 2) : formatPlan(plan));
+}
+
+async function runCommand(options) {
+  if (options.dryRun) {
+    return planCommand(options);
+  }
+  if (options.briefsDir) {
+    // Every brief and the filters are checked before the first campaign starts
+    const { campaigns } = loadCampaigns(options.briefsDir, options.filters);
+    const { batch, batchFile } = await runBatch({
+      briefsDir: options.briefsDir,
+      campaigns,
+      outputDir: options.outputDir,
+      filters: options.filters,
+      runOptions: {
+        provider: options.provider,
+        storageBackend: options.storageBackend,
+        resume: options.resume,
+        useCache: options.useCache
       }
-    }
-    scanDirectory(assetsFolder);
-    logger.info(`Found ${assetReferences.length} local asset(s)`, { 
-      files: assetReferences.map(a => a.filename) 
     });
+    console.log(formatBatchSummary(batch, batchFile));
+    return;
   }
+  const briefPath = options.briefPath || DEFAULT_BRIEF;
+  // Validate the brief and filters before any API client is constructed
+  const { brief, filter } = loadFilteredBrief(briefPath, options.filters);
+  await runCampaign({
+    brief,
+    briefPath,
+    outputDir: options.outputDir,
+    filter,
+    provider: options.provider,
+    storageBackend: options.storageBackend,
+    resume: options.resume,
+    useCache: options.useCache
+  });
+}
 
-  // Check which product categories are missing assets
-  const categoriesWithAssets = new Set(assetReferences.map(a => a.category));
-  const missingCategories = Object.keys(brief.product_categories).filter(
-    category => !categoriesWithAssets.has(category)
-  );
+async function reportCommand(options) {
+  const resultsFile = resolveResultsFile(options.args, options.outputDir);
+  const results = loadResults(resultsFile);
+  const reviews = new ReviewStore(resultsFile);
+  if (!options.html) {
+    console.log(formatResultsReport(results, resultsFile, reviews));
+    return;
+  }
 
-  // Generate missing assets in parallel
-  if (missingCategories.length > 0) {
-    logger.info("Missing categories detected, generating assets in parallel", { 
-      missingCategories,
-      totalCategories: Object.keys(brief.product_categories).length
-    });
-    
-    const generatedAssets = await generateMissingAssetsParallel(firefly, s3Client, brief, missingCategories);
-    
-    for (const generatedAsset of generatedAssets) {
-      if (missingCategories.includes(generatedAsset.category)) {
-        assetReferences.push({
-          type: 'generated',
-          downloadUrl: generatedAsset.downloadUrl,
-          category: generatedAsset.category,
-          filename: generatedAsset.filename,
-          aspectRatio: generatedAsset.aspectRatio,
-          dimensions: generatedAsset.dimensions,
-          isGenerated: true
-        });
-      }
+  // Thumbnails are fetched from the storage the run wrote to; the recorded
+  // presigned URLs are only tried when that fails, as they expire
+  const storage = await createStorage(options.storageBackend || results.run?.storage || process.env.STORAGE_BACKEND || 's3');
+  const fetchImage = async (s3Key, url) => {
+    try {
+      return await downloadBuffer(await storage.client.getPresignedGetUrl(storage.bucket, s3Key, 3600));
+    } catch {
+      return downloadBuffer(url);
     }
+  };
+  try {
+    const { html, embedded, missing } = await buildProofSheet(results, resultsFile, fetchImage, reviews);
+    const htmlFile = resultsFile.replace(/\.json$/, '') + '.html';
+    fs.writeFileSync(htmlFile, html);
+    console.log(`📄 Proof sheet: ${htmlFile} (${embedded} image(s) embedded${missing ? `, ${missing} unavailable` : ''})`);
+  } finally {
+    await storage.close();
   }
+}
 
-  if (assetReferences.length === 0) {
-    throw new Error(`No assets found or generated for any product categories`);
+async function rerunCommand(options) {
+  const resultsFile = resolveResultsFile(options.args, options.outputDir);
+  const previous = loadResults(resultsFile);
+  const reviews = new ReviewStore(resultsFile);
+  const briefPath = options.briefPath || previous.run?.briefPath || DEFAULT_BRIEF;
+  const { brief, filter } = loadFilteredBrief(briefPath, options.filters);
+  const expected = listExpectedOutputs(brief, assetsFolderFor(brief, briefPath), filter);
+
+  let jobs;
+  let rerunBrief = brief;
+  if (options.rejected) {
+    // Rejected outputs (matching any filters), made with the edits of their rejection
+    const rejected = previous.success.filter(entry => reviews.get(entry.label).status === 'rejected');
+    const rejectedKeys = new Set(rejected.map(resultJobKey));
+    jobs = expected.filter(output => rejectedKeys.has(jobKey(output)));
+    if (jobs.length === 0) {
+      console.log(`✅ Nothing to rerun: no rejected outputs${filter.isEmpty ? '' : ' matching the filters'} in ${resultsFile}`);
+      return;
+    }
+    const jobKeys = new Set(jobs.map(jobKey));
+    const { brief: edited, conflicts } = applyReviewEdits(brief, rejected.filter(entry => jobKeys.has(resultJobKey(entry))), reviews);
+    if (conflicts.length > 0) {
+      throw new UsageError(`Conflicting review edits:\n${conflicts.join('\n')}`);
+    }
+    rerunBrief = edited;
+  } else {
+    // Without filters rerun whatever did not succeed; with filters rerun exactly what matches
+    const succeeded = new Set(previous.success.map(resultJobKey));
+    jobs = filter.isEmpty ? expected.filter(output => !succeeded.has(jobKey(output))) : expected;
+    if (jobs.length === 0) {
+      console.log(`✅ Nothing to rerun: every output in ${resultsFile} succeeded`);
+      return;
+    }
   }
 
-  logger.info(`Total asset references: ${assetReferences.length}`, {
-    local: assetReferences.filter(a => a.type === 'local').length,
-    generated: assetReferences.filter(a => a.type === 'generated').length,
-    categories: [...new Set(assetReferences.map(a => a.category))]
+  logger.info(`Rerunning ${jobs.length} output(s) from ${resultsFile}`, { jobs: jobs.map(jobKey) });
+  const { results, resultsFile: rerunFile } = await runCampaign({
+    brief: rerunBrief,
+    briefPath,
+    outputDir: options.outputDir,
+    provider: options.provider,
+    storageBackend: options.storageBackend,
+    filter: createJobFilter({ jobs }),
+    useCache: options.useCache,
+    baseResults: previous,
+    rerunOf: resultsFile
   });
 
-  return assetReferences;
+  // Reviews of the outputs the rerun kept carry over; regenerated ones are pending again
+  if (Object.keys(reviews.outputs).length > 0) {
+    const rerunKeys = new Set(jobs.map(jobKey));
+    const regenerated = new Set(results.success.filter(entry => rerunKeys.has(resultJobKey(entry))).map(entry => entry.label));
+    const carried = reviews.carryOver(rerunFile, results.success.map(entry => entry.label), regenerated);
+    carried.save();
+    logger.info("Reviews carried over", { reviewsFile: carried.filePath, ...carried.summary(results.success.map(entry => entry.label)) });
+  }
 }
 
-async function downloadImage(imageUrl) {
-  try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+// approve / reject <label>... [results-file]: a .json argument is the results file
+function reviewCommand(status) {
+  return async (options) => {
+    const labels = options.args.filter(arg => !arg.endsWith('.json'));
+    const resultsFile = resolveResultsFile(options.args.filter(arg => arg.endsWith('.json')), options.outputDir);
+    if (labels.length === 0) {
+      throw new UsageError(`${status === 'approved' ? 'approve' : 'reject'} needs the label of at least one output`);
     }
-    return await response.arrayBuffer();
-  } catch (error) {
-    console.error(`Error downloading image from ${imageUrl}:`, error.message);
-    throw error;
+    const results = loadResults(resultsFile);
+    const known = new Set(results.success.map(entry => entry.label));
+    const unknown = labels.filter(label => !known.has(label));
+    if (unknown.length > 0) {
+      throw new UsageError(`No successful output labelled ${unknown.map(label => `"${label}"`).join(', ')} in ${resultsFile}`);
+    }
+
+    const reviews = new ReviewStore(resultsFile);
+    const reviewer = options.reviewer || process.env.REVIEWER || os.userInfo().username;
+    for (const label of labels) {
+      reviews.review(label, status, { reviewer, comment: options.comment ?? null, edits: options.edits });
+    }
+    reviews.save();
+
+    const icon = status === 'approved' ? '👍' : '👎';
+    labels.forEach(label => console.log(`${icon} ${label}: ${status} by ${reviewer}${options.comment ? ` ("${options.comment}")` : ''}`));
+    const counts = reviews.summary([...known]);
+    console.log(`   ${reviews.filePath}: ${counts.approved} approved, ${counts.rejected} rejected, ${counts.pending} pending`);
+  };
+}
+
+async function reproduceCommand(options) {
+  const [label, ...rest] = options.args;
+  if (!label) {
+    throw new UsageError('reproduce needs the label of an output, e.g. shoes_generated_1x1_US_1x1');
+  }
+  const resultsFile = resolveResultsFile(rest, options.outputDir);
+  const previous = loadResults(resultsFile);
+  const found = findOutput(previous, label);
+  if (!found) {
+    throw new UsageError(`No successful output labelled "${label}" in ${resultsFile}`);
+  }
+  const { entry, variation } = found;
+  if (!entry.requests) {
+    throw new UsageError(`${label} in ${resultsFile} was made before seeds were recorded and cannot be reproduced`);
   }
+
+  // The brief must still describe the same output
+  const briefPath = options.briefPath || previous.run?.briefPath || DEFAULT_BRIEF;
+  const brief = readBrief(briefPath);
+  const filename = path.relative(process.cwd(), briefPath) || briefPath;
+  const issues = changedInputs(brief, entry, filename);
+  if (issues.length > 0) {
+    throw new BriefValidationError(filename, locateIssues(briefPath, issues));
+  }
+
+  const { ratios } = options.filters;
+  if (ratios.length > 1) {
+    throw new UsageError('reproduce takes at most one --ratio');
+  }
+  const ratio = ratios[0] || entry.aspectRatio;
+  if (!brief.aspect_ratios.includes(ratio)) {
+    throw new UsageError(`Aspect ratio "${ratio}" is not in the brief (brief defines: ${brief.aspect_ratios.join(', ')})`);
+  }
+
+  const pinned = reproductionBrief(brief, entry, variation);
+  const job = listExpectedOutputs(pinned, assetsFolderFor(brief, briefPath), createJobFilter({
+    categories: [entry.productCategory],
+    regions: [entry.region],
+    ratios: [ratio]
+  })).find(output => output.isGenerated || output.assetName === entry.assetName);
+  if (!job) {
+    throw new UsageError(`${entry.assetName} is no longer in the assets folder`);
+  }
+
+  logger.info(`Reproducing ${label} from ${resultsFile}`, { job: jobKey(job), requests: entry.requests, variation });
+  await runCampaign({
+    brief: pinned,
+    briefPath,
+    outputDir: options.outputDir,
+    provider: options.provider,
+    storageBackend: options.storageBackend,
+    filter: createJobFilter({ jobs: [job] }),
+    useCache: options.useCache,
+    reproduceOf: { resultsFile, label }
+  });
 }
 
-const readYaml = (p) => YAML.parse(fs.readFileSync(p, 'utf-8'));
+async function watchCommand(options) {
+  const briefPath = options.briefPath || DEFAULT_BRIEF;
+  // Filters are checked once against the brief as it is now
+  const { brief } = loadFilteredBrief(briefPath, options.filters);
+  // Every round would fail without it
+  assertEnvironment(options.provider, options.storageBackend);
+  const watcher = new CampaignWatcher({
+    briefPath,
+    outputDir: options.outputDir,
+    filters: options.filters,
+    runOptions: {
+      provider: options.provider,
+      storageBackend: options.storageBackend,
+      useCache: options.useCache
+    }
+  });
+  await watcher.start();
+  console.log(`👀 Watching ${briefPath} and its assets folder; results in ${manifestFileFor(options.outputDir, brief.id)} (Ctrl-C to stop)`);
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await watcher.stop();
+}
 
-async function main() {
-  const startTime = Date.now();
-  const brief = readYaml('./campaign.yaml').campaign;
-  const assetsFolder = brief.assets_folder;
+async function dashboardCommand(options) {
+  const dashboard = new Dashboard({ outputDir: options.outputDir, storageBackend: options.storageBackend });
+  await dashboard.listen(options.port ?? DEFAULT_DASHBOARD_PORT);
+  console.log(`🖥️  Dashboard: ${dashboard.url} (Ctrl-C to stop)`);
 
-  logger.info("🚀 HYBRID Processing: Parallel + Sequential optimization");
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  await dashboard.close();
+}
 
-  // Initialize Adobe authentication
-  const authProvider = new ServerToServerTokenProvider({
-    clientId: ADOBE_CLIENT_ID,
-    clientSecret: ADOBE_CLIENT_SECRET,
-    scopes: ADOBE_SCOPES
-  }, {
-    autoRefresh: true
+async function serveCommand(options) {
+  // The worker's runs would otherwise fail one job after another
+  assertEnvironment(options.provider, options.storageBackend);
+  const api = new JobApi({
+    queueDir: process.env.QUEUE_DIR || DEFAULT_QUEUE_DIR,
+    baseDir: process.cwd(),
+    runOptions: {
+      outputDir: options.outputDir,
+      provider: options.provider,
+      storageBackend: options.storageBackend,
+      useCache: options.useCache
+    }
   });
+  await api.listen(options.port ?? DEFAULT_API_PORT, process.env.API_HOST || '127.0.0.1');
+  console.log(`🛰️  Job API: ${api.url}/jobs (Ctrl-C to stop; a running job is finished first)`);
 
-  const config = {
-    tokenProvider: authProvider,
-    clientId: ADOBE_CLIENT_ID
-  };
-  const photoshop = new PhotoshopClient(config);
-  const firefly = new FireflyClient(config);
-  const s3Client = new S3Client(AWS_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY);
-
-  // Get all asset references
-  const assetReferences = await getAssetReferences(assetsFolder, firefly, s3Client, brief);
-  logger.info(`Found ${assetReferences.length} asset reference(s)`);
-
-  // Process all assets with hybrid approach
-  const results = await processAssetsHybrid(assetReferences, brief, firefly, photoshop, s3Client);
-
-  const endTime = Date.now();
-  const executionTime = (endTime - startTime) / 1000;
-
-  // Log final results
-  logger.info("HYBRID Processing completed", {
-    summary: results.summary,
-    executionTime: `${executionTime}s`,
-    successCount: results.success.length,
-    failureCount: results.failures.length
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
   });
+  await api.close();
+}
+
+async function cacheCommand(options) {
+  const [action = 'inspect'] = options.args;
+  const cache = new ContentCache(process.env.CACHE_DIR || DEFAULT_CACHE_DIR);
+
+  if (action === 'inspect') {
+    const stats = cache.inspect();
+    console.log(options.json ? JSON.stringify(stats, null, 2) : formatCacheInspection(stats));
+  } else if (action === 'purge') {
+    const { removed, bytes } = cache.purge({ olderThanDays: options.olderThanDays });
+    console.log(`🧹 Removed ${removed} cache entries (${formatBytes(bytes)})`);
+  } else {
+    throw new UsageError(`Unknown cache action "${action}" (expected inspect or purge)`);
+  }
+}
+
+const handlers = {
+  run: runCommand,
+  validate: validateCommand,
+  plan: planCommand,
+  report: reportCommand,
+  rerun: rerunCommand,
+  reproduce: reproduceCommand,
+  approve: reviewCommand('approved'),
+  reject: reviewCommand('rejected'),
+  watch: watchCommand,
+  dashboard: dashboardCommand,
+  serve: serveCommand,
+  cache: cacheCommand
+};
 
-  // Write results to file
-  const now = new Date();
-  const timestamp = now.getFullYear() + '-' + 
-    String(now.getMonth() + 1).padStart(2, '0') + '-' + 
-    String(now.getDate()).padStart(2, '0') + '_' +
-    String(now.getHours()).padStart(2, '0') + '-' +
-    String(now.getMinutes()).padStart(2, '0') + '-' +
-    String(now.getSeconds()).padStart(2, '0');
-  // Ensure results directory exists
-  const resultsDir = './results';
-  if (!fs.existsSync(resultsDir)) {
-    fs.mkdirSync(resultsDir, { recursive: true });
-  }
-  
-  const resultsFile = `${resultsDir}/results-${timestamp}.json`;
-  fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
-  logger.info("Results saved to file", { resultsFile, executionTime: `${executionTime}s` });
-
-  return results;
+async function main(argv) {
+  const options = parseCommandLine(argv);
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+  await handlers[options.command](options);
 }
 
-main().catch((e) => {
+main(process.argv.slice(2)).catch((e) => {
+  if (e instanceof UsageError) {
+    console.error(`❌ ${e.message}\n`);
+    console.error(HELP);
+    process.exit(2);
+  }
+  if (e instanceof BriefValidationError) {
+    logger.error(e.message);
+    process.exit(1);
+  }
+  if (e instanceof EnvironmentError) {
+    console.error(e.message);
+    process.exit(1);
+  }
   logger.error("Script execution failed", e);
   process.exit(1);
 });
@@ -0,0 +1,253 @@
+// HTTP job API (`serve` command) for tools that submit campaign briefs instead
+// of running index.js on a YAML file:
+//   POST /jobs[?category=&region=&ratio=]   body: a campaign brief as YAML or JSON
+//        202 { job }            validated and queued
+//        422 { error, errors }  validation issues, each with path, line and column
+//        400 { error }          unknown filter values
+//   GET  /jobs                  every job, oldest first
+//   GET  /jobs/<id>             the job with per-output progress
+//   GET  /jobs/<id>/results     the results document (409 until the job has completed)
+// Filters are comma separated, as on the command line. Relative paths in a
+// submitted brief (assets_folder, brand logos) resolve against the server's
+// base directory. With $API_TOKEN set, every request needs
+// "Authorization: Bearer <token>".
+
+import http from 'node:http';
+import path from 'node:path';
+import fs from 'node:fs';
+import { loadBrief, locateIssues, BriefValidationError } from './campaign-schema.js';
+import { createJobFilter, validateJobFilter, jobKey } from './job-filter.js';
+import { listExpectedOutputs, resultJobKey } from './pipeline.js';
+import { JobLedger } from './ledger.js';
+import { JobQueue, JobWorker, jobResults } from './job-queue.js';
+import { BrandKit } from './brand.js';
+import { copyRuleIssues } from './copy-rules.js';
+import logger from './logger.js';
+
+const DEFAULT_API_PORT = 8080;
+const MAX_BRIEF_BYTES = 1024 * 1024;
+const BRIEF_CONTENT_TYPES = ['application/json', 'application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'];
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// An oversized body is rejected but still drained, so the 413 response
+// reaches a client that is still sending
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BRIEF_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Brief is larger than ${MAX_BRIEF_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!tooLarge) resolve(Buffer.concat(chunks).toString('utf-8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Validate a staged brief as `validate` does (schema, output formats, brand
+// files, copy rules), then the filters against it
+function checkSubmission(briefFile, baseDir, filters) {
+  const brief = loadBrief(briefFile);
+  const filename = path.basename(briefFile);
+  const issues = [
+    ...new BrandKit(brief, baseDir).missingFiles(filename),
+    ...copyRuleIssues(brief, filename)
+  ];
+  if (issues.length > 0) {
+    throw new BriefValidationError(filename, locateIssues(briefFile, issues));
+  }
+  const filter = createJobFilter(filters);
+  const errors = validateJobFilter(filter, brief);
+  if (errors.length > 0) {
+    throw new HttpError(400, errors.join('\n'));
+  }
+  return { brief, filter };
+}
+
+class JobApi {
+  // runOptions: outputDir, provider, storageBackend for the worker's runs
+  constructor({ queueDir, baseDir = '.', token = process.env.API_TOKEN, runOptions = {} }) {
+    this.queue = new JobQueue(queueDir);
+    this.baseDir = path.resolve(baseDir);
+    this.token = token || null;
+    this.worker = new JobWorker(this.queue, { ...runOptions, baseDir: this.baseDir });
+    this.server = null;
+    this.url = null;
+  }
+
+  async listen(port = DEFAULT_API_PORT, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (error instanceof HttpError) {
+          this.sendJson(res, error.status, { error: error.message, ...error.details });
+          return;
+        }
+        if (error instanceof BriefValidationError) {
+          // Issues point into the submitted brief; the staged file's name means nothing to the client
+          const errors = error.errors.map(({ file, ...issue }) => issue);
+          this.sendJson(res, 422, { error: `Brief has ${errors.length} validation error(s)`, errors });
+          return;
+        }
+        logger.error("Job API: request failed", { method: req.method, url: req.url, error: error.message });
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    const address = this.server.address();
+    this.url = `http://${address.address}:${address.port}`;
+    this.worker.start();
+    logger.info("Job API: listening", { url: this.url, queueDir: this.queue.queueDir, baseDir: this.baseDir, auth: Boolean(this.token) });
+  }
+
+  // Stop accepting requests, then let the running job finish
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    await this.worker.stop();
+  }
+
+  sendJson(res, status, body) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  async handleRequest(req, res) {
+    if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+      throw new HttpError(401, 'Missing or invalid bearer token');
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const [resource, id, sub, ...rest] = url.pathname.split('/').filter(Boolean);
+    if (resource !== 'jobs' || rest.length > 0 || (sub && sub !== 'results')) {
+      throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+
+    if (!id) {
+      if (req.method === 'POST') return this.submit(req, res, url.searchParams);
+      if (req.method === 'GET') return this.sendJson(res, 200, { jobs: this.queue.list().map(job => this.describe(job)) });
+      throw new HttpError(405, `${req.method} is not supported on /jobs`);
+    }
+    if (req.method !== 'GET') {
+      throw new HttpError(405, `${req.method} is not supported on ${url.pathname}`);
+    }
+    const job = this.queue.get(id);
+    if (!job) {
+      throw new HttpError(404, `No job ${id}`);
+    }
+    if (!sub) {
+      return this.sendJson(res, 200, { ...this.describe(job), progress: this.progress(job) });
+    }
+    const results = job.status === 'completed' ? jobResults(job) : null;
+    if (!results) {
+      throw new HttpError(409, `Job ${id} has no results (status: ${job.status})`, { status: job.status });
+    }
+    return this.sendJson(res, 200, results);
+  }
+
+  async submit(req, res, params) {
+    const contentType = (req.headers['content-type'] || 'application/yaml').split(';')[0].trim();
+    if (!BRIEF_CONTENT_TYPES.includes(contentType)) {
+      throw new HttpError(415, `Unsupported content type "${contentType}" (expected YAML or JSON)`);
+    }
+    const source = await readBody(req);
+    const list = (name) => (params.get(name) || '').split(',').map(item => item.trim()).filter(Boolean);
+    const filters = { categories: list('category'), regions: list('region'), ratios: list('ratio') };
+
+    // The brief is staged under the job's id so validation issues can point at its lines
+    const { id, briefFile } = this.queue.stageBrief(source);
+    let checked;
+    try {
+      checked = checkSubmission(briefFile, this.baseDir, filters);
+    } catch (error) {
+      this.queue.discardBrief(id);
+      throw error;
+    }
+
+    const { brief, filter } = checked;
+    const expectedOutputs = listExpectedOutputs(brief, path.resolve(this.baseDir, brief.assets_folder), filter)
+      .map(({ category, region, ratio, assetName }) => ({ category, region, ratio, assetName }));
+    const job = this.queue.enqueue(id, { campaignId: brief.id, filters, expectedOutputs });
+    this.worker.notify();
+
+    logger.info("Job API: job queued", { id, campaignId: brief.id, outputs: expectedOutputs.length });
+    this.sendJson(res, 202, this.describe(job));
+  }
+
+  describe(job) {
+    const { expectedOutputs, briefFile, ...rest } = job;
+    return { ...rest, outputs: expectedOutputs.length, statusUrl: `/jobs/${job.id}`, resultsUrl: `/jobs/${job.id}/results` };
+  }
+
+  // Per-output status: from the job's ledger while the job runs, from
+  // its results once it has completed
+  progress(job) {
+    const outputs = job.expectedOutputs.map(output => ({ ...output, status: 'pending', step: null, error: null }));
+    const byKey = new Map(outputs.map(output => [jobKey(output), output]));
+
+    if (job.status === 'running') {
+      const ledgerFile = JobLedger.filePath(job.campaignId, this.queue.ledgerDir(job.id));
+      const ledger = fs.existsSync(ledgerFile) ? JSON.parse(fs.readFileSync(ledgerFile, 'utf-8')) : { jobs: {} };
+      for (const [key, entry] of Object.entries(ledger.jobs)) {
+        const output = byKey.get(key);
+        if (!output) continue;
+        const steps = Object.entries(entry.steps || {});
+        output.status = entry.status;
+        output.step = entry.status === 'failed'
+          ? entry.error?.step ?? null
+          : steps.find(([, step]) => step.status === 'running')?.[0] ?? null;
+        output.error = entry.error?.message ?? null;
+      }
+    } else if (job.status === 'completed') {
+      const results = jobResults(job);
+      for (const entry of results?.success || []) {
+        const output = byKey.get(resultJobKey(entry));
+        if (output) Object.assign(output, { status: 'succeeded', step: null, label: entry.label, s3Key: entry.s3Key });
+      }
+      for (const entry of results?.failures || []) {
+        const output = byKey.get(resultJobKey(entry));
+        if (output) Object.assign(output, { status: 'failed', step: entry.failedStep ?? null, error: entry.error });
+      }
+    }
+
+    const count = (status) => outputs.filter(output => output.status === status).length;
+    return {
+      total: outputs.length,
+      succeeded: count('succeeded'),
+      failed: count('failed'),
+      running: count('running'),
+      pending: count('pending'),
+      outputs
+    };
+  }
+}
+
+export {
+  DEFAULT_API_PORT,
+  JobApi
+};
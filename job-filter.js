@@ -0,0 +1,100 @@
+// Job selection for partial runs: narrows the asset × region × ratio matrix
+// built by the pipeline to the categories/regions/ratios requested on the
+// command line, or to an explicit list of outputs (used by `rerun`).
+
+function jobKey({ category, region, ratio, assetName }) {
+  return [category, region, ratio, assetName].join('|');
+}
+
+function createJobFilter({ categories = [], regions = [], ratios = [], jobs = null } = {}) {
+  const categorySet = new Set(categories);
+  const regionSet = new Set(regions);
+  const ratioSet = new Set(ratios);
+  const jobSet = jobs ? new Set(jobs.map(jobKey)) : null;
+  const jobCategories = jobs ? new Set(jobs.map(job => job.category)) : null;
+
+  const allowed = (set, value) => set.size === 0 || set.has(value);
+
+  return {
+    categories,
+    regions,
+    ratios,
+    jobs,
+    isEmpty: categorySet.size === 0 && regionSet.size === 0 && ratioSet.size === 0 && !jobSet,
+
+    matchesCategory(category) {
+      return allowed(categorySet, category) && (!jobCategories || jobCategories.has(category));
+    },
+
+    matches({ category, region, ratio, assetName }) {
+      return allowed(categorySet, category) &&
+        allowed(regionSet, region) &&
+        allowed(ratioSet, ratio) &&
+        (!jobSet || jobSet.has(jobKey({ category, region, ratio, assetName })));
+    }
+  };
+}
+
+// Narrow a filter further by dropping whole category/region pairs (e.g. regions
+// whose copy breaks the campaign's copy rules), and categories left with no region
+function excludeRegions(filter, excluded, brief) {
+  const excludedPairs = new Set(excluded.map(({ category, region }) => `${category}|${region}`));
+  const emptyCategories = new Set(Object.entries(brief.product_categories)
+    .filter(([category, config]) => config.target_regions.every(region => excludedPairs.has(`${category}|${region.code}`)))
+    .map(([category]) => category));
+
+  return {
+    ...filter,
+    matchesCategory(category) {
+      return filter.matchesCategory(category) && !emptyCategories.has(category);
+    },
+    matches(job) {
+      return filter.matches(job) && !excludedPairs.has(`${job.category}|${job.region}`);
+    }
+  };
+}
+
+// Check filter values against the brief so a typo like `--region de`
+// fails fast instead of silently selecting nothing
+function validateJobFilter(filter, brief) {
+  const errors = [];
+  const categories = Object.keys(brief.product_categories);
+  const regions = new Set(Object.values(brief.product_categories)
+    .flatMap(config => config.target_regions.map(region => region.code)));
+
+  for (const category of filter.categories) {
+    if (!categories.includes(category)) {
+      errors.push(`Unknown category "${category}" (brief defines: ${categories.join(', ')})`);
+    }
+  }
+  for (const region of filter.regions) {
+    if (!regions.has(region)) {
+      errors.push(`Unknown region "${region}" (brief defines: ${[...regions].join(', ')})`);
+    }
+  }
+  for (const ratio of filter.ratios) {
+    if (!brief.aspect_ratios.includes(ratio)) {
+      errors.push(`Aspect ratio "${ratio}" is not in the brief (brief defines: ${brief.aspect_ratios.join(', ')})`);
+    }
+  }
+  return errors;
+}
+
+// Serializable form recorded in the results file
+function describeJobFilter(filter) {
+  if (filter.isEmpty) return null;
+  return {
+    categories: filter.categories,
+    regions: filter.regions,
+    ratios: filter.ratios,
+    jobs: filter.jobs ? filter.jobs.map(jobKey) : undefined
+  };
+}
+
+export {
+  jobKey,
+  createJobFilter,
+  excludeRegions,
+  validateJobFilter,
+  describeJobFilter
+};
@@ -0,0 +1,212 @@
+// Job queue for the HTTP job API, persisted to a directory ($QUEUE_DIR,
+// default ./queue) so queued and interrupted runs survive a restart:
+//   <id>.json         the job: status, timestamps, filters, expected outputs,
+//                     results file and error
+//   <id>.brief.yaml   the submitted brief, as sent (JSON briefs are valid YAML)
+//   <id>.ledger/      the job's own job ledger, so API runs never touch the
+//                     ledger of CLI runs of the same campaign
+// A job is queued, running, then completed (the run finished; its failed outputs
+// are in the results) or failed (the run itself could not finish).
+// A JobWorker runs one job at a time through runCampaign, which processes the
+// outputs with processAssetsHybrid and writes the usual results file. A job
+// found running at startup was interrupted; it is queued again and resumed
+// from its job ledger.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { v4 as uuidv4 } from 'uuid';
+import { loadBrief } from './campaign-schema.js';
+import { createJobFilter } from './job-filter.js';
+import { runCampaign } from './pipeline.js';
+import { loadResults } from './report.js';
+import logger from './logger.js';
+
+const DEFAULT_QUEUE_DIR = './queue';
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// How often an idle worker looks for new jobs
+const POLL_INTERVAL_MS = 1000;
+
+class JobQueue {
+  constructor(queueDir = DEFAULT_QUEUE_DIR) {
+    this.queueDir = queueDir;
+    fs.mkdirSync(queueDir, { recursive: true });
+  }
+
+  jobFile(id) {
+    return path.join(this.queueDir, `${id}.json`);
+  }
+
+  briefFile(id) {
+    return path.join(this.queueDir, `${id}.brief.yaml`);
+  }
+
+  ledgerDir(id) {
+    return path.join(this.queueDir, `${id}.ledger`);
+  }
+
+  // Store a submitted brief under a new job id; the job is only queued by
+  // enqueue(), once the brief has been validated
+  stageBrief(source) {
+    const id = uuidv4();
+    fs.writeFileSync(this.briefFile(id), source);
+    return { id, briefFile: this.briefFile(id) };
+  }
+
+  discardBrief(id) {
+    fs.rmSync(this.briefFile(id), { force: true });
+  }
+
+  enqueue(id, { campaignId, filters, expectedOutputs }) {
+    const job = {
+      id,
+      status: 'queued',
+      campaignId,
+      briefFile: this.briefFile(id),
+      filters,
+      expectedOutputs,
+      resume: false,
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      resultsFile: null,
+      summary: null,
+      error: null
+    };
+    this.save(job);
+    return job;
+  }
+
+  get(id) {
+    // Ids are uuids; anything else cannot name a job file
+    if (!/^[0-9a-f-]{36}$/.test(id) || !fs.existsSync(this.jobFile(id))) return null;
+    return JSON.parse(fs.readFileSync(this.jobFile(id), 'utf-8'));
+  }
+
+  list() {
+    return fs.readdirSync(this.queueDir)
+      .filter(file => /^[0-9a-f-]{36}\.json$/.test(file))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.queueDir, file), 'utf-8')))
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  }
+
+  // Oldest queued job
+  next() {
+    return this.list().find(job => job.status === 'queued') || null;
+  }
+
+  update(id, fields) {
+    const job = { ...this.get(id), ...fields };
+    this.save(job);
+    return job;
+  }
+
+  save(job) {
+    // Write-then-rename, as for the job ledger
+    const tmpFile = `${this.jobFile(job.id)}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(job, null, 2));
+    fs.renameSync(tmpFile, this.jobFile(job.id));
+  }
+
+  // Jobs left running by a server that stopped are queued again, to resume
+  recoverInterrupted() {
+    const interrupted = this.list().filter(job => job.status === 'running');
+    for (const job of interrupted) {
+      logger.warn("Job queue: requeueing interrupted job", { id: job.id, campaignId: job.campaignId });
+      this.update(job.id, { status: 'queued', resume: true });
+    }
+    return interrupted.length;
+  }
+}
+
+class JobWorker {
+  // runOptions: baseDir, outputDir, provider, storageBackend passed to runCampaign
+  constructor(queue, runOptions) {
+    this.queue = queue;
+    this.runOptions = runOptions;
+    this.stopped = false;
+    this.current = null;
+    this.loop = null;
+    this.wakeUp = null;
+  }
+
+  start() {
+    this.queue.recoverInterrupted();
+    this.loop = this.run();
+  }
+
+  // Called on submit so a new job does not wait for the next poll
+  notify() {
+    this.wakeUp?.();
+  }
+
+  // Stop taking jobs and wait for the current one to finish
+  async stop() {
+    this.stopped = true;
+    this.notify();
+    await this.loop;
+  }
+
+  async run() {
+    while (!this.stopped) {
+      const job = this.queue.next();
+      if (!job) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, POLL_INTERVAL_MS);
+          this.wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wakeUp = null;
+        continue;
+      }
+      this.current = job.id;
+      await this.process(job);
+      this.current = null;
+    }
+  }
+
+  async process(job) {
+    this.queue.update(job.id, { status: 'running', startedAt: new Date().toISOString() });
+    logger.info("Job queue: starting job", { id: job.id, campaignId: job.campaignId, resume: job.resume });
+    try {
+      const brief = loadBrief(job.briefFile);
+      const { resultsFile, results } = await runCampaign({
+        ...this.runOptions,
+        brief,
+        briefPath: job.briefFile,
+        filter: createJobFilter(job.filters),
+        ledgerDir: this.queue.ledgerDir(job.id),
+        resume: job.resume
+      });
+      this.queue.update(job.id, {
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        resultsFile,
+        summary: { succeeded: results.summary.succeeded, failed: results.summary.failed, total: results.summary.total }
+      });
+      logger.info("Job queue: job finished", { id: job.id, resultsFile });
+    } catch (error) {
+      this.queue.update(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: { message: error.message, name: error.name, errors: error.errors }
+      });
+      logger.error("Job queue: job failed", { id: job.id, error: error.message });
+    }
+  }
+}
+
+// Results document of a finished job, or null
+function jobResults(job) {
+  return job.resultsFile && fs.existsSync(job.resultsFile) ? loadResults(job.resultsFile) : null;
+}
+
+export {
+  DEFAULT_QUEUE_DIR,
+  JOB_STATUSES,
+  JobQueue,
+  JobWorker,
+  jobResults
+};
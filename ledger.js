@@ -0,0 +1,208 @@
+// Persistent job ledger. Records every asset × region × ratio job and each of
+// its steps (upload, expand, mask, fill, text_overlay, encode) in
+// <ledgerDir>/<campaignId>.json, so `run --resume` can skip completed outputs
+// and restart failed jobs from their last successful step.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { jobKey } from './job-filter.js';
+import { failureDetails } from './retry.js';
+import logger from './logger.js';
+
+const JOB_STEPS = ['upload', 'expand', 'mask', 'fill', 'text_overlay', 'encode'];
+
+const DEFAULT_LEDGER_DIR = './ledger';
+
+// Remote URLs (Firefly outputs, presigned S3 URLs) expire after an hour;
+// anything recorded longer ago than this is not reused on resume
+const DEFAULT_URL_TTL_MINUTES = 50;
+
+class JobLedger {
+  constructor(campaignId, { filePath = null, urlTtlMinutes = DEFAULT_URL_TTL_MINUTES } = {}) {
+    this.filePath = filePath;
+    this.urlTtlMs = urlTtlMinutes * 60 * 1000;
+    this.data = {
+      campaignId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      runs: [],
+      generated: {},
+      jobs: {}
+    };
+  }
+
+  static filePath(campaignId, ledgerDir = DEFAULT_LEDGER_DIR) {
+    return path.join(ledgerDir, `${campaignId}.json`);
+  }
+
+  // Open the ledger for a campaign; a fresh run starts a new ledger, a resumed
+  // run continues the old one. A run of only some outputs (rerun, reproduce,
+  // filtered runs) passes them as `reset`: the old ledger is kept and just
+  // those jobs start over, so a later `run --resume` still skips the others.
+  static open(campaignId, { ledgerDir = DEFAULT_LEDGER_DIR, resume = false, reset = null, urlTtlMinutes } = {}) {
+    const filePath = JobLedger.filePath(campaignId, ledgerDir);
+    const ledger = new JobLedger(campaignId, { filePath, urlTtlMinutes });
+
+    if (resume) {
+      if (fs.existsSync(filePath)) {
+        ledger.data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        logger.info("Ledger: resuming", { filePath, ...ledger.counts() });
+      } else {
+        logger.warn("Ledger: nothing to resume, starting a new ledger", { filePath });
+      }
+    } else if (reset && fs.existsSync(filePath)) {
+      ledger.data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      ledger.resetJobs(reset);
+      logger.info("Ledger: updating", { filePath, reset: reset.length, ...ledger.counts() });
+    }
+
+    ledger.data.runs.push({ startedAt: new Date().toISOString(), resumed: resume });
+    ledger.save();
+    return ledger;
+  }
+
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    if (!this.filePath) return;
+
+    // Write-then-rename so a crash never leaves a truncated ledger behind
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  job(job) {
+    const key = jobKey(job);
+    this.data.jobs[key] ??= {
+      category: job.category,
+      region: job.region,
+      ratio: job.ratio,
+      assetName: job.assetName,
+      status: 'pending',
+      steps: {},
+      result: null,
+      error: null
+    };
+    return this.data.jobs[key];
+  }
+
+  // file:// URLs never expire; remote URLs (and Firefly upload ids, which are
+  // short-lived too) are only trusted for urlTtlMs
+  expiresAt(output) {
+    const remote = Object.entries(output || {}).some(([key, value]) =>
+      typeof value === 'string' && (/^https?:/.test(value) || key === 'imageId')
+    );
+    return remote ? new Date(Date.now() + this.urlTtlMs).toISOString() : null;
+  }
+
+  isFresh(entry) {
+    return entry?.status === 'succeeded' && (!entry.expiresAt || Date.parse(entry.expiresAt) > Date.now());
+  }
+
+  // Step methods take a single job, or the list of jobs sharing an
+  // intermediate (upload per asset, expand/mask per asset and ratio)
+  startStep(jobs, step) {
+    for (const job of [].concat(jobs)) {
+      const entry = this.job(job);
+      entry.status = 'running';
+      entry.steps[step] = { status: 'running', startedAt: new Date().toISOString() };
+    }
+    this.save();
+  }
+
+  completeStep(jobs, step, output = {}) {
+    for (const job of [].concat(jobs)) {
+      const entry = this.job(job);
+      entry.steps[step] = {
+        ...entry.steps[step],
+        status: 'succeeded',
+        completedAt: new Date().toISOString(),
+        expiresAt: this.expiresAt(output),
+        output
+      };
+    }
+    this.save();
+  }
+
+  failStep(jobs, step, error) {
+    for (const job of [].concat(jobs)) {
+      const entry = this.job(job);
+      entry.steps[step] = { ...entry.steps[step], status: 'failed', failedAt: new Date().toISOString(), error: error.message };
+      entry.status = 'failed';
+      entry.error = { step, message: error.message, ...failureDetails(error) };
+    }
+    this.save();
+  }
+
+  completeJob(job, result) {
+    const entry = this.job(job);
+    entry.status = 'succeeded';
+    entry.result = result;
+    entry.error = null;
+    this.save();
+  }
+
+  // Forget jobs (and the generated assets they were made from) so they run again
+  resetJobs(jobs) {
+    for (const job of jobs) {
+      delete this.data.jobs[jobKey(job)];
+      if (job.isGenerated) delete this.data.generated[`${job.category}|${job.ratio}`];
+    }
+  }
+
+  isJobComplete(job) {
+    return this.data.jobs[jobKey(job)]?.status === 'succeeded';
+  }
+
+  // Output of a step that can be reused on resume, or null when it must run
+  // again; for shared steps any job of the list will do
+  reusableStep(jobs, step) {
+    for (const job of [].concat(jobs)) {
+      const entry = this.data.jobs[jobKey(job)];
+      if (this.isFresh(entry?.steps[step])) return entry.steps[step].output;
+    }
+    return null;
+  }
+
+  // Generated assets are shared by every region of a category/ratio
+  recordGenerated(category, ratio, asset) {
+    this.data.generated[`${category}|${ratio}`] = {
+      completedAt: new Date().toISOString(),
+      expiresAt: this.expiresAt({ url: asset.downloadUrl }),
+      status: 'succeeded',
+      asset
+    };
+    this.save();
+  }
+
+  reusableGenerated(category, ratio) {
+    const entry = this.data.generated[`${category}|${ratio}`];
+    return this.isFresh(entry) ? entry.asset : null;
+  }
+
+  completedResults(filter) {
+    return Object.values(this.data.jobs)
+      .filter(entry => entry.status === 'succeeded' && entry.result && filter.matches(entry))
+      .map(entry => entry.result);
+  }
+
+  failedJobs(filter) {
+    return Object.values(this.data.jobs).filter(entry => entry.status === 'failed' && filter.matches(entry));
+  }
+
+  counts() {
+    const jobs = Object.values(this.data.jobs);
+    return {
+      jobs: jobs.length,
+      succeeded: jobs.filter(j => j.status === 'succeeded').length,
+      failed: jobs.filter(j => j.status === 'failed').length
+    };
+  }
+}
+
+export {
+  JOB_STEPS,
+  DEFAULT_LEDGER_DIR,
+  JobLedger
+};
@@ -0,0 +1,240 @@
+// Offline stand-ins for FireflyClient and PhotoshopClient built on sharp.
+// They implement the subset of client methods used by firefly-utils.js and
+// return responses shaped like the Adobe SDKs, so the pipeline runs
+// unchanged without credentials or network access. Results are written to
+// a working directory and referenced by file:// URLs.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { v4 as uuidv4 } from 'uuid';
+import sharp from 'sharp';
+import { downloadBuffer, uploadBuffer } from './image-transfer.js';
+import { escapeXml } from './fonts.js';
+import logger from './logger.js';
+
+const DEFAULT_OPTIONS = {
+  workDir: './.local-provider',
+  fillStyle: 'gradient',   // 'gradient' or 'solid'
+  maskThreshold: 48        // colour distance from the background that counts as subject
+};
+
+// Deterministic palette derived from a prompt, so each region's background differs
+function promptColors(prompt, seed = 0) {
+  const hash = crypto.createHash('sha256').update(`${seed}:${prompt}`).digest();
+  const color = (offset) => '#' + [0, 1, 2].map(i => (hash[offset + i] % 160 + 48).toString(16).padStart(2, '0')).join('');
+  return [color(0), color(3)];
+}
+
+function wrapWords(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function backgroundSvg(width, height, prompt, style, seed) {
+  const [from, to] = promptColors(prompt, seed);
+  const fill = style === 'solid' ? from : 'url(#bg)';
+  return `
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <defs>
+        <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0%" stop-color="${from}"/>
+          <stop offset="100%" stop-color="${to}"/>
+        </linearGradient>
+      </defs>
+      <rect width="100%" height="100%" fill="${fill}"/>
+    </svg>
+  `;
+}
+
+class LocalWorkspace {
+  constructor(workDir) {
+    this.workDir = path.resolve(workDir);
+    fs.mkdirSync(path.join(this.workDir, 'uploads'), { recursive: true });
+    fs.mkdirSync(path.join(this.workDir, 'outputs'), { recursive: true });
+  }
+
+  uploadPath(id) {
+    return path.join(this.workDir, 'uploads', id);
+  }
+
+  async writeOutput(buffer, extension = '.png') {
+    const filePath = path.join(this.workDir, 'outputs', `${uuidv4()}${extension}`);
+    await fs.promises.writeFile(filePath, buffer);
+    return pathToFileURL(filePath).href;
+  }
+}
+
+class LocalFireflyClient {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.workspace = new LocalWorkspace(this.options.workDir);
+  }
+
+  // firefly.upload(blob) → { result: { images: [{ id }] } }
+  async upload(blob) {
+    const id = uuidv4();
+    await fs.promises.writeFile(this.workspace.uploadPath(id), Buffer.from(await blob.arrayBuffer()));
+    logger.debug("LocalFirefly: upload stored", { id, type: blob.type });
+    return { result: { images: [{ id }] } };
+  }
+
+  // Expand = scale the source to fit and pad it onto a transparent canvas of the target size
+  async expandImage({ image, numVariations = 1, size, seeds = [] }) {
+    const source = await fs.promises.readFile(this.workspace.uploadPath(image.source.uploadId));
+    const { width, height } = size;
+
+    const fitted = await sharp(source)
+      .ensureAlpha()
+      .resize(width, height, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const left = Math.floor((width - fitted.info.width) / 2);
+    const top = Math.floor((height - fitted.info.height) / 2);
+    const expanded = await sharp({
+      create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    })
+      .composite([{ input: fitted.data, left, top }])
+      .png()
+      .toBuffer();
+
+    const outputs = [];
+    for (let i = 0; i < numVariations; i++) {
+      outputs.push({ seed: seeds[i] ?? i, image: { url: await this.workspace.writeOutput(expanded) } });
+    }
+    return { result: { size, outputs } };
+  }
+
+  // Fill = render a solid or gradient background and keep the source where the mask is black
+  async fillImage({ image, prompt, numVariations = 1, seeds = [] }) {
+    const source = await downloadBuffer(image.source.url);
+    const { width, height } = await sharp(source).metadata();
+    const mask = await sharp(await downloadBuffer(image.mask.url))
+      .resize(width, height, { fit: 'fill' })
+      .greyscale()
+      .negate()
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer();
+
+    // Product layer: source RGB with the (un-inverted) mask as its alpha channel
+    const rgb = await sharp(source).removeAlpha().raw().toBuffer();
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      rgb.copy(rgba, pixel * 4, pixel * 3, pixel * 3 + 3);
+      rgba[pixel * 4 + 3] = mask[pixel];
+    }
+    const product = await sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+
+    const outputs = [];
+    for (let i = 0; i < numVariations; i++) {
+      const seed = seeds[i] ?? i;
+      const filled = await sharp(Buffer.from(backgroundSvg(width, height, prompt, this.options.fillStyle, seed)))
+        .composite([{ input: product }])
+        .png()
+        .toBuffer();
+      outputs.push({ seed, image: { url: await this.workspace.writeOutput(filled) } });
+    }
+    return { result: { size: { width, height }, outputs } };
+  }
+
+  // Generate = placeholder artwork showing the prompt text
+  async generateImages({ prompt, numVariations = 1, size, seeds = [] }) {
+    const { width, height } = size;
+    const fontSize = Math.floor(width / 40);
+    const lines = wrapWords(prompt, Math.floor(width / (fontSize * 0.55)) - 4).slice(0, 12);
+
+    const outputs = [];
+    for (let i = 0; i < numVariations; i++) {
+      const seed = seeds[i] ?? i;
+      const [from] = promptColors(prompt, seed);
+      const text = lines.map((line, index) =>
+        `<tspan x="${Math.floor(width * 0.08)}" dy="${index === 0 ? 0 : Math.floor(fontSize * 1.4)}">${escapeXml(line)}</tspan>`
+      ).join('');
+      const svg = backgroundSvg(width, height, prompt, 'gradient', seed).replace('</svg>', `
+        <rect x="${Math.floor(width * 0.3)}" y="${Math.floor(height * 0.3)}" width="${Math.floor(width * 0.4)}" height="${Math.floor(height * 0.25)}"
+              rx="${Math.floor(width * 0.03)}" fill="${from}" stroke="white" stroke-width="${Math.max(2, Math.floor(width / 400))}"/>
+        <text x="${Math.floor(width * 0.08)}" y="${Math.floor(height * 0.65)}" font-family="sans-serif" font-size="${fontSize}" fill="white">${text}</text>
+      </svg>`);
+
+      const generated = await sharp(Buffer.from(svg)).jpeg({ quality: 90 }).toBuffer();
+      outputs.push({ seed, image: { url: await this.workspace.writeOutput(generated, '.jpg') } });
+    }
+    return { result: { size, outputs } };
+  }
+}
+
+class LocalPhotoshopClient {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Subject mask (white subject on black): from transparency when the image
+  // has any, otherwise by colour distance from the opaque corner pixels
+  async createMask({ input, output }) {
+    const { data, info } = await sharp(await downloadBuffer(input.href))
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+
+    const corners = [0, width - 1, (height - 1) * width, height * width - 1]
+      .map(pixel => pixel * channels)
+      .filter(offset => data[offset + 3] >= 128);
+    const background = corners.length === 0 ? null : [0, 1, 2].map(c =>
+      corners.reduce((sum, offset) => sum + data[offset + c], 0) / corners.length
+    );
+
+    const mask = Buffer.alloc(width * height);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const offset = pixel * channels;
+      let subject = data[offset + 3] >= 128;
+      if (subject && background) {
+        const distance = Math.hypot(
+          data[offset] - background[0],
+          data[offset + 1] - background[1],
+          data[offset + 2] - background[2]
+        );
+        subject = distance > this.options.maskThreshold;
+      }
+      mask[pixel] = subject ? 255 : 0;
+    }
+
+    const png = await sharp(mask, { raw: { width, height, channels: 1 } }).png().toBuffer();
+    await uploadBuffer(output.href, png, 'image/png');
+    return { result: { status: 'succeeded' } };
+  }
+
+  // Only the actions the pipeline uses are supported (currently "invert")
+  async playPhotoshopActionsJson({ inputs, outputs, options }) {
+    const actions = options.actionJSON.map(action => action._obj);
+    const unsupported = actions.filter(action => action !== 'invert');
+    if (unsupported.length > 0) {
+      throw new Error(`LocalPhotoshop: unsupported action(s): ${unsupported.join(', ')}`);
+    }
+
+    let image = sharp(await downloadBuffer(inputs[0].href));
+    for (const _ of actions) {
+      image = sharp(await image.negate({ alpha: false }).png().toBuffer());
+    }
+    await uploadBuffer(outputs[0].href, await image.png().toBuffer(), 'image/png');
+    return { result: { outputs: [{ status: 'succeeded' }] } };
+  }
+}
+
+export {
+  LocalFireflyClient,
+  LocalPhotoshopClient
+};
@@ -0,0 +1,1206 @@
+// Creative Automation POC - Processing Pipeline
+// HYBRID APPROACH: Optimized parallel processing with selective sequencing
+// - Firefly APIs: Parallel (they handle concurrency well)
+// - Photoshop API: Rate limited, starting sequential (to avoid rate limits)
+// - Text Overlay: Parallel (local processing)
+// - Best of both worlds: Speed + Reliability
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { uploadImage, expandImage, createMask, fillImage, addTextOverlay, getMimeType, generateImage } from './firefly-utils.js';
+import { createProvider } from './providers.js';
+import { createStorage } from './storage.js';
+import { BriefValidationError, locateIssues } from './campaign-schema.js';
+import { outputFormat, fitToDelivery } from './channels.js';
+import { createJobFilter, excludeRegions, describeJobFilter, jobKey } from './job-filter.js';
+import { JobLedger, DEFAULT_LEDGER_DIR } from './ledger.js';
+import { ContentCache, DEFAULT_CACHE_DIR, hashBuffer, imageExtension } from './cache.js';
+import { downloadBuffer, uploadBuffer } from './image-transfer.js';
+import { failureDetails } from './retry.js';
+import { createLimiters } from './rate-limit.js';
+import { resolveLayout } from './text-layout.js';
+import { resolveFont, checkGlyphCoverage, registerFonts } from './fonts.js';
+import { BrandKit } from './brand.js';
+import { resolveCompliance, checkCompliance, complianceSummary } from './compliance.js';
+import { rulesForRegion, briefCopyViolations } from './copy-rules.js';
+import { variationCount, variationMetrics, rankVariations } from './variations.js';
+import { categorySeed, fillSeed, callSeeds } from './seeds.js';
+import { ENCODING_EXTENSIONS, ENCODING_MIME_TYPES, encodingsFor, encodeOutput, encodingSummary } from './encodings.js';
+import logger from "./logger.js";
+
+const {
+  ADOBE_CLIENT_ID,
+  ADOBE_CLIENT_SECRET,
+  ADOBE_SCOPES,
+  IMAGE_PROVIDER = 'adobe',
+  STORAGE_BACKEND = 's3',
+  LEDGER_DIR = DEFAULT_LEDGER_DIR,
+  CACHE_DIR = DEFAULT_CACHE_DIR,
+  LOCAL_STORAGE_PUBLIC_URL,
+  AWS_REGION,
+  AWS_ACCESS_KEY_ID,
+  AWS_SECRET_ACCESS_KEY,
+  S3_BUCKET_NAME,
+  S3_KEY_PREFIX
+} = process.env;
+
+class EnvironmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EnvironmentError';
+  }
+}
+
+// Throws rather than exiting, so a server or watcher running campaigns can
+// report the failure and keep going
+function assertEnvironment(providerName = IMAGE_PROVIDER, storageName = STORAGE_BACKEND) {
+  // The local provider needs no Adobe credentials
+  if (providerName === 'adobe' && (!ADOBE_CLIENT_ID || !ADOBE_CLIENT_SECRET || !ADOBE_SCOPES)) {
+    throw new EnvironmentError([
+      'Missing required environment variables:',
+      '- ADOBE_CLIENT_ID',
+      '- ADOBE_CLIENT_SECRET',
+      '- ADOBE_SCOPES'
+    ].join('\n'));
+  }
+
+  // Local storage needs no AWS configuration
+  if (storageName === 's3' && (!AWS_REGION || !S3_BUCKET_NAME || !AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !S3_KEY_PREFIX)) {
+    throw new EnvironmentError([
+      'Missing required S3 environment variables:',
+      '- AWS_REGION',
+      '- S3_BUCKET_NAME',
+      '- AWS_ACCESS_KEY_ID',
+      '- AWS_SECRET_ACCESS_KEY',
+      '- S3_KEY_PREFIX'
+    ].join('\n'));
+  }
+
+  // Adobe APIs read and write intermediates by URL, which must be reachable from Adobe
+  if (providerName === 'adobe' && storageName === 'local' && !LOCAL_STORAGE_PUBLIC_URL) {
+    throw new EnvironmentError([
+      'The adobe provider cannot reach local storage URLs.',
+      '- Use IMAGE_PROVIDER=local, or',
+      '- Serve local storage (LOCAL_STORAGE_SERVE=true) behind a public tunnel and set LOCAL_STORAGE_PUBLIC_URL'
+    ].join('\n'));
+  }
+}
+
+// Firefly size an aspect_ratios entry is generated, expanded and filled at;
+// unknown formats are rejected when the brief is loaded
+const ratioToSize = (ratio, brief) => outputFormat(brief, ratio).size;
+
+const generatedAssetName = (category, ratio) => `${category}_generated_${ratio.replace(':', 'x')}.jpg`;
+
+// Storage prefix of everything a campaign writes: outputs, masks and cached
+// intermediates, so campaigns sharing a bucket stay apart
+const campaignPrefix = (storage, brief) => `${storage.keyPrefix}/${brief.id}`;
+
+// Label of an (asset, ratio) intermediate shared by several regions
+const intermediateLabel = (assetName, ratio) => `${path.basename(assetName, path.extname(assetName))}_${ratio.replace(':', 'x')}`;
+
+// Ledger identity of a regional asset (Phase 3)
+const jobOf = (asset) => ({
+  category: asset.assetRef.category,
+  region: asset.region.code,
+  ratio: asset.ratio,
+  assetName: asset.assetName
+});
+
+// Ledger identities of every region sharing an intermediate (Phases 1 and 2)
+const jobsOf = (asset) => asset.regions.map(region => ({
+  category: asset.assetRef.category,
+  region: region.code,
+  ratio: asset.ratio,
+  assetName: asset.assetName
+}));
+
+// PARALLELIZED: Generate missing assets with Promise.all (Firefly handles this well)
+async function generateMissingAssetsParallel(firefly, storage, brief, missingCategories, filter = createJobFilter(), ledger = new JobLedger(brief.id)) {
+  logger.info("generateMissingAssets: Starting parallel asset generation", { missingCategories });
+  
+  const generatedAssets = [];
+  
+  if (missingCategories.length === 0) {
+    logger.info("generateMissingAssets: No missing categories, skipping generation");
+    return generatedAssets;
+  }
+  
+  // Create all generation tasks in parallel
+  const generationTasks = [];
+  
+  for (const categoryName of missingCategories) {
+    const categoryConfig = brief.product_categories[categoryName];
+    if (!categoryConfig) {
+      logger.warn("generateMissingAssets: Skipping unknown category", { category: categoryName });
+      continue;
+    }
+    
+    logger.info("generateMissingAssets: Generating images for missing category", { category: categoryName });
+    
+    // Generate all aspect ratios for this category in parallel
+    for (const ratio of brief.aspect_ratios) {
+      // Only generate ratios that at least one selected, unfinished job will use
+      const assetName = generatedAssetName(categoryName, ratio);
+      const neededRegions = categoryConfig.target_regions.filter(region => {
+        const job = { category: categoryName, region: region.code, ratio, assetName };
+        return filter.matches(job) && !ledger.isJobComplete(job);
+      });
+      if (neededRegions.length === 0) continue;
+
+      // Reuse an image generated by an interrupted run
+      const reused = ledger.reusableGenerated(categoryName, ratio);
+      if (reused) {
+        logger.info("generateMissingAssets: Reusing generated asset from ledger", { category: categoryName, ratio });
+        generationTasks.push(Promise.resolve(reused));
+        continue;
+      }
+
+      const { width, height } = ratioToSize(ratio, brief);
+      const enhancedPrompt = getEnhancedProductPrompt(categoryName, categoryConfig, ratio, brief);
+      // Regions share the generated images, so generate as many as the region that wants the most
+      const numVariations = Math.max(...neededRegions.map(region => variationCount(brief, categoryName, region)));
+      
+      const task = generateSingleAsset(firefly, enhancedPrompt, width, height, categoryName, ratio, numVariations, categorySeed(brief, categoryName))
+        .then(asset => {
+          ledger.recordGenerated(categoryName, ratio, asset);
+          return asset;
+        });
+      generationTasks.push(task);
+    }
+  }
+  
+  // Execute all generation tasks in parallel
+  try {
+    const results = await Promise.allSettled(generationTasks);
+    
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value) {
+        generatedAssets.push(result.value);
+        logger.info("generateMissingAssets: Generated asset ready for processing", result.value);
+      } else {
+        logger.error("generateMissingAssets: Failed to generate asset", { 
+          error: result.reason?.message || 'Unknown error',
+          taskIndex: index
+        });
+      }
+    });
+    
+  } catch (error) {
+    logger.error("generateMissingAssets: Parallel generation failed", error);
+    throw error;
+  }
+  
+  logger.info("generateMissingAssets: Parallel asset generation completed", { 
+    generated: generatedAssets.length,
+    total: generationTasks.length
+  });
+  
+  return generatedAssets;
+}
+
+// Helper function for single asset generation
+async function generateSingleAsset(firefly, enhancedPrompt, width, height, categoryName, ratio, numVariations = 1, pinnedSeed = null) {
+  try {
+    const { seed, seeds } = callSeeds(pinnedSeed, numVariations);
+    const generateResult = await generateImage(firefly, enhancedPrompt, width, height, numVariations, 'en-US', seeds);
+    const generatedImageUrl = generateResult.outputs[0].image.url;
+    
+    const filename = generatedAssetName(categoryName, ratio);
+    
+    return {
+      category: categoryName,
+      aspectRatio: ratio,
+      downloadUrl: generatedImageUrl,
+      imageVariations: generateResult.outputs.map(output => ({ url: output.image.url, seed: output.seed ?? null })),
+      filename: filename,
+      prompt: enhancedPrompt,
+      isGenerated: true,
+      dimensions: { width, height },
+      // Everything needed to make the same call again
+      request: { prompt: enhancedPrompt, size: { width, height }, locale: 'en-US', numVariations, seed, seeds }
+    };
+  } catch (error) {
+    logger.error("generateSingleAsset: Failed", { 
+      category: categoryName,
+      aspectRatio: ratio, 
+      error: error.message 
+    });
+    throw error;
+  }
+}
+
+// HYBRID: Process assets with selective parallelization
+async function processAssetsHybrid(assetReferences, brief, firefly, photoshop, storage, filter = createJobFilter(), ledger = new JobLedger(brief.id), cache = new ContentCache(null), brandKit = new BrandKit(brief)) {
+  logger.info("Starting HYBRID asset processing", { totalAssets: assetReferences.length });
+  
+  // Phase 1: Parallel Upload & Expand (Firefly handles this well)
+  logger.info("Phase 1: Parallel Upload & Expand operations");
+  const preparedAssets = await parallelUploadAndExpand(assetReferences, brief, firefly, filter, ledger, storage, cache);
+  
+  // Phase 2: Mask Creation (Photoshop rate limit bottleneck)
+  logger.info("Phase 2: Mask creation (Photoshop limiter, avoiding rate limits)");
+  const maskedAssets = await limitedMaskCreation(preparedAssets, photoshop, storage, ledger, cache, campaignPrefix(storage, brief));
+  
+  // Phase 3: Parallel Fill & Text Overlay (Fast operations)
+  logger.info("Phase 3: Parallel Fill & Text overlay");
+  const results = await parallelFillAndOverlay(fanOutToRegions(maskedAssets), brief, firefly, storage, ledger, brandKit);
+  
+  return results;
+}
+
+// Phase 1: Parallel Upload & Expand
+// Neither step depends on the region, so each local asset is uploaded once and
+// expanded once per ratio; the result is one intermediate per (asset, ratio)
+// listing the regions that will share it
+async function parallelUploadAndExpand(assetReferences, brief, firefly, filter = createJobFilter(), ledger = new JobLedger(brief.id), storage = null, cache = new ContentCache(null)) {
+  const uploadExpandTasks = [];
+  
+  for (const assetRef of assetReferences) {
+    const productCategoryConfig = brief.product_categories[assetRef.category];
+    if (!productCategoryConfig) continue;
+    
+    // Load asset buffer once (for local assets)
+    let baseBuffer;
+    let assetName;
+    
+    try {
+      if (assetRef.type === 'local') {
+        if (!fs.existsSync(assetRef.path)) {
+          throw new Error("Local image file not found");
+        }
+        baseBuffer = fs.readFileSync(assetRef.path);
+        assetName = path.basename(assetRef.path);
+      } else if (assetRef.type === 'generated') {
+        assetName = assetRef.filename;
+        baseBuffer = Buffer.alloc(0);
+      }
+      
+      if (assetRef.type === 'local' && baseBuffer.length === 0) {
+        throw new Error("Empty image buffer");
+      }
+    } catch (error) {
+      logger.error(`Failed to load asset: ${assetRef.filename}`, error);
+      continue;
+    }
+    
+    // Group the regions that still need this asset by ratio
+    const regionsByRatio = new Map();
+    for (const ratio of brief.aspect_ratios) {
+      // Skip if generated asset doesn't match ratio
+      if (assetRef.isGenerated && assetRef.aspectRatio !== ratio) {
+        continue;
+      }
+
+      for (const region of productCategoryConfig.target_regions) {
+        // Skip jobs excluded by --category/--region/--ratio or rerun selection
+        const job = { category: assetRef.category, region: region.code, ratio, assetName };
+        if (!filter.matches(job)) {
+          continue;
+        }
+
+        // Outputs completed by an earlier run of this ledger are not redone
+        if (ledger.isJobComplete(job)) {
+          logger.info("Skipping job completed in ledger", { job: jobKey(job) });
+          continue;
+        }
+
+        if (!regionsByRatio.has(ratio)) regionsByRatio.set(ratio, []);
+        regionsByRatio.get(ratio).push(region);
+      }
+    }
+    if (regionsByRatio.size === 0) continue;
+    
+    if (assetRef.isGenerated) {
+      // Generated assets skip upload/expand
+      for (const [ratio, regions] of regionsByRatio) {
+        uploadExpandTasks.push(Promise.resolve([{
+          assetRef,
+          ratio,
+          assetName,
+          regions,
+          imageId: null,
+          imageUrl: assetRef.downloadUrl,
+          imageVariations: assetRef.imageVariations,
+          requests: { generate: assetRef.request },
+          cacheKey: null,
+          needsMask: false,
+          label: path.basename(assetName, path.extname(assetName))
+        }]));
+      }
+    } else {
+      // Local assets need upload/expand
+      uploadExpandTasks.push(uploadAndExpandAsset(assetRef, regionsByRatio, baseBuffer, assetName, firefly, ledger, storage, cache, categorySeed(brief, assetRef.category), brief));
+    }
+  }
+  
+  // Execute all upload/expand operations in parallel
+  logger.info(`Executing upload/expand operations for ${uploadExpandTasks.length} asset(s) in parallel`);
+  const results = await Promise.allSettled(uploadExpandTasks);
+  
+  const preparedAssets = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value) {
+      preparedAssets.push(...result.value);
+    } else {
+      logger.error("Upload/Expand failed", { 
+        error: result.reason?.message || 'Unknown error',
+        taskIndex: index
+      });
+    }
+  });
+  
+  const jobCount = preparedAssets.reduce((count, asset) => count + asset.regions.length, 0);
+  logger.info(`Phase 1 completed: ${preparedAssets.length} assets prepared for ${jobCount} jobs`);
+  return preparedAssets;
+}
+
+// Upload one local asset and expand it once per ratio. Ratios whose expand
+// fails are logged and left out; the others are still returned.
+async function uploadAndExpandAsset(assetRef, regionsByRatio, baseBuffer, assetName, firefly, ledger = new JobLedger(), storage = null, cache = new ContentCache(null), pinnedSeed = null, brief) {
+  const jobsFor = (ratio) => regionsByRatio.get(ratio).map(region => ({ category: assetRef.category, region: region.code, ratio, assetName }));
+  const ratios = [...regionsByRatio.keys()];
+  const sourceHash = hashBuffer(baseBuffer);
+  // A pinned seed is part of the key; unpinned expands may reuse any earlier one
+  const expandKey = (ratio) => cache.key('expand', sourceHash, { ...ratioToSize(ratio, brief), ...(pinnedSeed !== null ? { seed: pinnedSeed } : {}) });
+  const prepared = (ratio, imageId, imageUrl, request) => ({
+    assetRef,
+    ratio,
+    assetName,
+    regions: regionsByRatio.get(ratio),
+    imageId,
+    imageUrl,
+    requests: { expand: request },
+    cacheKey: expandKey(ratio),
+    needsMask: true,
+    label: intermediateLabel(assetName, ratio)
+  });
+
+  // Resume from the ledger when an earlier run already expanded a ratio,
+  // otherwise reuse an expanded image from the cache
+  const resumed = [];
+  const toExpand = [];
+  for (const ratio of ratios) {
+    const label = intermediateLabel(assetName, ratio);
+    const resumedExpand = ledger.reusableStep(jobsFor(ratio), 'expand');
+    if (resumedExpand) {
+      logger.info("Upload & Expand: resuming from ledger", { label });
+      const request = resumedExpand.request ?? { size: ratioToSize(ratio, brief), seed: null };
+      resumed.push(prepared(ratio, ledger.reusableStep(jobsFor(ratio), 'upload')?.imageId ?? null, resumedExpand.url, request));
+      continue;
+    }
+
+    const cachedUrl = await fromCache(cache, storage, 'expand', expandKey(ratio), campaignPrefix(storage, brief));
+    if (cachedUrl) {
+      logger.info("Upload & Expand: expanded image found in cache", { label });
+      // The seed of an unpinned cached expand is not known
+      const request = { size: ratioToSize(ratio, brief), seed: pinnedSeed, cached: true };
+      ledger.completeStep(jobsFor(ratio), 'expand', { url: cachedUrl, request });
+      resumed.push(prepared(ratio, null, cachedUrl, request));
+      continue;
+    }
+    toExpand.push(ratio);
+  }
+  if (toExpand.length === 0) return resumed;
+
+  // Upload to Firefly (once for all ratios and regions)
+  const uploadJobs = toExpand.flatMap(jobsFor);
+  let imageId = ledger.reusableStep(uploadJobs, 'upload')?.imageId;
+  if (!imageId) {
+    try {
+      logger.info("Upload", { asset: assetName, sharedBy: uploadJobs.length });
+      ledger.startStep(uploadJobs, 'upload');
+      const uploadResponse = await uploadImage(firefly, baseBuffer, assetName);
+      const uploadResult = uploadResponse.data || uploadResponse.result || uploadResponse;
+      imageId = uploadResult.images[0].id;
+      ledger.completeStep(uploadJobs, 'upload', { imageId });
+    } catch (error) {
+      ledger.failStep(uploadJobs, 'upload', error);
+      logger.error("Upload failed", { asset: assetName, error: error.message });
+      return resumed;
+    }
+  }
+
+  // Expand image (once per Firefly size, in parallel); channels made at the
+  // same size as another format share its expand
+  const expands = new Map();
+  const expandOnce = (width, height) => {
+    const key = `${width}x${height}`;
+    if (!expands.has(key)) {
+      const { seed, seeds } = callSeeds(pinnedSeed, 1);
+      expands.set(key, expandImage(firefly, imageId, width, height, 1, seeds).then(expandedImages => ({
+        url: expandedImages.expandResults.outputs[0].image.url,
+        request: { size: { width, height }, numVariations: 1, seed, seeds }
+      })));
+    }
+    return expands.get(key);
+  };
+  const expanded = await Promise.all(toExpand.map(async (ratio) => {
+    const jobs = jobsFor(ratio);
+    const { width, height } = ratioToSize(ratio, brief);
+    const label = intermediateLabel(assetName, ratio);
+    try {
+      logger.info("Expand", { label, targetSize: `${width}x${height}`, regions: jobs.map(job => job.region) });
+      ledger.startStep(jobs, 'expand');
+      const { url: expandedImageUrl, request } = await expandOnce(width, height);
+      ledger.completeStep(jobs, 'expand', { url: expandedImageUrl, request });
+      await toCache(cache, 'expand', expandKey(ratio), expandedImageUrl, { asset: assetName, width, height, seed: request.seed });
+      return prepared(ratio, imageId, expandedImageUrl, request);
+    } catch (error) {
+      ledger.failStep(jobs, 'expand', error);
+      logger.error("Expand failed", { 
+        asset: assetName,
+        ratio,
+        error: error.message 
+      });
+      return null;
+    }
+  }));
+
+  return [...resumed, ...expanded.filter(Boolean)];
+}
+
+// Phase 2: Mask Creation (THE BOTTLENECK)
+// One mask per expanded image, shared by all of its regions (and by the formats
+// that share the expand). All masks
+// are requested at once; the Photoshop limiter decides how many run concurrently
+// (one at first by default) and how fast they start. Masks are written under
+// the campaign's prefix.
+async function limitedMaskCreation(preparedAssets, photoshop, storage, ledger = new JobLedger(), cache = new ContentCache(null), keyPrefix = storage.keyPrefix) {
+  logger.info(`Phase 2: Processing ${preparedAssets.length} assets for masks`);
+  
+  const masks = new Map();
+  const results = await Promise.all(preparedAssets.map((asset, i) =>
+    maskSingle(asset, `${i + 1}/${preparedAssets.length}`, photoshop, storage, ledger, cache, masks, keyPrefix)
+  ));
+  const maskedAssets = results.filter(Boolean);
+  
+  logger.info(`Phase 2 completed: ${maskedAssets.length} assets with masks`);
+  return maskedAssets;
+}
+
+// Mask for one intermediate, or null when it failed
+async function maskSingle(asset, position, photoshop, storage, ledger = new JobLedger(), cache = new ContentCache(null), masks = new Map(), keyPrefix = storage.keyPrefix) {
+  const jobs = jobsOf(asset);
+  try {
+    if (!asset.needsMask) {
+      // Generated assets don't need masks
+      return { ...asset, maskUrl: null };
+    }
+
+    const resumedMask = ledger.reusableStep(jobs, 'mask');
+    if (resumedMask) {
+      logger.info("Mask creation: resuming from ledger", { label: asset.label });
+      return { ...asset, maskUrl: resumedMask.url };
+    }
+
+    // The mask key derives from the expand key, which already covers the source bytes and size
+    const maskKey = cache.key('mask', asset.cacheKey);
+    const cachedMaskUrl = await fromCache(cache, storage, 'mask', maskKey, keyPrefix);
+    if (cachedMaskUrl) {
+      logger.info("Mask creation: mask found in cache", { label: asset.label });
+      ledger.completeStep(jobs, 'mask', { url: cachedMaskUrl });
+      return { ...asset, maskUrl: cachedMaskUrl };
+    }
+
+    // Create mask using Photoshop API (paced by the Photoshop limiter), once per expanded image
+    logger.info(`Mask creation ${position}`, { label: asset.label });
+    ledger.startStep(jobs, 'mask');
+    if (!masks.has(asset.imageUrl)) {
+      masks.set(asset.imageUrl, createMask(
+        storage.client, 
+        photoshop, 
+        asset.imageUrl, 
+        asset.assetName, 
+        storage.bucket, 
+        `${keyPrefix}/intermediate`
+      ));
+    }
+    const invertMaskPresignedGetUrl = await masks.get(asset.imageUrl);
+    ledger.completeStep(jobs, 'mask', { url: invertMaskPresignedGetUrl });
+    await toCache(cache, 'mask', maskKey, invertMaskPresignedGetUrl, { asset: asset.assetName, ratio: asset.ratio });
+    
+    return { ...asset, maskUrl: invertMaskPresignedGetUrl };
+    
+  } catch (error) {
+    ledger.failStep(jobs, 'mask', error);
+    logger.error("Mask creation failed", { 
+      asset: asset.assetName,
+      ratio: asset.ratio,
+      error: error.message 
+    });
+    // Continue with other assets
+    return null;
+  }
+}
+
+// Cached image for (operation, key) copied into storage under the campaign's
+// prefix, so providers can fetch it like any other intermediate; null on a miss
+async function fromCache(cache, storage, operation, key, keyPrefix = storage.keyPrefix) {
+  const buffer = await cache.get(operation, key);
+  if (!buffer) return null;
+
+  const extension = imageExtension(buffer);
+  const s3Key = `${keyPrefix}/cache/${operation}/${key}${extension}`;
+  const putUrl = await storage.client.getPresignedPutUrl(storage.bucket, s3Key, 3600);
+  await uploadBuffer(putUrl, buffer, getMimeType(extension));
+  return storage.client.getPresignedGetUrl(storage.bucket, s3Key, 3600);
+}
+
+// Store an intermediate in the cache; a failure here must not fail the job
+async function toCache(cache, operation, key, url, params) {
+  if (!cache.enabled) return;
+  try {
+    await cache.put(operation, key, await downloadBuffer(url), params);
+  } catch (error) {
+    logger.warn("Could not cache intermediate", { operation, key, error: error.message });
+  }
+}
+
+// One fill/overlay task per region of each shared intermediate
+function fanOutToRegions(maskedAssets) {
+  return maskedAssets.flatMap(asset => asset.regions.map(region => ({
+    assetRef: asset.assetRef,
+    region,
+    ratio: asset.ratio,
+    assetName: asset.assetName,
+    imageUrl: asset.imageUrl,
+    imageVariations: asset.imageVariations,
+    requests: asset.requests,
+    maskUrl: asset.maskUrl,
+    needsMask: asset.needsMask,
+    label: `${path.basename(asset.assetName, path.extname(asset.assetName))}_${region.code}_${asset.ratio.replace(':', 'x')}`,
+    intermediate: {
+      id: `${asset.assetRef.category}/${asset.label}`,
+      uploadId: asset.imageId,
+      imageUrl: asset.imageUrl,
+      maskUrl: asset.maskUrl,
+      sharedBy: asset.regions.map(r => r.code)
+    }
+  })));
+}
+
+// Phase 3: Parallel Fill & Text Overlay
+async function parallelFillAndOverlay(maskedAssets, brief, firefly, storage, ledger = new JobLedger(brief.id), brandKit = new BrandKit(brief)) {
+  logger.info(`Phase 3: Processing ${maskedAssets.length} assets in parallel for fill & overlay`);
+  
+  const finalTasks = maskedAssets.map(asset => 
+    processFillAndOverlay(asset, brief, firefly, storage, ledger, brandKit)
+  );
+  
+  // Execute all fill & overlay operations in parallel
+  const results = await Promise.allSettled(finalTasks);
+  
+  // Process results
+  const processResults = {
+    success: [],
+    failures: [],
+    summary: {
+      total: maskedAssets.length,
+      processed: results.length,
+      succeeded: 0,
+      failed: 0
+    }
+  };
+  
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value.success) {
+      processResults.success.push(result.value.data);
+      processResults.summary.succeeded++;
+    } else {
+      processResults.failures.push(result.value?.error || { error: result.reason?.message });
+      processResults.summary.failed++;
+    }
+  });
+  
+  logger.info(`Phase 3 completed: ${processResults.summary.succeeded} success, ${processResults.summary.failed} failed`);
+  return processResults;
+}
+
+// Single fill & overlay operation
+async function processFillAndOverlay(asset, brief, firefly, storage, ledger = new JobLedger(brief.id), brandKit = new BrandKit(brief)) {
+  const job = jobOf(asset);
+  let step = 'text_overlay';
+  try {
+    // Fail before spending a fill call on a message the font cannot render
+    const font = resolveFont(brief, asset.region);
+    const brand = brandKit.forRegion(asset.region);
+    checkGlyphCoverage(asset.region.message, font, { region: asset.region.code });
+    if (brand.cta) checkGlyphCoverage(brand.cta.text, font, { region: asset.region.code });
+    step = 'fill';
+
+    // Channel outputs are cropped and resized from the Firefly size to their delivery size
+    const format = outputFormat(brief, asset.ratio);
+    const { width, height } = format.delivery || format.size;
+    const label = asset.label || `${path.basename(asset.assetName, path.extname(asset.assetName))}_${asset.region.code}_${asset.ratio.replace(':', 'x')}`;
+    
+    // Backgrounds to overlay: the fill's variations, or the generated image's
+    const numVariations = variationCount(brief, asset.assetRef.category, asset.region);
+    let backgrounds = (asset.imageVariations || [{ url: asset.imageUrl, seed: null }]).slice(0, numVariations);
+    
+    // Fill background if needed (local assets only)
+    const requests = { ...asset.requests };
+    const resumedFill = asset.needsMask && asset.maskUrl ? ledger.reusableStep(job, 'fill') : null;
+    if (resumedFill) {
+      logger.info("Fill: resuming from ledger", { label });
+      backgrounds = resumedFill.variations || [{ url: resumedFill.url, seed: null }];
+      requests.fill = resumedFill.request;
+    } else if (asset.needsMask && asset.maskUrl) {
+      ledger.startStep(job, 'fill');
+      const { seed, seeds } = callSeeds(fillSeed(brief, asset.assetRef.category, asset.region), numVariations);
+      const fillImageResults = await fillImage(
+        firefly, 
+        asset.imageUrl, 
+        asset.maskUrl, 
+        asset.region.background_prompt, 
+        numVariations, 
+        asset.region.locale,
+        seeds
+      );
+      backgrounds = fillImageResults.outputs.map(output => ({ url: output.image.url, seed: output.seed ?? null }));
+      requests.fill = { prompt: asset.region.background_prompt, locale: asset.region.locale, numVariations, seed, seeds };
+      ledger.completeStep(job, 'fill', { url: backgrounds[0].url, variations: backgrounds, request: requests.fill });
+    }
+    
+    step = 'text_overlay';
+    ledger.startStep(job, 'text_overlay');
+    
+    // Final processing & text overlay
+    const baseFileName = path.basename(asset.assetName, path.extname(asset.assetName));
+    const baseImageExtension = path.extname(asset.assetName);
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const aspectRatioFormatted = asset.ratio.replace(':', 'x');
+    const imageFormat = getMimeType(baseImageExtension);
+    const layout = resolveLayout(brief, asset.region, asset.ratio);
+    const complianceSettings = resolveCompliance(brief);
+    
+    // Every variation is overlaid, stored and checked
+    let outputs = [];
+    for (const [index, background] of backgrounds.entries()) {
+      const variationSuffix = backgrounds.length > 1 ? `_v${index + 1}` : '';
+      const s3Key = `${campaignPrefix(storage, brief)}/${asset.assetRef.category}/${asset.region.code}/${aspectRatioFormatted}/${baseFileName}_${asset.region.code}_${aspectRatioFormatted}${variationSuffix}_${timestamp}${baseImageExtension}`;
+      const textLayerPutUrl = await storage.client.getPresignedPutUrl(storage.bucket, s3Key, 3600);
+      const overlay = await addTextOverlay(background.url, textLayerPutUrl, asset.region.message, imageFormat, baseImageExtension, layout, font, brand, rulesForRegion(brief, asset.region), format.delivery);
+      const presignedGetUrl = await storage.client.getPresignedGetUrl(storage.bucket, s3Key, 3600);
+      
+      // Post-processing: verify the uploaded output against the brand and legibility rules
+      const compliance = complianceSettings.enabled
+        ? await checkOutputCompliance(presignedGetUrl, background.url, overlay, brand, complianceSettings, `${label}${variationSuffix}`, format.delivery)
+        : undefined;
+      outputs.push({ variation: index + 1, seed: background.seed, background: background.url, s3Key, presignedGetUrl, overlay, compliance });
+    }
+    ledger.completeStep(job, 'text_overlay', { s3Key: outputs[0].s3Key, s3Keys: outputs.map(output => output.s3Key) });
+    
+    // Delivery encodings of every variation, stored next to its master
+    const encodingSpecs = encodingsFor(brief, asset.ratio);
+    if (encodingSpecs.length > 0) {
+      step = 'encode';
+      ledger.startStep(job, 'encode');
+      for (const output of outputs) {
+        const variationLabel = outputs.length > 1 ? `${label}_v${output.variation}` : label;
+        output.encodings = await storeEncodings(output.presignedGetUrl, output.s3Key, encodingSpecs, storage, variationLabel, brand.colors.background);
+      }
+      ledger.completeStep(job, 'encode', { s3Keys: outputs.flatMap(output => output.encodings.map(encoding => encoding.s3Key)) });
+    }
+    
+    if (outputs.length > 1) {
+      outputs = await rankOutputs(outputs, asset, brand, label, format.delivery);
+    }
+    const primary = outputs.find(output => output.primary) || outputs[0];
+    const { overlay, s3Key, presignedGetUrl: finalImageGetUrl, compliance } = primary;
+    
+    const data = {
+      assetName: asset.assetName,
+      productCategory: asset.assetRef.category,
+      region: asset.region.code,
+      aspectRatio: asset.ratio,
+      label,
+      s3Key,
+      presignedGetUrl: finalImageGetUrl,
+      dimensions: { width, height },
+      fireflySize: { ratio: format.ratio, ...format.size },
+      bytes: overlay.bytes,
+      ...(primary.encodings ? { encodings: primary.encodings } : {}),
+      message: asset.region.message,
+      textLayout: {
+        anchor: overlay.layout.anchor,
+        align: overlay.layout.align,
+        direction: overlay.layout.direction,
+        font: { family: font.family, file: font.file && path.basename(font.file), source: font.source },
+        fontSize: overlay.layout.fontSize,
+        lines: overlay.layout.lines.map(line => line.text),
+        overflow: overlay.layout.overflow
+      },
+      brand: overlay.brand,
+      compliance,
+      seed: primary.seed,
+      requests,
+      ...(outputs.length > 1 ? {
+        primaryVariation: primary.variation,
+        variations: outputs.map(output => ({
+          variation: output.variation,
+          seed: output.seed,
+          s3Key: output.s3Key,
+          presignedGetUrl: output.presignedGetUrl,
+          bytes: output.overlay.bytes,
+          ...(output.encodings ? { encodings: output.encodings } : {}),
+          metrics: output.metrics,
+          score: output.score,
+          rank: output.rank,
+          primary: output.primary,
+          compliance: output.compliance
+        }))
+      } : {}),
+      assetType: asset.assetRef.type,
+      isGenerated: asset.assetRef.isGenerated,
+      processingSteps: [
+        ...(asset.assetRef.isGenerated ? ['text_overlay'] : ['upload', 'expand', 'mask', 'fill', 'text_overlay']),
+        ...(primary.encodings ? ['encode'] : [])
+      ],
+      intermediate: asset.intermediate,
+      timestamp: new Date().toISOString()
+    };
+    ledger.completeJob(job, data);
+
+    return { success: true, data };
+    
+  } catch (error) {
+    ledger.failStep(job, step, error);
+    logger.error(`Fill & overlay failed`, { error: error.message });
+    return {
+      success: false,
+      error: {
+        assetName: asset.assetName,
+        productCategory: asset.assetRef.category,
+        region: asset.region.code,
+        aspectRatio: asset.ratio,
+        error: error.message,
+        failedStep: step,
+        ...failureDetails(error),
+        ...(error.violations ? { violations: error.violations } : {}),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+// Rank a job's variations on their backgrounds (at the delivery size, like the
+// overlay); if ranking fails the first variation is kept as the primary pick
+async function rankOutputs(outputs, asset, brand, label, delivery = null) {
+  try {
+    const delivered = async (url) => fitToDelivery(await downloadBuffer(url), delivery);
+    // Product preservation compares the fill with the expanded image where the mask keeps it
+    const [source, mask] = asset.needsMask && asset.maskUrl
+      ? await Promise.all([delivered(asset.imageUrl), delivered(asset.maskUrl)])
+      : [null, null];
+    const measured = [];
+    for (const output of outputs) {
+      const metrics = await variationMetrics(await delivered(output.background), {
+        textLayout: output.overlay.layout,
+        textColor: brand.colors.text,
+        source,
+        mask
+      });
+      measured.push({ ...output, metrics });
+    }
+    const ranked = rankVariations(measured);
+    logger.info("Variations ranked", {
+      label,
+      ranking: ranked.map(output => ({ variation: output.variation, score: output.score, rank: output.rank, metrics: output.metrics }))
+    });
+    return ranked;
+  } catch (error) {
+    logger.warn("Variations: ranking failed, keeping the first as primary", { label, error: error.message });
+    return outputs.map((output, index) => ({ ...output, metrics: null, score: null, rank: null, primary: index === 0 }));
+  }
+}
+
+// Encode an uploaded master to each spec and store the files next to it, as
+// <master key>_<format>.<ext>; `background` fills transparent areas of JPEGs
+async function storeEncodings(masterUrl, masterKey, specs, storage, label, background) {
+  const master = await downloadBuffer(masterUrl);
+  const stem = masterKey.slice(0, -path.extname(masterKey).length);
+  const encodings = [];
+  for (const spec of specs) {
+    const encoded = await encodeOutput(master, spec, background);
+    const s3Key = `${stem}_${spec.format}${ENCODING_EXTENSIONS[spec.format]}`;
+    const putUrl = await storage.client.getPresignedPutUrl(storage.bucket, s3Key, 3600);
+    await uploadBuffer(putUrl, encoded.buffer, ENCODING_MIME_TYPES[spec.format]);
+    if (encoded.withinBudget === false) {
+      logger.warn("Encoding: over its size budget at the lowest quality", { label, format: spec.format, bytes: encoded.bytes, maxBytes: spec.max_bytes, quality: encoded.quality });
+    }
+    encodings.push({
+      format: spec.format,
+      s3Key,
+      presignedGetUrl: await storage.client.getPresignedGetUrl(storage.bucket, s3Key, 3600),
+      bytes: encoded.bytes,
+      quality: encoded.quality,
+      maxBytes: spec.max_bytes ?? null,
+      withinBudget: encoded.withinBudget,
+      colorProfile: spec.color_profile ?? null,
+      metadata: spec.strip_metadata === false ? 'kept' : 'stripped'
+    });
+  }
+  logger.info("Encodings stored", { label, encodings: encodings.map(encoding => `${encoding.format} ${encoding.bytes} bytes (q${encoding.quality})`) });
+  return encodings;
+}
+
+// Compliance block for an uploaded output, or the error that kept it from being checked;
+// a flagged output is reported, not failed
+async function checkOutputCompliance(outputUrl, backgroundUrl, overlay, brand, settings, label, delivery = null) {
+  try {
+    const [output, background] = await Promise.all([
+      downloadBuffer(outputUrl),
+      downloadBuffer(backgroundUrl).then(buffer => fitToDelivery(buffer, delivery))
+    ]);
+    const compliance = await checkCompliance(output, {
+      background,
+      textLayout: overlay.layout,
+      brand,
+      placements: overlay.brand,
+      settings
+    });
+    if (!compliance.passed) {
+      logger.warn("Compliance: output flagged", { label, score: compliance.score, reasons: compliance.reasons });
+    }
+    return compliance;
+  } catch (error) {
+    logger.warn("Compliance: check could not run", { label, error: error.message });
+    return { passed: null, error: error.message };
+  }
+}
+
+// Helper functions (unchanged from original)
+function getBaseProductPrompt(category, brief) {
+  const prompts = brief.product_prompts || {};
+  return prompts[category] || `A premium ${category} product, modern design, clean style on white background, studio lighting, product photography style, high quality, commercial photography`;
+}
+
+function getEnhancedProductPrompt(category, categoryConfig, aspectRatio, brief) {
+  const basePrompt = getBaseProductPrompt(category, brief);
+  const backgroundPrompt = categoryConfig.target_regions[0]?.background_prompt || '';
+  const enhancedPrompt = `${basePrompt}, set in ${backgroundPrompt}, professional commercial photography, high quality, detailed`;
+  return enhancedPrompt;
+}
+
+// Scan assets_folder for local product images; the parent directory name is the category
+function scanLocalAssets(assetsFolder) {
+  const assetReferences = [];
+  const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
+
+  if (!fs.existsSync(assetsFolder)) {
+    return assetReferences;
+  }
+
+  function scanDirectory(dir) {
+    const items = fs.readdirSync(dir, { withFileTypes: true });
+    for (const item of items) {
+      const fullPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        scanDirectory(fullPath);
+      } else if (item.isFile()) {
+        const ext = path.extname(item.name).toLowerCase();
+        if (imageExtensions.includes(ext)) {
+          const productCategory = path.basename(path.dirname(fullPath));
+          assetReferences.push({
+            type: 'local',
+            path: fullPath,
+            category: productCategory,
+            filename: path.basename(fullPath),
+            isGenerated: false
+          });
+        }
+      }
+    }
+  }
+  scanDirectory(assetsFolder);
+  return assetReferences;
+}
+
+async function getAssetReferences(assetsFolder, firefly, storage, brief, filter = createJobFilter(), ledger = new JobLedger(brief.id)) {
+  const localAssets = scanLocalAssets(assetsFolder);
+  logger.info(`Found ${localAssets.length} local asset(s)`, { 
+    files: localAssets.map(a => a.filename) 
+  });
+
+  const assetReferences = localAssets.filter(a => filter.matchesCategory(a.category));
+
+  // Check which product categories are missing assets
+  const categoriesWithAssets = new Set(localAssets.map(a => a.category));
+  const missingCategories = Object.keys(brief.product_categories).filter(
+    category => !categoriesWithAssets.has(category) && filter.matchesCategory(category)
+  );
+
+  // Generate missing assets in parallel
+  if (missingCategories.length > 0) {
+    logger.info("Missing categories detected, generating assets in parallel", { 
+      missingCategories,
+      totalCategories: Object.keys(brief.product_categories).length
+    });
+    
+    const generatedAssets = await generateMissingAssetsParallel(firefly, storage, brief, missingCategories, filter, ledger);
+    
+    for (const generatedAsset of generatedAssets) {
+      if (missingCategories.includes(generatedAsset.category)) {
+        assetReferences.push({
+          type: 'generated',
+          downloadUrl: generatedAsset.downloadUrl,
+          imageVariations: generatedAsset.imageVariations,
+          request: generatedAsset.request,
+          category: generatedAsset.category,
+          filename: generatedAsset.filename,
+          aspectRatio: generatedAsset.aspectRatio,
+          dimensions: generatedAsset.dimensions,
+          isGenerated: true
+        });
+      }
+    }
+  }
+
+  if (assetReferences.length === 0) {
+    throw new Error(`No assets found or generated for any product categories`);
+  }
+
+  logger.info(`Total asset references: ${assetReferences.length}`, {
+    local: assetReferences.filter(a => a.type === 'local').length,
+    generated: assetReferences.filter(a => a.type === 'generated').length,
+    categories: [...new Set(assetReferences.map(a => a.category))]
+  });
+
+  return assetReferences;
+}
+
+// Every output a full run of the brief is expected to produce, without calling
+// any API: local assets × regions × ratios, plus one generated asset per ratio
+// for categories that have no local images
+function listExpectedOutputs(brief, assetsFolder, filter = createJobFilter()) {
+  const localAssets = scanLocalAssets(assetsFolder);
+  const outputs = [];
+
+  for (const [category, categoryConfig] of Object.entries(brief.product_categories)) {
+    const categoryAssets = localAssets.filter(a => a.category === category);
+    const isGenerated = categoryAssets.length === 0;
+
+    for (const region of categoryConfig.target_regions) {
+      for (const ratio of brief.aspect_ratios) {
+        const assetNames = isGenerated ? [generatedAssetName(category, ratio)] : categoryAssets.map(a => a.filename);
+        for (const assetName of assetNames) {
+          const output = { category, region: region.code, ratio, assetName, isGenerated };
+          if (filter.matches(output)) {
+            outputs.push(output);
+          }
+        }
+      }
+    }
+  }
+
+  return outputs;
+}
+
+// Results entries use the pipeline's field names; map them to a job key
+const resultJobKey = (entry) => jobKey({
+  category: entry.productCategory,
+  region: entry.region,
+  ratio: entry.aspectRatio,
+  assetName: entry.assetName
+});
+
+function resultsTimestamp(now = new Date()) {
+  return now.getFullYear() + '-' + 
+    String(now.getMonth() + 1).padStart(2, '0') + '-' + 
+    String(now.getDate()).padStart(2, '0') + '_' +
+    String(now.getHours()).padStart(2, '0') + '-' +
+    String(now.getMinutes()).padStart(2, '0') + '-' +
+    String(now.getSeconds()).padStart(2, '0');
+}
+
+function writeResults(results, outputDir) {
+  // Ensure results directory exists
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const resultsFile = path.join(outputDir, `results-${resultsTimestamp()}.json`);
+  fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+  return resultsFile;
+}
+
+// Failure entries for the outputs of regions blocked by the copy rules
+function copyBlockedFailures(brief, assetsFolder, filter, copyBlocked) {
+  if (copyBlocked.length === 0) return [];
+  const expected = listExpectedOutputs(brief, assetsFolder, filter);
+  const timestamp = new Date().toISOString();
+  return copyBlocked.flatMap(({ category, region, violations }) =>
+    expected
+      .filter(output => output.category === category && output.region === region)
+      .map(output => ({
+        assetName: output.assetName,
+        productCategory: category,
+        region,
+        aspectRatio: output.ratio,
+        error: `Copy rules: ${violations.map(violation => violation.message).join('; ')}`,
+        failedStep: 'copy_check',
+        errorClass: 'content_policy',
+        attempts: 0,
+        violations,
+        timestamp
+      }))
+  );
+}
+
+// Run the pipeline for a validated brief. `filter` narrows the job matrix and
+// `baseResults` (used by rerun) supplies earlier outputs that were not re-run.
+// Relative paths in the brief (assets_folder, brand logos) resolve against
+// baseDir, by default the brief's directory. The job ledger is kept in
+// ledgerDir ($LEDGER_DIR); the job API gives every job a directory of its own
+async function runCampaign({ brief, briefPath, baseDir = path.dirname(briefPath), outputDir = './results', filter = createJobFilter(), provider = IMAGE_PROVIDER, storageBackend = STORAGE_BACKEND, ledgerDir = LEDGER_DIR, resume = false, useCache = true, baseResults = null, rerunOf = null, reproduceOf = null }) {
+  const startTime = Date.now();
+  const assetsFolder = path.resolve(baseDir, brief.assets_folder);
+
+  assertEnvironment(provider, storageBackend);
+
+  logger.info("🚀 HYBRID Processing: Parallel + Sequential optimization", {
+    brief: briefPath,
+    provider,
+    storage: storageBackend,
+    filters: describeJobFilter(filter)
+  });
+
+  // Before the first text render, which is when fontconfig reads its configuration
+  registerFonts(brief);
+  const brandKit = new BrandKit(brief, baseDir);
+  const brandIssues = brandKit.missingFiles(path.relative(process.cwd(), briefPath) || briefPath);
+  if (brandIssues.length > 0) {
+    throw new BriefValidationError(brandIssues[0].file, locateIssues(briefPath, brandIssues));
+  }
+
+  // Regions whose copy breaks the campaign's copy rules are reported as failed
+  // without any API call; the rest of the campaign still runs
+  const copyBlocked = briefCopyViolations(brief);
+  for (const { category, region, violations } of copyBlocked) {
+    logger.warn("Copy rules: region blocked", { category, region, violations: violations.map(violation => violation.message) });
+  }
+  const jobFilter = excludeRegions(filter, copyBlocked, brief);
+
+  // Every Firefly/Photoshop call goes through its service's concurrency and rate limiter
+  const limiters = createLimiters(brief.rate_limits);
+  const clients = createProvider(provider);
+  const firefly = limiters.firefly.wrap(clients.firefly);
+  const photoshop = limiters.photoshop.wrap(clients.photoshop);
+  const storage = await createStorage(storageBackend);
+  // A run of some outputs updates their entries in the campaign's ledger
+  const ledger = JobLedger.open(brief.id, {
+    ledgerDir,
+    resume,
+    reset: filter.isEmpty ? null : listExpectedOutputs(brief, assetsFolder, filter)
+  });
+  // Cached images are only valid for the provider that produced them
+  const cache = new ContentCache(useCache ? CACHE_DIR : null, { namespace: provider });
+
+  let results;
+  try {
+    // Get all asset references
+    const assetReferences = await getAssetReferences(assetsFolder, firefly, storage, brief, jobFilter, ledger);
+    logger.info(`Found ${assetReferences.length} asset reference(s)`);
+
+    // Process all assets with hybrid approach
+    results = await processAssetsHybrid(assetReferences, brief, firefly, photoshop, storage, jobFilter, ledger, cache, brandKit);
+  } finally {
+    await storage.close();
+  }
+
+  // Add outputs completed by an earlier (resumed) run, and jobs that failed
+  // before reaching fill/overlay, which only the ledger knows about
+  const reported = new Set([...results.success, ...results.failures].map(resultJobKey));
+  const resumedSuccess = ledger.completedResults(jobFilter).filter(entry => !reported.has(resultJobKey(entry)));
+  const earlyFailures = ledger.failedJobs(jobFilter)
+    .filter(entry => !reported.has(jobKey(entry)))
+    .map(entry => ({
+      assetName: entry.assetName,
+      productCategory: entry.category,
+      region: entry.region,
+      aspectRatio: entry.ratio,
+      error: entry.error.message,
+      failedStep: entry.error.step,
+      errorClass: entry.error.errorClass,
+      attempts: entry.error.attempts,
+      timestamp: entry.steps[entry.error.step]?.failedAt
+    }));
+  const copyFailures = copyBlockedFailures(brief, assetsFolder, filter, copyBlocked);
+  results = mergeResults({ success: resumedSuccess, failures: [...earlyFailures, ...copyFailures] }, results);
+
+  if (baseResults) {
+    results = mergeResults(baseResults, results);
+  }
+  results.summary.resumed = resumedSuccess.length;
+  results.summary.cache = cache.summary();
+  results.summary.compliance = complianceSummary(results.success);
+  results.summary.encodings = encodingSummary(results.success);
+  results.summary.copyBlocked = results.failures.filter(entry => entry.violations).length;
+
+  const endTime = Date.now();
+  const executionTime = (endTime - startTime) / 1000;
+
+  results.run = {
+    campaignId: brief.id,
+    briefPath,
+    provider,
+    storage: storageBackend,
+    filters: describeJobFilter(filter),
+    resumed: resume,
+    ledger: ledger.filePath,
+    rerunOf,
+    reproduceOf,
+    limits: Object.fromEntries(Object.entries(limiters).map(([service, limiter]) => [service, limiter.summary()])),
+    executionTime: `${executionTime}s`,
+    completedAt: new Date().toISOString()
+  };
+
+  // Log final results
+  logger.info("HYBRID Processing completed", {
+    summary: results.summary,
+    executionTime: `${executionTime}s`,
+    successCount: results.success.length,
+    failureCount: results.failures.length
+  });
+
+  // Write results to file
+  const resultsFile = writeResults(results, outputDir);
+  logger.info("Results saved to file", { resultsFile, executionTime: `${executionTime}s` });
+
+  return { results, resultsFile };
+}
+
+// Replace entries of an earlier results document with the outputs of a rerun
+function mergeResults(baseResults, rerunResults) {
+  const rerunKeys = new Set([...rerunResults.success, ...rerunResults.failures].map(resultJobKey));
+  const keep = (entry) => !rerunKeys.has(resultJobKey(entry));
+
+  const success = [...baseResults.success.filter(keep), ...rerunResults.success];
+  const failures = [...baseResults.failures.filter(keep), ...rerunResults.failures];
+
+  return {
+    success,
+    failures,
+    summary: {
+      total: success.length + failures.length,
+      processed: success.length + failures.length,
+      succeeded: success.length,
+      failed: failures.length
+    }
+  };
+}
+
+export {
+  EnvironmentError,
+  assertEnvironment,
+  runCampaign,
+  listExpectedOutputs,
+  scanLocalAssets,
+  resultJobKey,
+  resultsTimestamp,
+  ratioToSize,
+  getEnhancedProductPrompt
+};
@@ -0,0 +1,207 @@
+// Dry-run planner: works out the job matrix a run will execute and the API
+// calls it implies, from the brief and the assets folder only (no credentials,
+// no network).
+
+import path from 'node:path';
+import { createJobFilter, excludeRegions, describeJobFilter } from './job-filter.js';
+import { briefCopyViolations } from './copy-rules.js';
+import { variationCount } from './variations.js';
+import { listExpectedOutputs, scanLocalAssets, getEnhancedProductPrompt } from './pipeline.js';
+import { outputFormat } from './channels.js';
+
+// API calls made for local assets, mirroring processAssetsHybrid: uploads are
+// shared by every job of an asset, expands and masks by every region and format
+// made at one Firefly size, and only the fill is made per job
+const LOCAL_ASSET_CALLS = { firefly: { upload: 1 } };
+const LOCAL_RATIO_CALLS = {
+  firefly: { expand: 1 },
+  photoshop: { createMask: 1, playPhotoshopActionsJson: 1 }
+};
+const LOCAL_JOB_CALLS = { firefly: { fill: 1 } };
+
+function emptyCallBudget() {
+  return {
+    firefly: { upload: 0, expand: 0, fill: 0, generate: 0 },
+    photoshop: { createMask: 0, playPhotoshopActionsJson: 0 },
+    total: 0
+  };
+}
+
+function addCalls(budget, calls) {
+  for (const [service, operations] of Object.entries(calls)) {
+    for (const [operation, count] of Object.entries(operations)) {
+      budget[service][operation] += count;
+      budget.total += count;
+    }
+  }
+}
+
+const jobLabel = (job) => `${path.basename(job.assetName, path.extname(job.assetName))}_${job.region}_${job.ratio.replace(':', 'x')}`;
+
+function buildPlan(brief, assetsFolder, filter = createJobFilter()) {
+  const localAssets = scanLocalAssets(assetsFolder);
+  const categories = Object.keys(brief.product_categories);
+  // Regions blocked by the copy rules make no API calls
+  const copyBlocked = briefCopyViolations(brief);
+  const jobFilter = excludeRegions(filter, copyBlocked, brief);
+  const outputs = listExpectedOutputs(brief, assetsFolder, jobFilter);
+  const calls = emptyCallBudget();
+  const uploads = new Set();
+  const expands = new Set();
+
+  const regionsByCode = (category) => new Map(brief.product_categories[category].target_regions.map(region => [region.code, region]));
+  const jobs = outputs.map(output => {
+    const format = outputFormat(brief, output.ratio);
+    // One fill or generate call returns every variation, so the call budget does not change
+    const variations = variationCount(brief, output.category, regionsByCode(output.category).get(output.region));
+    const steps = output.isGenerated ? ['text_overlay'] : ['upload', 'expand', 'mask', 'fill', 'text_overlay'];
+    if (!output.isGenerated) {
+      const assetKey = `${output.category}|${output.assetName}`;
+      if (!uploads.has(assetKey)) {
+        uploads.add(assetKey);
+        addCalls(calls, LOCAL_ASSET_CALLS);
+      }
+      if (!expands.has(`${assetKey}|${format.ratio}`)) {
+        expands.add(`${assetKey}|${format.ratio}`);
+        addCalls(calls, LOCAL_RATIO_CALLS);
+      }
+      addCalls(calls, LOCAL_JOB_CALLS);
+    }
+    return {
+      label: jobLabel(output),
+      category: output.category,
+      region: output.region,
+      ratio: output.ratio,
+      assetName: output.assetName,
+      source: output.isGenerated ? 'generated' : 'local',
+      size: format.delivery ? { width: format.delivery.width, height: format.delivery.height } : format.size,
+      fireflySize: format.size,
+      variations,
+      steps
+    };
+  });
+
+  // One generateImages call per (category, ratio) that a selected job uses
+  const generated = {};
+  for (const job of jobs.filter(j => j.source === 'generated')) {
+    generated[job.category] ??= new Set();
+    generated[job.category].add(job.ratio);
+  }
+  const generatedCategories = Object.entries(generated).map(([category, ratios]) => {
+    const categoryConfig = brief.product_categories[category];
+    return {
+      category,
+      ratios: [...ratios],
+      prompts: [...ratios].map(ratio => ({ ratio, prompt: getEnhancedProductPrompt(category, categoryConfig, ratio, brief) }))
+    };
+  });
+  for (const { ratios } of generatedCategories) {
+    addCalls(calls, { firefly: { generate: ratios.length } });
+  }
+
+  return {
+    campaignId: brief.id,
+    assetsFolder,
+    filters: describeJobFilter(filter),
+    localAssets: localAssets.map(asset => ({
+      category: asset.category,
+      filename: asset.filename,
+      path: asset.path,
+      // Images in folders that are not categories of the brief are never processed
+      inBrief: categories.includes(asset.category),
+      selected: categories.includes(asset.category) && jobFilter.matchesCategory(asset.category)
+    })),
+    generatedCategories,
+    copyBlocked: copyBlocked.map(({ category, region, violations }) => ({
+      category,
+      region,
+      violations: violations.map(violation => violation.message)
+    })),
+    jobs,
+    apiCalls: calls,
+    summary: {
+      jobs: jobs.length,
+      localJobs: jobs.filter(j => j.source === 'local').length,
+      generatedJobs: jobs.filter(j => j.source === 'generated').length,
+      outputs: jobs.reduce((sum, job) => sum + job.variations, 0),
+      apiCalls: calls.total
+    }
+  };
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = (cells) => '  ' + cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+// Delivered size, and the Firefly size it is cropped from for channel outputs
+function formatSize(job) {
+  const size = `${job.size.width}x${job.size.height}`;
+  const { width, height } = job.fireflySize;
+  return width === job.size.width && height === job.size.height ? size : `${size} (from ${width}x${height})`;
+}
+
+// Human-readable plan for the terminal
+function formatPlan(plan) {
+  const lines = [];
+  lines.push(`📋 Plan for ${plan.campaignId}`);
+  if (plan.filters) {
+    lines.push(`   Filters: ${JSON.stringify(plan.filters)}`);
+  }
+  lines.push('');
+
+  lines.push(`📁 Local assets in ${plan.assetsFolder}: ${plan.localAssets.length}`);
+  for (const asset of plan.localAssets) {
+    const note = !asset.inBrief ? ' (category not in brief, ignored)' : !asset.selected ? ' (excluded by filters)' : '';
+    lines.push(`   ${asset.category}/${asset.filename}${note}`);
+  }
+  lines.push('');
+
+  if (plan.generatedCategories.length > 0) {
+    lines.push('🎨 Categories without local assets (generateMissingAssetsParallel):');
+    for (const { category, ratios } of plan.generatedCategories) {
+      lines.push(`   ${category}: ${ratios.join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  if (plan.copyBlocked.length > 0) {
+    lines.push('🚫 Regions blocked by the copy rules (reported as failed, not processed):');
+    for (const { category, region, violations } of plan.copyBlocked) {
+      lines.push(`   ${category}/${region}: ${violations.join('; ')}`);
+    }
+    lines.push('');
+  }
+
+  const variationNote = plan.summary.outputs > plan.summary.jobs ? `, ${plan.summary.outputs} images with variations` : '';
+  lines.push(`🧮 Jobs: ${plan.summary.jobs} (${plan.summary.localJobs} local, ${plan.summary.generatedJobs} generated${variationNote})`);
+  if (plan.jobs.length > 0) {
+    lines.push(formatTable(
+      ['Label', 'Category', 'Region', 'Ratio', 'Size', 'Source', 'Variations', 'Steps'],
+      plan.jobs.map(job => [job.label, job.category, job.region, job.ratio, formatSize(job), job.source, job.variations, job.steps.join(' → ')])
+    ));
+  }
+  lines.push('');
+
+  const { firefly, photoshop, total } = plan.apiCalls;
+  lines.push(`📞 API call budget: ${total}`);
+  lines.push(formatTable(
+    ['Service', 'Operation', 'Calls'],
+    [
+      ['Firefly', 'upload', firefly.upload],
+      ['Firefly', 'expandImage', firefly.expand],
+      ['Firefly', 'fillImage', firefly.fill],
+      ['Firefly', 'generateImages', firefly.generate],
+      ['Photoshop', 'createMask', photoshop.createMask],
+      ['Photoshop', 'playPhotoshopActionsJson', photoshop.playPhotoshopActionsJson]
+    ]
+  ));
+
+  return lines.join('\n');
+}
+
+export {
+  buildPlan,
+  formatPlan
+};
@@ -0,0 +1,164 @@
+// HTML proof sheet for a results file (`report --html`): a single
+// self-contained page, grouped category → region → ratio, for reviewing a
+// campaign offline. Thumbnails are embedded as data URIs, since the presigned
+// URLs in the results expire; each output shows its message, processing steps,
+// prompts and seeds, compliance, encodings and review state, and each failure
+// why it failed.
+
+import sharp from 'sharp';
+import logger from './logger.js';
+import { groupEntries, describeReview } from './report.js';
+import { formatBytes } from './cache.js';
+
+const THUMBNAIL_WIDTH = 360;
+const VARIATION_THUMBNAIL_WIDTH = 160;
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #222; background: #f6f6f4; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 32px 0 8px; font-size: 19px; border-bottom: 2px solid #ccc; padding-bottom: 4px; }
+  h3 { margin: 20px 0 8px; font-size: 16px; color: #555; }
+  .meta { color: #666; font-size: 13px; margin: 2px 0; }
+  .cards { display: flex; flex-wrap: wrap; gap: 16px; }
+  .card { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 12px; width: ${THUMBNAIL_WIDTH}px; font-size: 13px; }
+  .card.failed { border-color: #d9534f; background: #fff6f6; }
+  .card.flagged { border-color: #f0ad4e; }
+  .card.approved { border-color: #5cb85c; }
+  .card.rejected { border-color: #d9534f; }
+  .card img { display: block; max-width: 100%; margin-bottom: 8px; }
+  .missing { height: 120px; display: flex; align-items: center; justify-content: center; background: #eee; color: #888; margin-bottom: 8px; }
+  .label { font-weight: 600; word-break: break-all; }
+  .status { float: right; }
+  .message { font-size: 15px; margin: 6px 0; }
+  dl { margin: 6px 0 0; display: grid; grid-template-columns: max-content 1fr; gap: 2px 8px; }
+  dt { color: #888; }
+  dd { margin: 0; word-break: break-word; }
+  .variations { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+  .variations figure { margin: 0; width: ${VARIATION_THUMBNAIL_WIDTH}px; font-size: 11px; color: #666; }
+  .variations .primary { outline: 2px solid #5cb85c; }
+  .error { color: #b52b27; }
+`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+async function thumbnail(buffer, width) {
+  const jpeg = await sharp(buffer).resize({ width, withoutEnlargement: true }).jpeg({ quality: 70 }).toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
+// Embedded thumbnail of a stored output, or a placeholder when it cannot be fetched
+async function imageTag(fetchImage, output, width, stats, className = '') {
+  try {
+    const src = await thumbnail(await fetchImage(output.s3Key, output.presignedGetUrl), width);
+    stats.embedded++;
+    return `<img src="${src}" alt="${escapeHtml(output.s3Key)}"${className ? ` class="${className}"` : ''}>`;
+  } catch (error) {
+    stats.missing++;
+    logger.warn("Proof sheet: image unavailable", { s3Key: output.s3Key, error: error.message });
+    return `<div class="missing">image unavailable</div>`;
+  }
+}
+
+const row = (term, value) => (value === undefined || value === null || value === '' ? '' : `<dt>${escapeHtml(term)}</dt><dd>${value}</dd>`);
+
+const describeRequest = (request) => `${escapeHtml(request.prompt)}${request.seeds ? ` <span class="meta">(seed ${request.seeds.join(', ')})</span>` : ''}`;
+
+async function successCard(entry, fetchImage, stats, reviews) {
+  const flagged = entry.compliance?.passed === false;
+  const review = reviews?.get(entry.label) || { status: 'pending' };
+  const classes = ['card', flagged && 'flagged', review.status !== 'pending' && review.status].filter(Boolean).join(' ');
+  const requests = entry.requests || {};
+  const figures = [];
+  for (const variation of entry.variations || []) {
+    const image = await imageTag(fetchImage, variation, VARIATION_THUMBNAIL_WIDTH, stats, variation.primary ? 'primary' : '');
+    figures.push(`<figure>${image}v${variation.variation}${variation.primary ? ' (primary)' : ''} · score ${variation.score ?? '-'}</figure>`);
+  }
+  const variations = figures.length > 0 ? `<div class="variations">${figures.join('')}</div>` : '';
+
+  return `<div class="${classes}">
+    ${await imageTag(fetchImage, entry, THUMBNAIL_WIDTH, stats)}
+    <div><span class="label">${escapeHtml(entry.label)}</span><span class="status">${flagged ? '⚠️' : '✅'}</span></div>
+    <div class="message" dir="auto">${escapeHtml(entry.textLayout?.lines?.join(' ') || entry.message)}</div>
+    <dl>
+      ${row('Review', reviews && escapeHtml(describeReview(review)))}
+      ${row('Asset', escapeHtml(`${entry.assetName} (${entry.assetType})`))}
+      ${row('Size', entry.dimensions && escapeHtml(`${entry.dimensions.width}x${entry.dimensions.height}${entry.bytes ? `, ${formatBytes(entry.bytes)}` : ''}`))}
+      ${row('Steps', escapeHtml(entry.processingSteps?.join(' → ')))}
+      ${row('Generate', requests.generate && describeRequest(requests.generate))}
+      ${row('Fill', requests.fill && describeRequest(requests.fill))}
+      ${row('Font', entry.textLayout && escapeHtml(`${entry.textLayout.font?.family ?? ''} ${entry.textLayout.fontSize}px${entry.textLayout.overflow ? ', truncated' : ''}`))}
+      ${row('Compliance', entry.compliance && escapeHtml(entry.compliance.passed === null
+        ? `not checked: ${entry.compliance.error}`
+        : `${entry.compliance.score}${entry.compliance.reasons?.length ? `: ${entry.compliance.reasons.join('; ')}` : ''}`))}
+      ${row('Encodings', entry.encodings && escapeHtml(entry.encodings
+        .map(encoding => `${encoding.format} ${formatBytes(encoding.bytes)}${encoding.withinBudget === false ? ' (over budget)' : ''}`)
+        .join(', ')))}
+    </dl>
+    ${variations}
+  </div>`;
+}
+
+function failureCard(entry) {
+  const violations = (entry.violations || []).map(violation => `<div class="error">${escapeHtml(violation.message)}</div>`).join('');
+  return `<div class="card failed">
+    <div><span class="label">${escapeHtml(entry.assetName || 'unknown asset')}</span><span class="status">❌</span></div>
+    <div class="error">${escapeHtml(entry.violations ? 'blocked by copy rules' : entry.error)}</div>
+    ${violations}
+    <dl>
+      ${row('Step', escapeHtml(entry.failedStep))}
+      ${row('Class', escapeHtml(entry.errorClass))}
+      ${row('Attempts', escapeHtml(entry.attempts))}
+      ${row('At', escapeHtml(entry.timestamp))}
+    </dl>
+  </div>`;
+}
+
+// Self-contained HTML page for a results document; `fetchImage(s3Key, url)`
+// returns the bytes of a stored output. Images are fetched one at a time.
+async function buildProofSheet(results, resultsFile, fetchImage, reviews = null) {
+  const { summary = {}, run } = results;
+  const stats = { embedded: 0, missing: 0 };
+  const sections = [];
+
+  for (const [category, regions] of Object.entries(groupEntries(results))) {
+    sections.push(`<h2>${escapeHtml(category)}</h2>`);
+    for (const [region, ratios] of Object.entries(regions)) {
+      for (const [ratio, entries] of Object.entries(ratios)) {
+        const cards = [];
+        for (const entry of entries) {
+          cards.push(entry.status === 'success' ? await successCard(entry, fetchImage, stats, reviews) : failureCard(entry));
+        }
+        sections.push(`<h3>${escapeHtml(region)} · ${escapeHtml(ratio)}</h3><div class="cards">${cards.join('\n')}</div>`);
+      }
+    }
+  }
+
+  const title = `Proof sheet: ${run?.campaignId || resultsFile}`;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Results: ${escapeHtml(resultsFile)}</p>
+${run ? `<p class="meta">Brief: ${escapeHtml(run.briefPath)} · Completed: ${escapeHtml(run.completedAt)} (${escapeHtml(run.executionTime)})</p>` : ''}
+<p class="meta">Succeeded: ${summary.succeeded ?? results.success.length} · Failed: ${summary.failed ?? results.failures.length}${summary.compliance?.checked ? ` · Compliance flagged: ${summary.compliance.flagged} of ${summary.compliance.checked}` : ''}</p>
+${reviews ? `<p class="meta">Review: ${Object.entries(reviews.summary(results.success.map(entry => entry.label))).map(([status, count]) => `${count} ${status}`).join(' · ')}</p>` : ''}
+${sections.join('\n')}
+</body>
+</html>
+`;
+  return { html, ...stats };
+}
+
+export {
+  escapeHtml,
+  buildProofSheet
+};
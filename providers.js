@@ -0,0 +1,64 @@
+// Image provider selection. A provider is a { firefly, photoshop } pair of
+// clients exposing the methods firefly-utils.js calls:
+//   firefly.upload(blob), firefly.expandImage(input), firefly.fillImage(input),
+//   firefly.generateImages(input), photoshop.createMask({ input, output }),
+//   photoshop.playPhotoshopActionsJson({ inputs, outputs, options })
+// "adobe" uses the real Firefly/Photoshop APIs; "local" uses sharp only.
+
+import { PhotoshopClient } from "@adobe/photoshop-apis";
+import { FireflyClient } from "@adobe/firefly-apis";
+import { ServerToServerTokenProvider } from "@adobe/firefly-services-common-apis";
+import { LocalFireflyClient, LocalPhotoshopClient } from './local-provider.js';
+
+const PROVIDERS = ['adobe', 'local'];
+
+function createAdobeProvider(env) {
+  // Initialize Adobe authentication
+  const authProvider = new ServerToServerTokenProvider({
+    clientId: env.ADOBE_CLIENT_ID,
+    clientSecret: env.ADOBE_CLIENT_SECRET,
+    scopes: env.ADOBE_SCOPES
+  }, {
+    autoRefresh: true
+  });
+
+  const config = {
+    tokenProvider: authProvider,
+    clientId: env.ADOBE_CLIENT_ID
+  };
+
+  return {
+    name: 'adobe',
+    firefly: new FireflyClient(config),
+    photoshop: new PhotoshopClient(config)
+  };
+}
+
+function createLocalProvider(env) {
+  const options = {
+    workDir: env.LOCAL_PROVIDER_DIR || undefined,
+    fillStyle: env.LOCAL_FILL_STYLE || undefined,
+    maskThreshold: env.LOCAL_MASK_THRESHOLD ? parseInt(env.LOCAL_MASK_THRESHOLD) : undefined
+  };
+  // Drop unset options so the local client defaults apply
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+  return {
+    name: 'local',
+    firefly: new LocalFireflyClient(options),
+    photoshop: new LocalPhotoshopClient(options)
+  };
+}
+
+function createProvider(name = 'adobe', env = process.env) {
+  switch (name) {
+    case 'adobe': return createAdobeProvider(env);
+    case 'local': return createLocalProvider(env);
+    default: throw new Error(`Unknown image provider "${name}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+}
+
+export {
+  PROVIDERS,
+  createProvider
+};
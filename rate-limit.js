@@ -0,0 +1,160 @@
+// Per-service concurrency and request-rate limits for the Firefly and
+// Photoshop clients. A limiter caps the calls in flight and spaces their
+// starts to stay under requestsPerMinute. In adaptive mode it halves its
+// concurrency and doubles the spacing whenever the service throttles (429),
+// and creeps back up towards maxConcurrency and requestsPerMinute while calls succeed.
+//
+// Configured in the brief's rate_limits block, per service (firefly, photoshop):
+//   rate_limits.<service>.concurrency          calls in flight to start with
+//   rate_limits.<service>.max_concurrency      upper bound when adaptive mode ramps up
+//   rate_limits.<service>.requests_per_minute  0 for no rate limit
+//   rate_limits.adaptive                       false to keep the configured limits fixed
+// Keys the brief leaves out fall back to the environment (FIREFLY_, PHOTOSHOP_):
+//   <SERVICE>_CONCURRENCY, <SERVICE>_MAX_CONCURRENCY, <SERVICE>_REQUESTS_PER_MINUTE,
+//   RATE_LIMIT_ADAPTIVE ("false")
+// and then to DEFAULT_LIMITS.
+
+import { classifyError, ERROR_CLASSES } from './retry.js';
+import logger from './logger.js';
+
+const DEFAULT_LIMITS = {
+  firefly: { concurrency: 4, maxConcurrency: 8, requestsPerMinute: 120 },
+  photoshop: { concurrency: 1, maxConcurrency: 2, requestsPerMinute: 60 }
+};
+
+// Longest spacing adaptive mode backs off to
+const MAX_INTERVAL_MS = 60000;
+// Spacing adaptive mode starts from when no rate limit is configured
+const THROTTLED_INTERVAL_MS = 250;
+
+class ServiceLimiter {
+  constructor(name, { concurrency = 1, maxConcurrency = concurrency, requestsPerMinute = 0, adaptive = false } = {}) {
+    this.name = name;
+    this.adaptive = adaptive;
+    this.limit = Math.max(1, concurrency);
+    this.maxLimit = Math.max(this.limit, maxConcurrency);
+    this.minIntervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.intervalMs = this.minIntervalMs;
+
+    this.active = 0;
+    this.queue = [];
+    this.nextStartAt = 0;
+    this.successStreak = 0;
+    this.stats = { calls: 0, throttled: 0, peakConcurrency: 0 };
+  }
+
+  // Run fn once a slot is free and the rate limit allows another start
+  async schedule(fn) {
+    await new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+
+    this.stats.calls++;
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (classifyError(error) === ERROR_CLASSES.THROTTLED) {
+        this.onThrottled();
+      }
+      throw error;
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  drain() {
+    while (this.active < this.limit && this.queue.length > 0) {
+      const start = this.queue.shift();
+      this.active++;
+      this.stats.peakConcurrency = Math.max(this.stats.peakConcurrency, this.active);
+
+      // Reserve the next start time so queued calls are spaced by intervalMs
+      const now = Date.now();
+      const startAt = Math.max(now, this.nextStartAt);
+      this.nextStartAt = startAt + this.intervalMs;
+      setTimeout(start, startAt - now);
+    }
+  }
+
+  onThrottled() {
+    this.stats.throttled++;
+    this.successStreak = 0;
+    if (!this.adaptive) return;
+
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    this.intervalMs = Math.min(MAX_INTERVAL_MS, Math.max(this.intervalMs * 2, THROTTLED_INTERVAL_MS));
+    logger.warn(`${this.name}: throttled, backing off`, { concurrency: this.limit, intervalMs: Math.round(this.intervalMs) });
+  }
+
+  // Additive increase: one more slot (and 25% less spacing) per full round of successes
+  onSuccess() {
+    if (!this.adaptive) return;
+
+    this.successStreak++;
+    if (this.successStreak < this.limit) return;
+    this.successStreak = 0;
+
+    const slower = this.intervalMs > this.minIntervalMs;
+    if (this.limit < this.maxLimit || slower) {
+      this.limit = Math.min(this.maxLimit, this.limit + 1);
+      this.intervalMs = Math.max(this.minIntervalMs, this.intervalMs * 0.75);
+      if (this.intervalMs < this.minIntervalMs + 1) this.intervalMs = this.minIntervalMs;
+      logger.debug(`${this.name}: ramping up`, { concurrency: this.limit, intervalMs: Math.round(this.intervalMs) });
+      this.drain();
+    }
+  }
+
+  summary() {
+    return {
+      ...this.stats,
+      finalConcurrency: this.limit,
+      finalRequestsPerMinute: this.intervalMs > 0 ? Math.round(60000 / this.intervalMs) : null,
+      adaptive: this.adaptive
+    };
+  }
+
+  // Client whose method calls go through this limiter; everything else passes through
+  wrap(client) {
+    return new Proxy(client, {
+      get: (target, property) => {
+        const value = Reflect.get(target, property);
+        if (typeof value !== 'function') return value;
+        return (...args) => this.schedule(() => value.apply(target, args));
+      }
+    });
+  }
+}
+
+// A service's limits from the brief's rate_limits (already validated), the
+// environment and the defaults, in that order
+function limiterConfig(service, rateLimits = {}, env = process.env) {
+  const prefix = service.toUpperCase();
+  const defaults = DEFAULT_LIMITS[service];
+  const fromBrief = rateLimits[service] || {};
+  const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+  const concurrency = fromBrief.concurrency ?? number(env[`${prefix}_CONCURRENCY`], defaults.concurrency);
+  return {
+    concurrency,
+    maxConcurrency: Math.max(concurrency, fromBrief.max_concurrency ?? number(env[`${prefix}_MAX_CONCURRENCY`], defaults.maxConcurrency)),
+    requestsPerMinute: fromBrief.requests_per_minute ?? number(env[`${prefix}_REQUESTS_PER_MINUTE`], defaults.requestsPerMinute),
+    adaptive: rateLimits.adaptive ?? env.RATE_LIMIT_ADAPTIVE !== 'false'
+  };
+}
+
+// One limiter per remote service, from the brief's rate_limits and the environment
+function createLimiters(rateLimits = {}, env = process.env) {
+  return Object.fromEntries(Object.keys(DEFAULT_LIMITS).map(service =>
+    [service, new ServiceLimiter(service, limiterConfig(service, rateLimits, env))]
+  ));
+}
+
+export {
+  DEFAULT_LIMITS,
+  ServiceLimiter,
+  limiterConfig,
+  createLimiters
+};
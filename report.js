@@ -0,0 +1,134 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { formatBytes } from './cache.js';
+
+// Load a results-*.json document written by the pipeline
+function loadResults(resultsFile) {
+  if (!fs.existsSync(resultsFile)) {
+    throw new Error(`Results file not found: ${resultsFile}`);
+  }
+  const results = JSON.parse(fs.readFileSync(resultsFile, 'utf-8'));
+  if (!Array.isArray(results.success) || !Array.isArray(results.failures)) {
+    throw new Error(`Not a results file (missing success/failures): ${resultsFile}`);
+  }
+  return results;
+}
+
+// results-*.json files in a results directory, newest first
+function listResultsFiles(outputDir) {
+  if (!fs.existsSync(outputDir)) return [];
+  return fs.readdirSync(outputDir)
+    .filter(file => /^results-.*\.json$/.test(file))
+    .map(file => path.join(outputDir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+// Most recent results-*.json in a results directory
+function findLatestResults(outputDir) {
+  return listResultsFiles(outputDir)[0] || null;
+}
+
+// Group entries as category → region → ratio for display
+function groupEntries(results) {
+  const groups = {};
+  const add = (entry, status) => {
+    const category = entry.productCategory || 'unknown';
+    const region = entry.region || 'unknown';
+    const ratio = entry.aspectRatio || 'unknown';
+    groups[category] ??= {};
+    groups[category][region] ??= {};
+    groups[category][region][ratio] ??= [];
+    groups[category][region][ratio].push({ ...entry, status });
+  };
+  results.success.forEach(entry => add(entry, 'success'));
+  results.failures.forEach(entry => add(entry, 'failed'));
+  return groups;
+}
+
+// One-line description of an output's review
+function describeReview(review) {
+  const edits = Object.entries(review.edits || {})
+    .filter(([, value]) => value)
+    .map(([field, value]) => `${field} → "${value}"`);
+  return [
+    `${review.status}${review.reviewer ? ` by ${review.reviewer}` : ''}`,
+    review.comment && `"${review.comment}"`,
+    edits.length > 0 && `edits: ${edits.join(', ')}`
+  ].filter(Boolean).join(': ');
+}
+
+// Plain-text summary of a results document, with review state when given a ReviewStore
+function formatResultsReport(results, resultsFile, reviews = null) {
+  const lines = [];
+  const { summary = {}, run } = results;
+
+  lines.push(`📊 Results: ${resultsFile}`);
+  if (run) {
+    lines.push(`   Campaign: ${run.campaignId}  Brief: ${run.briefPath}  Completed: ${run.completedAt} (${run.executionTime})`);
+    if (run.rerunOf) lines.push(`   Rerun of: ${run.rerunOf}`);
+    if (run.reproduceOf) lines.push(`   Reproduction of: ${run.reproduceOf.label} from ${run.reproduceOf.resultsFile}`);
+  }
+  lines.push(`   Succeeded: ${summary.succeeded ?? results.success.length}  Failed: ${summary.failed ?? results.failures.length}  Total: ${summary.total ?? results.success.length + results.failures.length}`);
+  if (summary.compliance?.checked) {
+    lines.push(`   Compliance: ${summary.compliance.passed} passed, ${summary.compliance.flagged} flagged of ${summary.compliance.checked} checked`);
+  }
+  if (summary.encodings?.files) {
+    lines.push(`   Encodings: ${summary.encodings.files} file(s), ${formatBytes(summary.encodings.bytes)}, ${summary.encodings.overBudget} over budget`);
+  }
+  if (summary.copyBlocked) {
+    lines.push(`   Copy rules: ${summary.copyBlocked} output(s) blocked`);
+  }
+  if (reviews) {
+    const counts = reviews.summary(results.success.map(entry => entry.label));
+    lines.push(`   Review: ${counts.approved} approved, ${counts.rejected} rejected, ${counts.pending} pending`);
+  }
+  lines.push('');
+
+  const groups = groupEntries(results);
+  for (const [category, regions] of Object.entries(groups)) {
+    lines.push(`${category}`);
+    for (const [region, ratios] of Object.entries(regions)) {
+      lines.push(`  ${region}`);
+      for (const [ratio, entries] of Object.entries(ratios)) {
+        for (const entry of entries) {
+          const flagged = entry.status === 'success' && entry.compliance?.passed === false;
+          const icon = entry.status === 'success' ? (flagged ? '⚠️ ' : '✅') : '❌';
+          const failureNote = entry.errorClass ? ` [${entry.errorClass}, ${entry.attempts} attempt(s)${entry.failedStep ? `, ${entry.failedStep}` : ''}]` : '';
+          // Copy rule violations are listed one per line below the entry
+          const error = entry.violations ? 'blocked by copy rules' : entry.error;
+          const detail = entry.status === 'success' ? entry.s3Key : `${error}${failureNote}`;
+          lines.push(`    ${icon} ${ratio.padEnd(5)} ${entry.assetName || ''}  ${detail || ''}`);
+          const review = entry.status === 'success' && reviews?.get(entry.label);
+          if (review && review.status !== 'pending') {
+            lines.push(`          review: ${describeReview(review)}`);
+          }
+          if (flagged) {
+            lines.push(`          compliance ${entry.compliance.score}: ${entry.compliance.reasons.join('; ')}`);
+          }
+          if (entry.status === 'success' && entry.variations) {
+            const ranked = [...entry.variations].sort((a, b) => (a.rank ?? a.variation) - (b.rank ?? b.variation));
+            lines.push(`          variations: ${ranked.map(v => `v${v.variation}${v.primary ? ' (primary)' : ''} ${v.score ?? '-'}`).join(', ')}`);
+          }
+          for (const encoding of entry.status === 'success' ? entry.encodings || [] : []) {
+            const budget = encoding.maxBytes ? ` / ${formatBytes(encoding.maxBytes)}${encoding.withinBudget ? '' : ' ⚠️ over budget'}` : '';
+            lines.push(`          ${encoding.format}: ${formatBytes(encoding.bytes)}${budget} (q${encoding.quality})`);
+          }
+          for (const violation of entry.violations || []) {
+            lines.push(`          copy: ${violation.message}`);
+          }
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  loadResults,
+  listResultsFiles,
+  findLatestResults,
+  groupEntries,
+  describeReview,
+  formatResultsReport
+};
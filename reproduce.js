@@ -0,0 +1,74 @@
+// `reproduce <label>`: rerun one output of a results file with the inputs it
+// was made with. The recorded seeds (results `requests`) are pinned in a copy
+// of the brief, and the brief's prompts and message must still match the
+// recorded ones, so the same calls are made again; only the aspect ratio may
+// be changed ("that exact one at 16:9").
+
+import { getEnhancedProductPrompt } from './pipeline.js';
+
+// Success entry for a label; "<label>_v2" selects one variation of a job
+function findOutput(results, label) {
+  const exact = results.success.find(entry => entry.label === label);
+  if (exact) return { entry: exact, variation: null };
+
+  const match = label.match(/^(.*)_v(\d+)$/);
+  const entry = match && results.success.find(candidate => candidate.label === match[1]);
+  const variation = entry && Number(match[2]);
+  if (!entry || !entry.variations?.some(v => v.variation === variation)) return null;
+  return { entry, variation };
+}
+
+// Validation issues for inputs of the output that the brief no longer has
+function changedInputs(brief, entry, filename) {
+  const category = brief.product_categories[entry.productCategory];
+  const index = category?.target_regions.findIndex(region => region.code === entry.region) ?? -1;
+  if (index === -1) {
+    return [{ file: filename, path: 'campaign.product_categories', message: `${entry.productCategory}/${entry.region} is no longer in the brief` }];
+  }
+
+  const region = category.target_regions[index];
+  const regionPath = `campaign.product_categories.${entry.productCategory}.target_regions[${index}]`;
+  const { generate, fill } = entry.requests;
+  const was = (value) => ` (was "${value}")`;
+  const issues = [];
+  const changed = (path, message) => issues.push({ file: filename, path, message: `${message} since the output was made` });
+
+  if (region.message !== entry.message) {
+    changed(`${regionPath}.message`, `message changed${was(entry.message)}`);
+  }
+  if (fill && region.background_prompt !== fill.prompt) {
+    changed(`${regionPath}.background_prompt`, `fill prompt changed${was(fill.prompt)}`);
+  }
+  if (fill && region.locale !== fill.locale) {
+    changed(`${regionPath}.locale`, `locale changed${was(fill.locale)}`);
+  }
+  if (generate && getEnhancedProductPrompt(entry.productCategory, category, entry.aspectRatio, brief) !== generate.prompt) {
+    changed(`campaign.product_prompts.${entry.productCategory}`, `generation prompt changed${was(generate.prompt)}`);
+  }
+  return issues;
+}
+
+// Copy of the brief with the output's seeds pinned and its variation count;
+// with `variation`, only that variation is made
+function reproductionBrief(brief, entry, variation = null) {
+  const pinned = structuredClone(brief);
+  const category = pinned.product_categories[entry.productCategory];
+  const region = category.target_regions.find(candidate => candidate.code === entry.region);
+  const { generate, expand, fill } = entry.requests;
+  const seedOf = (request) => (variation ? request.seeds[variation - 1] : request.seed);
+
+  // Generate and expand seeds are pinned on the category; an expand reused from
+  // the cache has no known seed and is reused again
+  delete category.seed;
+  if (generate) category.seed = seedOf(generate);
+  if (expand?.seed !== null && expand?.seed !== undefined) category.seed = expand.seed;
+  if (fill) region.seed = seedOf(fill);
+  region.variations = variation ? 1 : entry.variations?.length ?? 1;
+  return pinned;
+}
+
+export {
+  findOutput,
+  changedInputs,
+  reproductionBrief
+};
@@ -0,0 +1,138 @@
+// Shared retry policy for remote calls (Firefly, Photoshop, presigned URL
+// transfers). Errors are classified as:
+//   retryable       transient failure (5xx, timeouts, dropped connections)
+//   throttled       rate limited (429); waits at least Retry-After
+//   content_policy  prompt or image rejected by content moderation, never retried
+//   fatal           anything else (bad request, auth, programming errors), never retried
+// Retried calls back off exponentially with full jitter.
+
+import logger from './logger.js';
+
+const ERROR_CLASSES = {
+  RETRYABLE: 'retryable',
+  THROTTLED: 'throttled',
+  CONTENT_POLICY: 'content_policy',
+  FATAL: 'fatal'
+};
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Firefly error_code values for moderated prompts and media
+const CONTENT_POLICY_CODES = ['prompt_unsafe', 'input_media_unsafe', 'output_media_unsafe'];
+const RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Non-2xx response from a plain fetch (presigned URL downloads and uploads)
+class HttpError extends Error {
+  constructor(message, response) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = response.status;
+    this.headers = response.headers;
+  }
+}
+
+function retryPolicyFromEnv(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+  return {
+    maxAttempts: Math.max(1, number(env.RETRY_MAX_ATTEMPTS, DEFAULT_RETRY_POLICY.maxAttempts)),
+    baseDelayMs: number(env.RETRY_BASE_DELAY_MS, DEFAULT_RETRY_POLICY.baseDelayMs),
+    maxDelayMs: number(env.RETRY_MAX_DELAY_MS, DEFAULT_RETRY_POLICY.maxDelayMs)
+  };
+}
+
+// HTTP status of an Adobe SDK ApiError, an HttpError or an AWS SDK error
+function errorStatus(error) {
+  return error?.status ?? error?.statusCode ?? error?.response?.status ?? error?.$metadata?.httpStatusCode ?? null;
+}
+
+function classifyError(error) {
+  const status = errorStatus(error);
+  const errorCode = error?.body?.error_code ?? error?.error_code;
+
+  if (CONTENT_POLICY_CODES.includes(errorCode) || status === 451) return ERROR_CLASSES.CONTENT_POLICY;
+  if (status === 429) return ERROR_CLASSES.THROTTLED;
+  if (RETRYABLE_STATUSES.includes(status) || errorCode === 'timeout_error' || errorCode === 'model_not_loaded') {
+    return ERROR_CLASSES.RETRYABLE;
+  }
+  if (status === null && (RETRYABLE_NETWORK_CODES.includes(error?.code) || RETRYABLE_NETWORK_CODES.includes(error?.cause?.code) || error?.type === 'system')) {
+    return ERROR_CLASSES.RETRYABLE;
+  }
+  return ERROR_CLASSES.FATAL;
+}
+
+// Retry-After in milliseconds (delta-seconds or HTTP date), or null
+function retryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers ?? error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Full jitter: a random delay up to the exponential backoff for this attempt;
+// a Retry-After from the server is a lower bound
+function backoffDelay(attempt, policy, error, random = Math.random) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.floor(random() * exponential);
+  const retryAfter = retryAfterMs(error);
+  return retryAfter === null ? jittered : Math.max(jittered, retryAfter);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run fn until it succeeds, fails with a non-retryable error or runs out of
+// attempts. The error finally thrown carries errorClass and attempts.
+async function withRetry(operation, fn, policy = retryPolicyFromEnv()) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const errorClass = classifyError(error);
+      const canRetry = errorClass === ERROR_CLASSES.RETRYABLE || errorClass === ERROR_CLASSES.THROTTLED;
+      if (!canRetry || attempt >= policy.maxAttempts) {
+        error.errorClass = errorClass;
+        error.attempts = attempt;
+        error.operation ??= operation;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, policy, error);
+      logger.warn(`${operation}: attempt ${attempt} failed, retrying`, {
+        errorClass,
+        status: errorStatus(error),
+        error: error.message,
+        delayMs: delay,
+        nextAttempt: attempt + 1,
+        maxAttempts: policy.maxAttempts
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// Failure entry fields for an error, whether or not it went through withRetry
+function failureDetails(error) {
+  return {
+    errorClass: error.errorClass ?? classifyError(error),
+    attempts: error.attempts ?? 1
+  };
+}
+
+export {
+  ERROR_CLASSES,
+  DEFAULT_RETRY_POLICY,
+  HttpError,
+  retryPolicyFromEnv,
+  classifyError,
+  retryAfterMs,
+  backoffDelay,
+  withRetry,
+  failureDetails
+};
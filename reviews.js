@@ -0,0 +1,125 @@
+// Review state of a run's outputs, set with the approve and reject commands and
+// kept next to the results file as reviews-<timestamp>.json, so the results
+// document stays as the run wrote it:
+//   { "resultsFile": "...", "updatedAt": "...",
+//     "outputs": { "<label>": { "status", "reviewer", "comment", "reviewedAt", "edits", "history" } } }
+// Outputs without an entry are pending. A rejection may carry edits (`message`,
+// `prompt`) that `rerun --rejected` applies to the brief before regenerating;
+// regenerated outputs go back to pending, with earlier reviews in `history`.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// reviews-<timestamp>.json for results-<timestamp>.json
+function reviewsFileFor(resultsFile) {
+  const name = path.basename(resultsFile).replace(/^results-/, 'reviews-');
+  return path.join(path.dirname(resultsFile), name === path.basename(resultsFile) ? `reviews-${name}` : name);
+}
+
+class ReviewStore {
+  constructor(resultsFile) {
+    this.resultsFile = resultsFile;
+    this.filePath = reviewsFileFor(resultsFile);
+    this.outputs = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).outputs || {}
+      : {};
+  }
+
+  get(label) {
+    return this.outputs[label] || { status: 'pending' };
+  }
+
+  // Record a decision; the previous one moves to the output's history
+  review(label, status, { reviewer, comment = null, edits = null }) {
+    const { history = [], ...previous } = this.outputs[label] || {};
+    this.outputs[label] = {
+      status,
+      reviewer,
+      comment,
+      reviewedAt: new Date().toISOString(),
+      edits,
+      history: this.outputs[label] ? [...history, previous] : []
+    };
+  }
+
+  // Regenerated output: pending again, with its reviews kept as history
+  reset(label) {
+    const { history = [], ...previous } = this.outputs[label] || {};
+    if (!this.outputs[label]) return;
+    this.outputs[label] = { status: 'pending', history: [...history, previous] };
+  }
+
+  // Counts per status for the outputs of a results document
+  summary(labels) {
+    const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    labels.forEach(label => counts[this.get(label).status]++);
+    return counts;
+  }
+
+  // Reviews for the results file of a rerun: reviews of outputs the rerun kept
+  // are copied, regenerated outputs are reset to pending
+  carryOver(resultsFile, labels, regenerated) {
+    const store = new ReviewStore(resultsFile);
+    for (const label of labels) {
+      if (this.outputs[label]) store.outputs[label] = structuredClone(this.outputs[label]);
+      if (regenerated.has(label)) store.reset(label);
+    }
+    return store;
+  }
+
+  save() {
+    // Write-then-rename, as for the job ledger
+    const data = { resultsFile: this.resultsFile, updatedAt: new Date().toISOString(), outputs: this.outputs };
+    const tmpFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+}
+
+// Copy of the brief with the edits of rejected outputs applied: a message edit
+// replaces the region's message; a prompt edit replaces the region's
+// background_prompt (the fill prompt of a local asset) or, for a generated
+// output, the category's product prompt. Returns the brief and the edits that
+// conflict (two outputs asking for different values of the same field).
+function applyReviewEdits(brief, entries, store) {
+  const edited = structuredClone(brief);
+  const assigned = new Map();
+  const conflicts = [];
+  const assign = (field, target, key, value, label) => {
+    const earlier = assigned.get(field);
+    if (earlier && earlier.value !== value) {
+      conflicts.push(`${earlier.label} and ${label} ask for different values of ${field}`);
+      return;
+    }
+    assigned.set(field, { value, label });
+    target[key] = value;
+  };
+
+  for (const entry of entries) {
+    const { edits } = store.get(entry.label);
+    if (!edits) continue;
+    const category = edited.product_categories[entry.productCategory];
+    const region = category?.target_regions.find(candidate => candidate.code === entry.region);
+    if (!region) continue;
+
+    if (edits.message) {
+      assign(`${entry.productCategory}/${entry.region} message`, region, 'message', edits.message, entry.label);
+    }
+    if (edits.prompt && entry.assetType === 'generated') {
+      edited.product_prompts ??= {};
+      assign(`product_prompts.${entry.productCategory}`, edited.product_prompts, entry.productCategory, edits.prompt, entry.label);
+    } else if (edits.prompt) {
+      assign(`${entry.productCategory}/${entry.region} background_prompt`, region, 'background_prompt', edits.prompt, entry.label);
+    }
+  }
+  return { brief: edited, conflicts };
+}
+
+export {
+  REVIEW_STATUSES,
+  ReviewStore,
+  reviewsFileFor,
+  applyReviewEdits
+};
@@ -0,0 +1,40 @@
+// Seeds for Firefly generate, expand and fill calls. Every call is made with
+// explicit seeds, pinned in campaign.yaml or picked at random, and the seeds
+// are recorded with the output (results `requests`) so it can be reproduced:
+//   product_categories.<category>.seed   generate and expand calls of the category,
+//                                        and fills of regions without their own seed
+//   target_regions[].seed                fills of the region
+// A call with n variations uses seeds s, s+1, ... s+n-1 from its base seed s.
+
+import { MAX_VARIATIONS } from './variations.js';
+
+const MAX_SEED = 999999;
+
+// Base seeds, random or pinned, leave room for the variations' consecutive seeds
+const MAX_BASE_SEED = MAX_SEED - MAX_VARIATIONS + 1;
+
+const randomSeed = () => Math.floor(Math.random() * (MAX_BASE_SEED + 1));
+
+// Pinned base seed for a category's generate/expand calls, or null
+function categorySeed(brief, category) {
+  return brief.product_categories[category]?.seed ?? null;
+}
+
+// Pinned base seed for a region's fills, or null
+function fillSeed(brief, category, region) {
+  return region.seed ?? categorySeed(brief, category);
+}
+
+// Base seed and per-variation seeds for one call
+function callSeeds(pinned, numVariations) {
+  const seed = pinned ?? randomSeed();
+  return { seed, seeds: Array.from({ length: numVariations }, (_, index) => seed + index) };
+}
+
+export {
+  MAX_SEED,
+  MAX_BASE_SEED,
+  categorySeed,
+  fillSeed,
+  callSeeds
+};
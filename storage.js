@@ -0,0 +1,148 @@
+// Storage backend selection. A storage is { name, client, bucket, keyPrefix }
+// where client exposes the S3Client URL methods used by the pipeline:
+//   client.getPresignedPutUrl(bucket, key, expiration)
+//   client.getPresignedGetUrl(bucket, key, expiration)
+// "s3" uses AWS S3 or any S3-compatible endpoint (e.g. MinIO); "local"
+// stores objects in a directory, addressed by file:// URLs or served over HTTP.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import S3Client from './S3Client.js';
+import { getMimeType } from './firefly-utils.js';
+import logger from './logger.js';
+
+const STORAGE_BACKENDS = ['s3', 'local'];
+
+class LocalStorageClient {
+  constructor(rootDir, { publicUrl } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    this.baseUrl = this.publicUrl;
+    this.server = null;
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  // Resolve an object key inside rootDir, refusing keys that escape it
+  pathFor(objectKey) {
+    const filePath = path.resolve(this.rootDir, objectKey);
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid object key: ${objectKey}`);
+    }
+    return filePath;
+  }
+
+  urlFor(objectKey) {
+    const filePath = this.pathFor(objectKey);
+    if (this.baseUrl) {
+      return `${this.baseUrl}/${objectKey.split('/').map(encodeURIComponent).join('/')}`;
+    }
+    return pathToFileURL(filePath).href;
+  }
+
+  // Same signatures as S3Client; the bucket is ignored
+  async getPresignedPutUrl(bucketName, objectKey) {
+    return this.urlFor(objectKey);
+  }
+
+  async getPresignedGetUrl(bucketName, objectKey) {
+    return this.urlFor(objectKey);
+  }
+
+  // Serve GET/PUT for the storage directory so HTTP-only consumers can use it
+  async listen(port = 0) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    const address = this.server.address();
+    this.baseUrl = this.publicUrl || `http://127.0.0.1:${address.port}`;
+    logger.info("LocalStorage: serving storage directory", { rootDir: this.rootDir, url: this.baseUrl });
+  }
+
+  handleRequest(req, res) {
+    let filePath;
+    try {
+      const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.replace(/^\/+/, ''));
+      filePath = this.pathFor(key);
+    } catch (error) {
+      res.writeHead(400).end(error.message);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+          res.writeHead(404).end('Not found');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': getMimeType(filePath), 'Content-Length': stats.size });
+        if (req.method === 'HEAD') {
+          res.end();
+        } else {
+          fs.createReadStream(filePath).pipe(res);
+        }
+      });
+    } else if (req.method === 'PUT') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const out = fs.createWriteStream(filePath);
+      req.pipe(out);
+      out.on('finish', () => res.writeHead(200).end());
+      out.on('error', (error) => res.writeHead(500).end(error.message));
+    } else {
+      res.writeHead(405).end('Method not allowed');
+    }
+  }
+
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+function createS3Storage(env) {
+  const client = new S3Client(env.AWS_REGION, env.AWS_ACCESS_KEY_ID, env.AWS_SECRET_ACCESS_KEY, {
+    endpoint: env.S3_ENDPOINT,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+  });
+  return {
+    name: 's3',
+    client,
+    bucket: env.S3_BUCKET_NAME,
+    keyPrefix: env.S3_KEY_PREFIX,
+    async close() {}
+  };
+}
+
+async function createLocalStorage(env) {
+  const client = new LocalStorageClient(env.LOCAL_STORAGE_DIR || './output', {
+    publicUrl: env.LOCAL_STORAGE_PUBLIC_URL
+  });
+  if (env.LOCAL_STORAGE_SERVE === 'true') {
+    await client.listen(env.LOCAL_STORAGE_PORT ? parseInt(env.LOCAL_STORAGE_PORT) : 0);
+  }
+  return {
+    name: 'local',
+    client,
+    bucket: null,
+    keyPrefix: env.S3_KEY_PREFIX || 'creative_automation_poc',
+    close: () => client.close()
+  };
+}
+
+async function createStorage(name = 's3', env = process.env) {
+  switch (name) {
+    case 's3': return createS3Storage(env);
+    case 'local': return createLocalStorage(env);
+    default: throw new Error(`Unknown storage backend "${name}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+export {
+  STORAGE_BACKENDS,
+  LocalStorageClient,
+  createStorage
+};
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { DEFAULT_COMPLIANCE, resolveCompliance, contrastRatio, luminance, dominantColors, checkCompliance, complianceSummary } from '../compliance.js';
+
+const solid = (width, height, background) => sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+// A headline of one 40px line across the middle of a 200 × 200 canvas
+const textLayout = { box: { x: 20, y: 80, width: 160, height: 60 }, fontSize: 40, lines: [{ text: 'Hello', x: 20, y: 116 }] };
+const brand = (overrides = {}) => ({ logo: null, colors: { text: '#FFFFFF' }, palette: null, ...overrides });
+
+test('contrast follows WCAG: black on white is 21:1', () => {
+  assert.equal(luminance([255, 255, 255]), 1);
+  assert.equal(luminance([0, 0, 0]), 0);
+  assert.equal(contrastRatio(1, 0), 21);
+  assert.equal(contrastRatio(0.5, 0.5), 1);
+});
+
+test('resolveCompliance fills in the campaign\'s thresholds over the defaults', () => {
+  assert.deepEqual(resolveCompliance({}), DEFAULT_COMPLIANCE);
+  assert.equal(resolveCompliance({ compliance: { min_contrast: 4.5 } }).min_contrast, 4.5);
+  assert.equal(resolveCompliance({ compliance: { min_contrast: 4.5 } }).palette_tolerance, DEFAULT_COMPLIANCE.palette_tolerance);
+});
+
+test('white text on a dark background passes, on a light one it is flagged', async () => {
+  const dark = await solid(200, 200, { r: 10, g: 10, b: 40 });
+  const passed = await checkCompliance(dark, { background: dark, textLayout, brand: brand() });
+  assert.equal(passed.passed, true);
+  assert.ok(passed.checks.contrast.ratio > 15);
+  assert.deepEqual(passed.reasons, []);
+
+  const light = await solid(200, 200, { r: 240, g: 240, b: 230 });
+  const flagged = await checkCompliance(light, { background: light, textLayout, brand: brand() });
+  assert.equal(flagged.passed, false);
+  assert.equal(flagged.checks.contrast.passed, false);
+  assert.match(flagged.reasons[0], /headline contrast .* is below 3:1/);
+});
+
+test('checks without a logo or palette are skipped', async () => {
+  const image = await solid(200, 200, { r: 0, g: 0, b: 0 });
+  const result = await checkCompliance(image, { background: image, textLayout, brand: brand() });
+  assert.equal(result.checks.logo.skipped, true);
+  assert.equal(result.checks.palette.skipped, true);
+  assert.equal(result.score, result.checks.contrast.score);
+});
+
+test('the palette check compares the dominant colours with the brand palette', async () => {
+  const red = await solid(200, 200, { r: 228, g: 0, b: 43 });
+  assert.deepEqual((await dominantColors(red)).map(color => color.share), [1]);
+
+  const onBrand = await checkCompliance(red, { background: red, textLayout, brand: brand({ palette: ['#E4002B'] }) });
+  assert.equal(onBrand.checks.palette.passed, true);
+  assert.equal(onBrand.checks.palette.match, 1);
+
+  const offBrand = await checkCompliance(red, { background: red, textLayout, brand: brand({ palette: ['#0050FF'] }) });
+  assert.equal(offBrand.checks.palette.passed, false);
+  assert.equal(offBrand.checks.palette.match, 0);
+});
+
+test('complianceSummary counts checked, passed and flagged outputs', () => {
+  assert.deepEqual(complianceSummary([
+    { compliance: { passed: true } },
+    { compliance: { passed: false } },
+    { compliance: { error: 'download failed' } },
+    {}
+  ]), { checked: 2, passed: 1, flagged: 1 });
+});
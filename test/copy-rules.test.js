@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CopyViolationError, rulesForRegion, checkRegionCopy, checkRenderedCopy, briefCopyViolations, copyRuleIssues } from '../copy-rules.js';
+
+const region = (code, locale, message, background_prompt = 'a bright studio') => ({ code, locale, message, background_prompt });
+
+const brief = {
+  copy_rules: {
+    prohibited: {
+      '*': ['cure', 'guaranteed results'],
+      de: ['Wunder'],
+      'de-AT': ['Gratis']
+    },
+    disclaimers: { US: '*Terms apply' }
+  },
+  product_categories: {
+    shoes: {
+      target_regions: [
+        region('US', 'en-US', 'Secure your pair *Terms apply'),
+        region('DE', 'de-DE', 'Ein WUNDER für die Füße')
+      ]
+    },
+    fragrances: {
+      target_regions: [region('AT', 'de-AT', 'Gratis Probe', 'a cure for dull mornings')]
+    }
+  }
+};
+
+test('rulesForRegion combines the "*", language and locale lists', () => {
+  const rules = rulesForRegion(brief, region('AT', 'de-AT', ''));
+  assert.deepEqual(rules.prohibited.map(({ term, rule }) => `${rule}:${term}`), ['*:cure', '*:guaranteed results', 'de:Wunder', 'de-AT:Gratis']);
+  assert.equal(rules.disclaimer, null);
+  assert.equal(rulesForRegion(brief, region('US', 'en-US', '')).disclaimer, '*Terms apply');
+});
+
+test('terms match whole words regardless of case', () => {
+  assert.deepEqual(checkRegionCopy(brief, brief.product_categories.shoes.target_regions[0]), []);
+
+  const [violation] = checkRegionCopy(brief, brief.product_categories.shoes.target_regions[1]);
+  assert.equal(violation.field, 'message');
+  assert.equal(violation.term, 'Wunder');
+  assert.equal(violation.rule, 'de');
+
+  assert.equal(checkRegionCopy(brief, region('UK', 'en-GB', 'Results GUARANTEED')).length, 0);
+  assert.equal(checkRegionCopy(brief, region('UK', 'en-GB', 'Guaranteed\nresults')).length, 1);
+});
+
+test('background prompts are checked too', () => {
+  const violations = checkRegionCopy(brief, brief.product_categories.fragrances.target_regions[0]);
+  assert.deepEqual(violations.map(violation => `${violation.field}:${violation.term}`), ['message:Gratis', 'background_prompt:cure']);
+});
+
+test('a missing disclaimer is a violation; wrapping does not hide one', () => {
+  const rules = rulesForRegion(brief, region('US', 'en-US', ''));
+  assert.equal(checkRegionCopy(brief, region('US', 'en-US', 'Run faster')).at(0).disclaimer, '*Terms apply');
+  assert.deepEqual(checkRenderedCopy(['Secure your pair *Terms', 'apply'], rules), []);
+  assert.equal(checkRenderedCopy(['Secure your pair *Ter…'], rules).length, 1);
+});
+
+test('briefCopyViolations and copyRuleIssues point at the offending regions', () => {
+  assert.deepEqual(briefCopyViolations(brief).map(({ category, region, index }) => ({ category, region, index })), [
+    { category: 'shoes', region: 'DE', index: 1 },
+    { category: 'fragrances', region: 'AT', index: 0 }
+  ]);
+  const issues = copyRuleIssues(brief, 'campaign.yaml');
+  assert.equal(issues[0].path, 'campaign.product_categories.shoes.target_regions[1].message');
+  assert.equal(issues[0].file, 'campaign.yaml');
+  assert.equal(issues.length, 3);
+});
+
+test('CopyViolationError is classified as a content policy failure', () => {
+  const error = new CopyViolationError('blocked', []);
+  assert.equal(error.errorClass, 'content_policy');
+  assert.ok(error instanceof Error);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { encodingsFor, encodeOutput, encodingSummary } from '../encodings.js';
+
+// Noise compresses badly, so quality changes the file size noticeably
+async function noisyPng(width = 128, height = 128) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let state = 42;
+  for (let i = 0; i < pixels.length; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    pixels[i] = state >> 23;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+test('encodingsFor uses the format\'s own list, else "*"', () => {
+  const brief = { encodings: { '1:1': [{ format: 'webp' }], '*': [{ format: 'jpeg' }] } };
+  assert.deepEqual(encodingsFor(brief, '1:1'), [{ format: 'webp' }]);
+  assert.deepEqual(encodingsFor(brief, '9:16'), [{ format: 'jpeg' }]);
+  assert.deepEqual(encodingsFor({}, '1:1'), []);
+});
+
+test('without a budget the starting quality is used', async () => {
+  const result = await encodeOutput(await noisyPng(), { format: 'jpeg', quality: 70 });
+  assert.equal(result.quality, 70);
+  assert.equal(result.withinBudget, null);
+  assert.equal(result.bytes, result.buffer.length);
+  assert.equal((await sharp(result.buffer).metadata()).format, 'jpeg');
+});
+
+test('a budget picks the highest quality that fits', async () => {
+  const master = await noisyPng();
+  const full = await encodeOutput(master, { format: 'jpeg', quality: 90 });
+  const budget = Math.round(full.bytes * 0.6);
+
+  const result = await encodeOutput(master, { format: 'jpeg', quality: 90, max_bytes: budget });
+  assert.equal(result.withinBudget, true);
+  assert.ok(result.bytes <= budget);
+  assert.ok(result.quality < 90);
+  const higher = await encodeOutput(master, { format: 'jpeg', quality: result.quality + 1 });
+  assert.ok(higher.bytes > budget);
+});
+
+test('an impossible budget keeps the smallest file, marked over budget', async () => {
+  const result = await encodeOutput(await noisyPng(), { format: 'webp', quality: 80, min_quality: 50, max_bytes: 100 });
+  assert.equal(result.withinBudget, false);
+  assert.ok(result.quality >= 50);
+});
+
+test('transparent areas of a JPEG are flattened onto the background colour', async () => {
+  const transparent = await sharp({ create: { width: 8, height: 8, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+  const pixel = async (buffer) => [...(await sharp(buffer).raw().toBuffer()).subarray(0, 3)];
+
+  const white = await encodeOutput(transparent, { format: 'jpeg' });
+  assert.deepEqual(await pixel(white.buffer), [255, 255, 255]);
+
+  const red = await encodeOutput(transparent, { format: 'jpeg' }, '#FF0000');
+  const [r, g, b] = await pixel(red.buffer);
+  assert.ok(r > 240 && g < 15 && b < 15);
+});
+
+test('encodingSummary counts the files of every variation', () => {
+  const summary = encodingSummary([
+    { encodings: [{ bytes: 100, withinBudget: true }] },
+    { variations: [{ encodings: [{ bytes: 50, withinBudget: false }] }, { encodings: [{ bytes: 25, withinBudget: null }] }] },
+    {}
+  ]);
+  assert.deepEqual(summary, { files: 3, bytes: 175, overBudget: 1 });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jobKey, createJobFilter, excludeRegions, validateJobFilter, describeJobFilter } from '../job-filter.js';
+
+const brief = {
+  product_categories: {
+    shoes: { target_regions: [{ code: 'US' }, { code: 'DE' }] },
+    fragrances: { target_regions: [{ code: 'US' }] }
+  },
+  aspect_ratios: ['1:1', '9:16']
+};
+
+const job = (category, region, ratio, assetName = 'a.png') => ({ category, region, ratio, assetName });
+
+test('jobKey joins category, region, ratio and asset', () => {
+  assert.equal(jobKey(job('shoes', 'US', '1:1', 'sneaker.png')), 'shoes|US|1:1|sneaker.png');
+});
+
+test('an empty filter matches every job', () => {
+  const filter = createJobFilter();
+  assert.equal(filter.isEmpty, true);
+  assert.equal(filter.matches(job('shoes', 'DE', '9:16')), true);
+  assert.equal(filter.matchesCategory('fragrances'), true);
+});
+
+test('values of one dimension are alternatives, dimensions are combined', () => {
+  const filter = createJobFilter({ categories: ['shoes'], regions: ['US', 'DE'], ratios: ['1:1'] });
+  assert.equal(filter.isEmpty, false);
+  assert.equal(filter.matches(job('shoes', 'US', '1:1')), true);
+  assert.equal(filter.matches(job('shoes', 'DE', '1:1')), true);
+  assert.equal(filter.matches(job('shoes', 'US', '9:16')), false);
+  assert.equal(filter.matches(job('fragrances', 'US', '1:1')), false);
+  assert.equal(filter.matchesCategory('fragrances'), false);
+});
+
+test('a job list matches exactly those outputs and their categories', () => {
+  const filter = createJobFilter({ jobs: [job('shoes', 'DE', '9:16', 'sneaker.png')] });
+  assert.equal(filter.isEmpty, false);
+  assert.equal(filter.matches(job('shoes', 'DE', '9:16', 'sneaker.png')), true);
+  assert.equal(filter.matches(job('shoes', 'DE', '9:16', 'boot.png')), false);
+  assert.equal(filter.matchesCategory('shoes'), true);
+  assert.equal(filter.matchesCategory('fragrances'), false);
+});
+
+test('excludeRegions drops category/region pairs and categories left without regions', () => {
+  const filter = excludeRegions(createJobFilter({ ratios: ['1:1'] }), [
+    { category: 'shoes', region: 'DE' },
+    { category: 'fragrances', region: 'US' }
+  ], brief);
+  assert.equal(filter.matches(job('shoes', 'US', '1:1')), true);
+  assert.equal(filter.matches(job('shoes', 'DE', '1:1')), false);
+  assert.equal(filter.matches(job('shoes', 'US', '9:16')), false);
+  assert.equal(filter.matchesCategory('shoes'), true);
+  assert.equal(filter.matchesCategory('fragrances'), false);
+  assert.deepEqual(filter.ratios, ['1:1']);
+});
+
+test('validateJobFilter reports values the brief does not define', () => {
+  assert.deepEqual(validateJobFilter(createJobFilter({ categories: ['shoes'], regions: ['DE'], ratios: ['9:16'] }), brief), []);
+
+  const errors = validateJobFilter(createJobFilter({ categories: ['hats'], regions: ['de'], ratios: ['4:3'] }), brief);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /Unknown category "hats"/);
+  assert.match(errors[1], /Unknown region "de"/);
+  assert.match(errors[2], /Aspect ratio "4:3" is not in the brief/);
+});
+
+test('describeJobFilter is null for an empty filter and lists job keys', () => {
+  assert.equal(describeJobFilter(createJobFilter()), null);
+  assert.deepEqual(describeJobFilter(createJobFilter({ regions: ['US'] })), {
+    categories: [],
+    regions: ['US'],
+    ratios: [],
+    jobs: undefined
+  });
+  assert.deepEqual(describeJobFilter(createJobFilter({ jobs: [job('shoes', 'US', '1:1')] })).jobs, ['shoes|US|1:1|a.png']);
+});
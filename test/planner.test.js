@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJobFilter } from '../job-filter.js';
+import { buildPlan, formatPlan } from '../planner.js';
+
+const region = (code) => ({ code, locale: 'en-US', message: `Hello ${code}`, background_prompt: 'a studio' });
+
+const brief = {
+  id: 'test_campaign',
+  product_categories: {
+    shoes: { target_regions: [region('US'), region('DE')] },
+    fragrances: { target_regions: [region('US')] }
+  },
+  aspect_ratios: ['1:1', '9:16']
+};
+
+let assetsFolder;
+
+before(() => {
+  // Only shoes has a local asset, so fragrances is generated
+  assetsFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'planner-test-'));
+  fs.mkdirSync(path.join(assetsFolder, 'shoes'));
+  fs.writeFileSync(path.join(assetsFolder, 'shoes', 'sneaker.png'), '');
+  fs.mkdirSync(path.join(assetsFolder, 'hats'));
+  fs.writeFileSync(path.join(assetsFolder, 'hats', 'cap.png'), '');
+});
+
+after(() => {
+  fs.rmSync(assetsFolder, { recursive: true, force: true });
+});
+
+test('every region × ratio of a category is a job, local or generated', () => {
+  const plan = buildPlan(brief, assetsFolder);
+  assert.equal(plan.summary.jobs, 6);
+  assert.equal(plan.summary.localJobs, 4);
+  assert.equal(plan.summary.generatedJobs, 2);
+
+  const local = plan.jobs.find(job => job.category === 'shoes' && job.region === 'DE' && job.ratio === '9:16');
+  assert.equal(local.label, 'sneaker_DE_9x16');
+  assert.equal(local.source, 'local');
+  assert.deepEqual(local.steps, ['upload', 'expand', 'mask', 'fill', 'text_overlay']);
+
+  const generated = plan.jobs.find(job => job.category === 'fragrances' && job.ratio === '1:1');
+  assert.equal(generated.assetName, 'fragrances_generated_1x1.jpg');
+  assert.deepEqual(generated.steps, ['text_overlay']);
+});
+
+test('a generated category costs one generate call per ratio', () => {
+  const plan = buildPlan(brief, assetsFolder, createJobFilter({ categories: ['fragrances'] }));
+  assert.deepEqual(plan.generatedCategories.map(({ category, ratios }) => ({ category, ratios })), [
+    { category: 'fragrances', ratios: ['1:1', '9:16'] }
+  ]);
+  assert.equal(plan.apiCalls.firefly.generate, 2);
+  assert.equal(plan.apiCalls.total, 2);
+});
+
+test('a local job costs an upload, expand, mask, inversion and fill', () => {
+  const plan = buildPlan(brief, assetsFolder, createJobFilter({ categories: ['shoes'], regions: ['US'], ratios: ['1:1'] }));
+  assert.deepEqual(plan.apiCalls.firefly, { upload: 1, expand: 1, fill: 1, generate: 0 });
+  assert.deepEqual(plan.apiCalls.photoshop, { createMask: 1, playPhotoshopActionsJson: 1 });
+  assert.equal(plan.summary.apiCalls, 5);
+});
+
+test('local assets outside the brief or the filters are listed but not selected', () => {
+  const plan = buildPlan(brief, assetsFolder, createJobFilter({ categories: ['fragrances'] }));
+  const byCategory = Object.fromEntries(plan.localAssets.map(asset => [asset.category, asset]));
+  assert.deepEqual({ inBrief: byCategory.hats.inBrief, selected: byCategory.hats.selected }, { inBrief: false, selected: false });
+  assert.deepEqual({ inBrief: byCategory.shoes.inBrief, selected: byCategory.shoes.selected }, { inBrief: true, selected: false });
+  assert.match(formatPlan(plan), /hats\/cap\.png \(category not in brief, ignored\)/);
+});
+
+test('uploads are shared by an asset\'s jobs, expands and masks by its regions at one ratio', () => {
+  const plan = buildPlan(brief, assetsFolder, createJobFilter({ categories: ['shoes'] }));
+  // 1 asset, 2 ratios, 2 regions
+  assert.deepEqual(plan.apiCalls.firefly, { upload: 1, expand: 2, fill: 4, generate: 0 });
+  assert.deepEqual(plan.apiCalls.photoshop, { createMask: 2, playPhotoshopActionsJson: 2 });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_SEED, MAX_BASE_SEED, categorySeed, fillSeed, callSeeds } from '../seeds.js';
+import { MAX_VARIATIONS } from '../variations.js';
+
+const brief = {
+  product_categories: {
+    shoes: { seed: 4242, target_regions: [] },
+    fragrances: { target_regions: [] }
+  }
+};
+
+test('a region\'s fills use its own seed, else the category\'s', () => {
+  assert.equal(categorySeed(brief, 'shoes'), 4242);
+  assert.equal(categorySeed(brief, 'fragrances'), null);
+  assert.equal(fillSeed(brief, 'shoes', { code: 'DE', seed: 1337 }), 1337);
+  assert.equal(fillSeed(brief, 'shoes', { code: 'US' }), 4242);
+  assert.equal(fillSeed(brief, 'fragrances', { code: 'US' }), null);
+});
+
+test('variations use consecutive seeds from a pinned base', () => {
+  assert.deepEqual(callSeeds(1337, 3), { seed: 1337, seeds: [1337, 1338, 1339] });
+  assert.deepEqual(callSeeds(0, 1), { seed: 0, seeds: [0] });
+});
+
+test('the highest base seed leaves room for every variation', () => {
+  assert.equal(MAX_BASE_SEED + MAX_VARIATIONS - 1, MAX_SEED);
+  assert.equal(callSeeds(MAX_BASE_SEED, MAX_VARIATIONS).seeds.at(-1), MAX_SEED);
+});
+
+test('random seeds stay within range for the most variations', () => {
+  for (let i = 0; i < 200; i++) {
+    const { seed, seeds } = callSeeds(null, MAX_VARIATIONS);
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_BASE_SEED);
+    assert.ok(seeds.at(-1) <= MAX_SEED);
+  }
+});
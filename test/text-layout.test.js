@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LAYOUT, measureText, textDirection, resolveLayout, wrapText, fitText, layoutText } from '../text-layout.js';
+
+const region = { code: 'US', locale: 'en-US', message: 'Step Into Your Power' };
+
+test('resolveLayout applies campaign, ratio and region settings in order', () => {
+  const brief = {
+    layout: {
+      anchor: 'center',
+      max_lines: 2,
+      ratios: { '9:16': { anchor: 'bottom-third', align: 'center' } }
+    }
+  };
+  const layout = resolveLayout(brief, { ...region, layout: { ratios: { '9:16': { align: 'right' } } } }, '9:16');
+  assert.equal(layout.anchor, 'bottom-third');
+  assert.equal(layout.align, 'right');
+  assert.equal(layout.max_lines, 2);
+  assert.equal(layout.line_height, DEFAULT_LAYOUT.line_height);
+
+  assert.equal(resolveLayout(brief, region, '1:1').anchor, 'center');
+});
+
+test('resolveLayout uses the ratio\'s safe area and keeps unset insets', () => {
+  const layout = resolveLayout({ layout: { safe_area: { top: 0.2 } } }, region, '9:16');
+  assert.equal(layout.safe_area.top, 0.2);
+  assert.equal(layout.safe_area.bottom, 0.2);
+  assert.equal(layout.safe_area.left, 0.06);
+});
+
+test('a custom anchor needs a position', () => {
+  assert.throws(() => resolveLayout({ layout: { anchor: 'custom' } }, region, '1:1'), /anchor "custom" without a position/);
+});
+
+test('wrapText wraps at spaces and splits words wider than the line', () => {
+  const fontSize = 10;
+  const lines = wrapText('Step Into Your Power', measureText('Step Into', fontSize), fontSize);
+  assert.deepEqual(lines, ['Step Into', 'Your', 'Power']);
+
+  const long = wrapText('Supercalifragilistic', measureText('Supercal', fontSize), fontSize);
+  assert.ok(long.length > 1);
+  assert.equal(long.join(''), 'Supercalifragilistic');
+  for (const line of long) assert.ok(measureText(line, fontSize) <= measureText('Supercal', fontSize));
+});
+
+test('fitText picks the largest size that fits and truncates when none does', () => {
+  const layout = { ...DEFAULT_LAYOUT, max_font_size: 0.1, min_font_size: 0.02 };
+  const roomy = fitText('Hello', 1000, 500, layout, 1000);
+  assert.deepEqual(roomy, { fontSize: 100, lines: ['Hello'], overflow: false });
+
+  const cramped = fitText('One two three four five six seven eight nine ten', 100, 25, layout, 1000);
+  assert.equal(cramped.overflow, true);
+  assert.equal(cramped.fontSize, 20);
+  assert.equal(cramped.lines.length, 1);
+  assert.ok(cramped.lines[0].endsWith('…'));
+});
+
+test('layoutText keeps the text box inside the safe area', () => {
+  const layout = resolveLayout({ layout: { anchor: 'custom', position: { x: 0.9, y: 0.95 } } }, region, '1:1');
+  const result = layoutText('Step Into Your Power', 1000, 1000, layout);
+  assert.ok(result.box.x + result.box.width <= 950);
+  assert.ok(result.box.y + result.box.height <= 950);
+  assert.ok(result.box.x >= 50 && result.box.y >= 50);
+});
+
+test('layoutText anchors and aligns the lines', () => {
+  const layout = resolveLayout({ layout: { anchor: 'bottom-third', align: 'center' } }, region, '1:1');
+  const result = layoutText('Step Into Your Power', 1000, 1000, layout);
+  assert.equal(result.textAnchor, 'middle');
+  assert.equal(result.box.y, 667);
+  assert.equal(result.lines[0].x, 500);
+  assert.ok(result.lines.every((line, index) => index === 0 || line.y > result.lines[index - 1].y));
+});
+
+test('textDirection follows the locale, then the first letter', () => {
+  assert.equal(textDirection('ar-AE', 'Sale'), 'rtl');
+  assert.equal(textDirection('en-US', 'שלום world'), 'rtl');
+  assert.equal(textDirection('en-US', '2025 — مرحبا'), 'rtl');
+  assert.equal(textDirection('de-DE', 'Hallo'), 'ltr');
+});
+
+test('right-to-left regions default to right alignment and an end anchor', () => {
+  const layout = resolveLayout({}, { code: 'AE', locale: 'ar-AE', message: 'اكتشف عطرك' }, '1:1');
+  assert.equal(layout.direction, 'rtl');
+  assert.equal(layout.align, 'right');
+  assert.equal(layoutText('اكتشف عطرك', 1000, 1000, layout).textAnchor, 'start');
+});
+
+test('text without spaces wraps at the locale\'s word boundaries', () => {
+  const fontSize = 10;
+  const lines = wrapText('東京の新しいスニーカーを発見しよう', measureText('東京の新しい', fontSize), fontSize, 'ja-JP');
+  assert.ok(lines.length > 1);
+  assert.equal(lines.join(''), '東京の新しいスニーカーを発見しよう');
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { affectedOutputs } from '../watch.js';
+
+const region = (code, message) => ({ code, locale: 'en-US', message, background_prompt: 'a studio' });
+
+const brief = {
+  id: 'test_campaign',
+  layout: { anchor: 'top' },
+  product_categories: {
+    shoes: { target_regions: [region('US', 'Run'), region('DE', 'Lauf')] },
+    fragrances: { target_regions: [region('US', 'Smell')] }
+  },
+  aspect_ratios: ['1:1']
+};
+const assets = { 'shoes/sneaker.png': 'hash-1' };
+
+const output = (category, region, assetName, isGenerated = false) => ({ category, region, ratio: '1:1', assetName, isGenerated });
+const expected = [
+  output('shoes', 'US', 'sneaker.png'),
+  output('shoes', 'DE', 'sneaker.png'),
+  output('fragrances', 'US', 'fragrances_generated_1x1.jpg', true)
+];
+const entry = ({ category, region, ratio, assetName }) => ({ productCategory: category, region, aspectRatio: ratio, assetName });
+
+// A manifest in which every expected output succeeded from `brief` and `assets`
+const manifest = (overrides = {}) => ({
+  success: expected.map(entry),
+  failures: [],
+  watch: { brief, assets },
+  ...overrides
+});
+
+const reasons = (affected) => affected.map(({ category, region, reason }) => `${category}|${region}: ${reason}`);
+
+test('without a manifest every output is made', () => {
+  assert.deepEqual(reasons(affectedOutputs(null, { brief, assets }, expected)), [
+    'shoes|US: initial run',
+    'shoes|DE: initial run',
+    'fragrances|US: initial run'
+  ]);
+});
+
+test('nothing is affected when brief and assets are unchanged', () => {
+  assert.deepEqual(affectedOutputs(manifest(), { brief, assets }, expected), []);
+});
+
+test('a region edit affects only that region\'s outputs', () => {
+  const edited = structuredClone(brief);
+  edited.product_categories.shoes.target_regions[1].message = 'Lauf schneller';
+  assert.deepEqual(reasons(affectedOutputs(manifest(), { brief: edited, assets }, expected)), ['shoes|DE: message changed']);
+});
+
+test('a changed asset affects that asset\'s outputs', () => {
+  const changed = { 'shoes/sneaker.png': 'hash-2' };
+  assert.deepEqual(reasons(affectedOutputs(manifest(), { brief, assets: changed }, expected)), [
+    'shoes|US: asset changed',
+    'shoes|DE: asset changed'
+  ]);
+});
+
+test('a new generation prompt affects the generated category', () => {
+  const edited = { ...brief, product_prompts: { fragrances: 'A crystal bottle' } };
+  // product_prompts is a campaign setting, so every output is affected
+  assert.equal(affectedOutputs(manifest(), { brief: edited, assets }, expected).length, 3);
+
+  const regionPrompt = structuredClone(brief);
+  regionPrompt.product_categories.fragrances.target_regions[0].background_prompt = 'a garden';
+  assert.deepEqual(reasons(affectedOutputs(manifest(), { brief: regionPrompt, assets }, expected)), ['fragrances|US: generation prompt changed']);
+});
+
+test('a campaign setting change affects every output', () => {
+  const edited = { ...brief, layout: { anchor: 'center' } };
+  const affected = affectedOutputs(manifest(), { brief: edited, assets }, expected);
+  assert.equal(affected.length, 3);
+  assert.equal(affected[0].reason, 'campaign layout changed');
+});
+
+test('new regions and failed or missing outputs are retried', () => {
+  const edited = structuredClone(brief);
+  edited.product_categories.fragrances.target_regions.push(region('DE', 'Duft'));
+  const withNew = [...expected, output('fragrances', 'DE', 'fragrances_generated_1x1.jpg', true)];
+  const previous = manifest({
+    success: [entry(expected[0])],
+    failures: [entry(expected[1])]
+  });
+  assert.deepEqual(reasons(affectedOutputs(previous, { brief: edited, assets }, withNew)), [
+    'shoes|DE: failed last time',
+    'fragrances|US: not made yet',
+    'fragrances|DE: new region'
+  ]);
+});
@@ -0,0 +1,274 @@
+// Layout engine for the headline overlay: resolves the layout for a region and
+// aspect ratio from campaign.yaml, wraps and auto-fits the message into a box
+// inside the ratio's safe area, and positions it by anchor preset.
+//
+// Layout settings (all sizes are fractions of the canvas):
+//   anchor         top | center | bottom-third | custom
+//   align          left | center | right
+//   position       { x, y } top-left of the text box, for anchor: custom
+//   box            { width, height } of the text box, relative to the safe area
+//   safe_area      { top, right, bottom, left } insets kept free for platform UI
+//   max_font_size  largest font size tried, relative to the canvas width
+//   min_font_size  smallest font size before the text is truncated
+//   line_height    line spacing as a multiple of the font size
+//   max_lines      lines the message may wrap onto
+// Right-to-left messages (Arabic, Hebrew, Persian, Urdu locales or text) default
+// to right alignment and are wrapped at the locale's word boundaries, so
+// scripts written without spaces (CJK, Thai) still wrap.
+// Precedence: defaults < campaign layout < campaign layout.ratios[ratio]
+//             < region layout < region layout.ratios[ratio]
+
+const LAYOUT_ANCHORS = ['top', 'center', 'bottom-third', 'custom'];
+const LAYOUT_ALIGNMENTS = ['left', 'center', 'right'];
+
+const RTL_LANGUAGES = ['ar', 'he', 'iw', 'fa', 'ur', 'yi', 'ps', 'dv'];
+
+// Insets per aspect ratio that keep the headline clear of platform UI
+// (story/reel chrome covers the top and bottom of 9:16 placements)
+const DEFAULT_SAFE_AREAS = {
+  '1:1': { top: 0.05, right: 0.05, bottom: 0.05, left: 0.05 },
+  '9:16': { top: 0.14, right: 0.06, bottom: 0.2, left: 0.06 },
+  '16:9': { top: 0.06, right: 0.05, bottom: 0.06, left: 0.05 },
+  // Channel presets (see channels.js) with platform UI of their own
+  instagram_story: { top: 0.14, right: 0.06, bottom: 0.2, left: 0.06 }
+};
+
+const DEFAULT_LAYOUT = {
+  anchor: 'top',
+  align: 'left',
+  position: null,
+  box: { width: 1, height: 0.3 },
+  safe_area: { top: 0.05, right: 0.05, bottom: 0.05, left: 0.05 },
+  max_font_size: 0.05,
+  min_font_size: 0.025,
+  line_height: 1.2,
+  max_lines: 3,
+  direction: 'ltr',
+  locale: 'en-US'
+};
+
+// Advance widths (in em) on the generous side of common sans-serif faces
+// (Arial, or DejaVu Sans where Arial is not installed); good enough to wrap
+// without font metrics
+const NARROW = new Set([...'il.,;:!|\'` ']);
+const SEMI_NARROW = new Set([...'fjtrI()[]-"']);
+const WIDE = new Set([...'mwMW@%–—']);
+const FULL_WIDTH = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u;
+
+function charWidth(char) {
+  // Non-spacing marks (Thai vowels, Devanagari signs, Arabic harakat) sit on the previous letter
+  if (/\p{Mn}/u.test(char)) return 0;
+  if (FULL_WIDTH.test(char)) return 1;
+  if (NARROW.has(char)) return 0.32;
+  if (SEMI_NARROW.has(char)) return 0.4;
+  if (WIDE.has(char)) return 0.92;
+  if (/[A-Z0-9]/.test(char)) return 0.72;
+  return 0.62;
+}
+
+function measureText(text, fontSize) {
+  return [...text].reduce((width, char) => width + charWidth(char), 0) * fontSize;
+}
+
+// "rtl" for right-to-left locales, or for text whose first letter is Arabic or Hebrew
+function textDirection(locale = '', text = '') {
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  if (RTL_LANGUAGES.includes(language)) return 'rtl';
+  const firstLetter = text.match(/\p{L}/u)?.[0];
+  return firstLetter && /[\p{Script=Arabic}\p{Script=Hebrew}]/u.test(firstLetter) ? 'rtl' : 'ltr';
+}
+
+function mergeLayout(base, override = {}) {
+  const { ratios, ...settings } = override;
+  return {
+    ...base,
+    ...settings,
+    box: { ...base.box, ...settings.box },
+    safe_area: { ...base.safe_area, ...settings.safe_area }
+  };
+}
+
+// Effective layout of one region × ratio output
+function resolveLayout(brief, region, ratio) {
+  const campaignLayout = brief.layout || {};
+  const regionLayout = region.layout || {};
+
+  const direction = textDirection(region.locale, region.message);
+  let layout = mergeLayout(DEFAULT_LAYOUT, {
+    safe_area: DEFAULT_SAFE_AREAS[ratio],
+    align: direction === 'rtl' ? 'right' : DEFAULT_LAYOUT.align,
+    direction,
+    locale: region.locale || DEFAULT_LAYOUT.locale
+  });
+  layout = mergeLayout(layout, campaignLayout);
+  layout = mergeLayout(layout, campaignLayout.ratios?.[ratio]);
+  layout = mergeLayout(layout, regionLayout);
+  layout = mergeLayout(layout, regionLayout.ratios?.[ratio]);
+
+  if (layout.anchor === 'custom' && !layout.position) {
+    throw new Error(`Layout for ${region.code} ${ratio} uses anchor "custom" without a position`);
+  }
+  return layout;
+}
+
+// Pieces of a word that may start a new line: the locale's word segments (which
+// split CJK and Thai runs), or single graphemes for a segment that is still too wide
+function breakWord(word, maxWidth, fontSize, locale) {
+  const segment = (granularity) => [...new Intl.Segmenter(locale, { granularity }).segment(word)].map(s => s.segment);
+  return segment('word').flatMap(piece =>
+    measureText(piece, fontSize) > maxWidth
+      ? [...new Intl.Segmenter(locale, { granularity: 'grapheme' }).segment(piece)].map(s => s.segment)
+      : [piece]
+  );
+}
+
+// Greedy word wrap; words wider than the box are split across lines
+function wrapText(text, maxWidth, fontSize, locale = DEFAULT_LAYOUT.locale) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measureText(candidate, fontSize) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+
+    line = '';
+    for (const piece of breakWord(word, maxWidth, fontSize, locale)) {
+      if (line && measureText(line + piece, fontSize) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += piece;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Drop lines beyond maxLines and end the last kept line with an ellipsis
+function truncateLines(lines, maxLines, maxWidth, fontSize) {
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.length > 0 && measureText(`${last}…`, fontSize) > maxWidth) {
+    last = [...last].slice(0, -1).join('');
+  }
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+}
+
+// Largest font size between max and min at which the text fits the box
+function fitText(text, boxWidth, boxHeight, layout, canvasWidth) {
+  const maxSize = Math.max(1, Math.round(layout.max_font_size * canvasWidth));
+  const minSize = Math.max(1, Math.min(maxSize, Math.round(layout.min_font_size * canvasWidth)));
+
+  for (let size = maxSize; size >= minSize; size -= Math.max(1, Math.round(size * 0.05))) {
+    const lines = wrapText(text, boxWidth, size, layout.locale);
+    if (lines.length <= layout.max_lines && lines.length * size * layout.line_height <= boxHeight) {
+      return { fontSize: size, lines, overflow: false };
+    }
+  }
+
+  const maxLines = Math.max(1, Math.min(layout.max_lines, Math.floor(boxHeight / (minSize * layout.line_height))));
+  return {
+    fontSize: minSize,
+    lines: truncateLines(wrapText(text, boxWidth, minSize, layout.locale), maxLines, boxWidth, minSize),
+    overflow: true
+  };
+}
+
+// Pixel edges of the layout's safe area on a width × height canvas
+function safeAreaRect(width, height, layout) {
+  return {
+    left: width * layout.safe_area.left,
+    top: height * layout.safe_area.top,
+    right: width * (1 - layout.safe_area.right),
+    bottom: height * (1 - layout.safe_area.bottom)
+  };
+}
+
+// Text box and line positions for the message on a width × height canvas
+function layoutText(text, width, height, layout) {
+  const safe = safeAreaRect(width, height, layout);
+  const safeWidth = safe.right - safe.left;
+  const safeHeight = safe.bottom - safe.top;
+  const boxWidth = safeWidth * layout.box.width;
+  const boxHeight = safeHeight * layout.box.height;
+
+  let x;
+  if (layout.anchor === 'custom') {
+    x = width * layout.position.x;
+  } else if (layout.align === 'center') {
+    x = safe.left + (safeWidth - boxWidth) / 2;
+  } else if (layout.align === 'right') {
+    x = safe.right - boxWidth;
+  } else {
+    x = safe.left;
+  }
+
+  let y;
+  switch (layout.anchor) {
+    case 'center': y = safe.top + (safeHeight - boxHeight) / 2; break;
+    case 'bottom-third': y = height * 2 / 3; break;
+    case 'custom': y = height * layout.position.y; break;
+    default: y = safe.top;
+  }
+
+  // Keep the box inside the safe area
+  x = Math.min(Math.max(x, safe.left), safe.right - boxWidth);
+  y = Math.min(Math.max(y, safe.top), safe.bottom - boxHeight);
+
+  const { fontSize, lines, overflow } = fitText(text, boxWidth, boxHeight, layout, width);
+  const lineAdvance = fontSize * layout.line_height;
+  const blockHeight = lines.length * lineAdvance;
+
+  // Text sits at the top of the box, except for "center" which centres it in the box
+  const blockTop = layout.anchor === 'center' ? y + (boxHeight - blockHeight) / 2 : y;
+  const textX = layout.align === 'center' ? x + boxWidth / 2 : layout.align === 'right' ? x + boxWidth : x;
+  // With direction="rtl" the SVG start of a line is its right edge
+  const textAnchor = layout.direction === 'rtl'
+    ? { left: 'end', center: 'middle', right: 'start' }[layout.align]
+    : { left: 'start', center: 'middle', right: 'end' }[layout.align];
+
+  return {
+    anchor: layout.anchor,
+    align: layout.align,
+    direction: layout.direction,
+    box: { x: Math.round(x), y: Math.round(y), width: Math.round(boxWidth), height: Math.round(boxHeight) },
+    fontSize,
+    textAnchor,
+    overflow,
+    lines: lines.map((line, index) => ({
+      text: line,
+      x: Math.round(textX),
+      // Baseline: first line's cap height below the block top
+      y: Math.round(blockTop + fontSize * 0.9 + index * lineAdvance)
+    }))
+  };
+}
+
+// Area the headline's lines cover: the box's width, from the first line's cap
+// height to the last line's descenders
+function textBounds(textLayout) {
+  const { box, fontSize, lines } = textLayout;
+  if (lines.length === 0) return { ...box, height: 0 };
+  const top = lines[0].y - fontSize * 0.9;
+  return { x: box.x, y: Math.round(top), width: box.width, height: Math.round(lines.at(-1).y + fontSize * 0.3 - top) };
+}
+
+export {
+  LAYOUT_ANCHORS,
+  LAYOUT_ALIGNMENTS,
+  DEFAULT_SAFE_AREAS,
+  DEFAULT_LAYOUT,
+  measureText,
+  textDirection,
+  resolveLayout,
+  wrapText,
+  fitText,
+  safeAreaRect,
+  layoutText,
+  textBounds
+};
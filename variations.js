@@ -0,0 +1,118 @@
+// Variations per job: how many backgrounds Firefly returns for each output
+// (`variations` of the campaign, a category or a region, 1-4), and the local
+// ranking that picks the primary one. Every variation is overlaid and stored,
+// so the alternates stay available for A/B testing.
+//
+// Ranking metrics, measured on each background before the overlay:
+//   sharpness     variance of the Laplacian of the greyscale image
+//   contrast      WCAG contrast of the headline colour against the background
+//                 under the headline (see compliance.js)
+//   preservation  how unchanged the product is after the fill: 1 - the mean
+//                 difference from the expanded source where the fill mask keeps
+//                 it (local assets only)
+// Each metric is scaled by its best value among the job's variations; the score
+// is the mean of the metrics that apply, and the best score is the primary pick.
+
+import sharp from 'sharp';
+import { headlineContrast } from './compliance.js';
+
+const DEFAULT_VARIATIONS = 1;
+const MAX_VARIATIONS = 4;
+
+// Metrics are measured on images scaled to this width
+const METRIC_WIDTH = 512;
+
+const RANKING_METRICS = ['sharpness', 'contrast', 'preservation'];
+
+// Precedence: campaign < category < region
+function variationCount(brief, category, region) {
+  return region.variations ?? brief.product_categories[category]?.variations ?? brief.variations ?? DEFAULT_VARIATIONS;
+}
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+async function greyscalePixels(buffer, width, height) {
+  return sharp(buffer).resize(width, height, { fit: 'fill' }).greyscale().raw().toBuffer();
+}
+
+async function sharpness(background) {
+  const { width, height } = await sharp(background).metadata();
+  const scaledHeight = Math.max(3, Math.round(height * METRIC_WIDTH / width));
+  const pixels = await greyscalePixels(background, METRIC_WIDTH, scaledHeight);
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < scaledHeight - 1; y++) {
+    for (let x = 1; x < METRIC_WIDTH - 1; x++) {
+      const i = y * METRIC_WIDTH + x;
+      const laplacian = pixels[i - 1] + pixels[i + 1] + pixels[i - METRIC_WIDTH] + pixels[i + METRIC_WIDTH] - 4 * pixels[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  return sumSquares / count - (sum / count) ** 2;
+}
+
+// Share of the product kept by the fill mask (black) that is unchanged, or null without a mask
+async function preservation(background, source, mask) {
+  const { width, height } = await sharp(source).metadata();
+  const scaledHeight = Math.max(1, Math.round(height * METRIC_WIDTH / width));
+  const [filled, original, kept] = await Promise.all([
+    greyscalePixels(background, METRIC_WIDTH, scaledHeight),
+    greyscalePixels(source, METRIC_WIDTH, scaledHeight),
+    greyscalePixels(mask, METRIC_WIDTH, scaledHeight)
+  ]);
+
+  let difference = 0;
+  let pixels = 0;
+  for (let i = 0; i < kept.length; i++) {
+    if (kept[i] >= 128) continue;
+    difference += Math.abs(filled[i] - original[i]);
+    pixels++;
+  }
+  return pixels === 0 ? null : 1 - difference / pixels / 255;
+}
+
+// Raw ranking metrics of one background; `source` and `mask` (the expanded
+// image and the fill mask) are only given for filled local assets
+async function variationMetrics(background, { textLayout, textColor, source = null, mask = null }) {
+  const contrast = await headlineContrast(background, textLayout, textColor);
+  return {
+    sharpness: round(await sharpness(background), 1),
+    contrast: contrast ? round(contrast.ratio, 2) : null,
+    preservation: source && mask ? round(await preservation(background, source, mask)) : null
+  };
+}
+
+// Score, rank (1 = best) and primary flag for each variation, from their `metrics`
+function rankVariations(variations) {
+  const best = Object.fromEntries(RANKING_METRICS.map(metric => {
+    const values = variations.map(variation => variation.metrics[metric]).filter(value => value !== null);
+    return [metric, values.length === 0 ? null : Math.max(...values)];
+  }));
+
+  const scored = variations.map(variation => {
+    const normalized = RANKING_METRICS
+      .filter(metric => best[metric] !== null && variation.metrics[metric] !== null)
+      .map(metric => (best[metric] === 0 ? 1 : variation.metrics[metric] / best[metric]));
+    const score = normalized.length === 0 ? 0 : normalized.reduce((sum, value) => sum + value, 0) / normalized.length;
+    return { ...variation, score: round(score) };
+  });
+
+  // Ties keep the order Firefly returned
+  const order = scored.map((variation, index) => index).sort((a, b) => scored[b].score - scored[a].score || a - b);
+  return scored.map((variation, index) => {
+    const rank = order.indexOf(index) + 1;
+    return { ...variation, rank, primary: rank === 1 };
+  });
+}
+
+export {
+  DEFAULT_VARIATIONS,
+  MAX_VARIATIONS,
+  variationCount,
+  variationMetrics,
+  rankVariations
+};
@@ -0,0 +1,293 @@
+// Watch mode (`watch` command): keeps a campaign's outputs up to date while
+// designers add assets or edit the brief. Each change to assets_folder, the
+// brief file or a defaults file it extends is diffed against what the outputs were last made from, and only
+// the asset × region × ratio outputs it affects are processed:
+//   new output          a new asset, region or category, or an added ratio
+//   region change       message, background_prompt, locale or any other
+//                       setting of the region: that region's outputs
+//   asset change        the image bytes of a local asset, or a generated
+//                       category's prompt: that asset's outputs
+//   campaign change     anything else in the brief (layout, brand, channels,
+//                       encodings, ...): every output
+// Outputs that failed or are missing from the manifest are retried in every
+// round; removed assets, regions and ratios drop their outputs. The cumulative
+// results live in <output dir>/manifest-<campaign id>.json, a results document
+// that `report` and `rerun` accept, with a `watch` section recording the brief
+// and asset hashes they were made from and the changes of recent rounds. Each
+// round also writes the usual results-<timestamp>.json.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { isDeepStrictEqual } from 'node:util';
+import { loadBrief, briefFiles, BriefValidationError } from './campaign-schema.js';
+import { createJobFilter, jobKey } from './job-filter.js';
+import { runCampaign, listExpectedOutputs, scanLocalAssets, resultJobKey, getEnhancedProductPrompt } from './pipeline.js';
+import { hashBuffer } from './cache.js';
+import { complianceSummary } from './compliance.js';
+import { encodingSummary } from './encodings.js';
+import logger from './logger.js';
+
+// Changes arriving within this window are handled in one round, so a file
+// still being copied or a burst of saves does not start several runs
+const WATCH_DEBOUNCE_MS = 1000;
+// Rounds kept in the manifest's watch.rounds
+const MAX_RECORDED_ROUNDS = 50;
+
+function manifestFileFor(outputDir, campaignId) {
+  return path.join(outputDir, `manifest-${campaignId}.json`);
+}
+
+// Content hash per local asset, keyed "<category>/<file name>"
+function hashAssets(assetsFolder) {
+  return Object.fromEntries(scanLocalAssets(assetsFolder)
+    .map(asset => [`${asset.category}/${asset.filename}`, hashBuffer(fs.readFileSync(asset.path))]));
+}
+
+// The brief minus what is compared per output
+function campaignSettings(brief) {
+  const { product_categories, aspect_ratios, ...settings } = brief;
+  return settings;
+}
+
+// Why an output has to be made again, or null when its inputs are unchanged
+function changeReason(previous, current, output) {
+  const { brief, assets } = current;
+  const region = brief.product_categories[output.category].target_regions.find(candidate => candidate.code === output.region);
+  const previousCategory = previous.brief.product_categories[output.category];
+  const previousRegion = previousCategory?.target_regions.find(candidate => candidate.code === output.region);
+
+  if (!previousCategory) return 'new category';
+  if (!previousRegion) return 'new region';
+  if (!previous.brief.aspect_ratios.includes(output.ratio)) return 'added ratio';
+
+  if (output.isGenerated) {
+    const prompt = (snapshot) => getEnhancedProductPrompt(output.category, snapshot.brief.product_categories[output.category], output.ratio, snapshot.brief);
+    if (prompt(previous) !== prompt(current)) return 'generation prompt changed';
+  } else {
+    const assetKey = `${output.category}/${output.assetName}`;
+    if (!previous.assets[assetKey]) return 'new asset';
+    if (previous.assets[assetKey] !== assets[assetKey]) return 'asset changed';
+  }
+
+  const changedFields = [...new Set([...Object.keys(previousRegion), ...Object.keys(region)])]
+    .filter(field => !isDeepStrictEqual(previousRegion[field], region[field]));
+  if (changedFields.length > 0) return `${changedFields.join(', ')} changed`;
+
+  const { target_regions: previousRegions, ...previousCategorySettings } = previousCategory;
+  const { target_regions: regions, ...categorySettings } = brief.product_categories[output.category];
+  if (!isDeepStrictEqual(previousCategorySettings, categorySettings)) return 'category settings changed';
+  return null;
+}
+
+// Outputs of the current brief and assets that differ from the previous
+// snapshot or did not succeed last time, each with its reason; every output
+// when there is no manifest yet
+function affectedOutputs(manifest, current, expected) {
+  if (!manifest?.watch) {
+    return expected.map(output => ({ ...output, reason: 'initial run' }));
+  }
+  const previous = { brief: manifest.watch.brief, assets: manifest.watch.assets };
+  const changedSettings = [...new Set([...Object.keys(campaignSettings(previous.brief)), ...Object.keys(campaignSettings(current.brief))])]
+    .filter(field => !isDeepStrictEqual(previous.brief[field], current.brief[field]));
+  if (changedSettings.length > 0) {
+    const reason = `campaign ${changedSettings.join(', ')} changed`;
+    return expected.map(output => ({ ...output, reason }));
+  }
+  const succeeded = new Set(manifest.success.map(resultJobKey));
+  const failed = new Set(manifest.failures.map(resultJobKey));
+  const retryReason = (output) => {
+    if (failed.has(jobKey(output))) return 'failed last time';
+    return succeeded.has(jobKey(output)) ? null : 'not made yet';
+  };
+  return expected
+    .map(output => ({ ...output, reason: changeReason(previous, current, output) || retryReason(output) }))
+    .filter(output => output.reason);
+}
+
+function loadManifest(manifestFile) {
+  return fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf-8')) : null;
+}
+
+function writeManifest(manifestFile, manifest) {
+  fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+  const tmpFile = `${manifestFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpFile, manifestFile);
+}
+
+class CampaignWatcher {
+  // runOptions: provider, storageBackend, useCache passed to runCampaign
+  constructor({ briefPath, outputDir, filters, runOptions = {} }) {
+    this.briefPath = path.resolve(briefPath);
+    this.outputDir = outputDir;
+    this.filters = filters;
+    this.runOptions = runOptions;
+    this.watchers = [];
+    this.watchedFiles = new Set();
+    this.assetsFolder = null;
+    this.timer = null;
+    this.changes = [];
+    // The round in progress, and changes that arrived during it
+    this.running = null;
+    this.pendingChanges = null;
+    this.stopped = false;
+  }
+
+  async start() {
+    this.watchBriefFiles();
+    await this.round(['started']);
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    await this.running;
+  }
+
+  // The brief is watched through its directory, since editors often save by
+  // replacing the file
+  watchFile(filePath) {
+    const watcher = fs.watch(path.dirname(filePath), (event, filename) => {
+      if (filename === path.basename(filePath)) this.schedule(`${path.basename(filePath)} ${event}`);
+    });
+    this.watchers.push(watcher);
+  }
+
+  // The brief and the defaults files it extends, which can change with the brief
+  watchBriefFiles() {
+    for (const filePath of briefFiles(this.briefPath)) {
+      if (this.watchedFiles.has(filePath)) continue;
+      this.watchedFiles.add(filePath);
+      this.watchFile(filePath);
+    }
+  }
+
+  watchAssets(assetsFolder) {
+    if (this.assetsFolder === assetsFolder) return;
+    this.watchers.filter(watcher => watcher.assetsFolder).forEach(watcher => watcher.close());
+    this.watchers = this.watchers.filter(watcher => !watcher.assetsFolder);
+    if (!fs.existsSync(assetsFolder)) {
+      logger.warn("Watch: assets folder does not exist, watching the brief only", { assetsFolder });
+      this.assetsFolder = null;
+      return;
+    }
+    const watcher = fs.watch(assetsFolder, { recursive: true }, (event, filename) => this.schedule(`${filename} ${event}`));
+    watcher.assetsFolder = assetsFolder;
+    this.watchers.push(watcher);
+    this.assetsFolder = assetsFolder;
+    logger.info("Watch: watching", { brief: this.briefPath, assetsFolder });
+  }
+
+  schedule(change) {
+    this.changes.push(change);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const changes = [...new Set(this.changes)];
+      this.changes = [];
+      this.round(changes);
+    }, WATCH_DEBOUNCE_MS);
+  }
+
+  // One round at a time; changes during a round start another one after it
+  async round(changes) {
+    if (this.running) {
+      this.pendingChanges = [...(this.pendingChanges || []), ...changes];
+      return;
+    }
+    this.running = this.process(changes).catch((error) => {
+      // A brief saved half-way through an edit is reported and waited out
+      logger.error(error instanceof BriefValidationError ? `Watch: ${error.message}` : `Watch: round failed: ${error.message}`);
+    });
+    await this.running;
+    this.running = null;
+    if (this.pendingChanges && !this.stopped) {
+      const changes = [...new Set(this.pendingChanges)];
+      this.pendingChanges = null;
+      await this.round(changes);
+    }
+  }
+
+  async process(changes) {
+    this.watchBriefFiles();
+    const brief = loadBrief(this.briefPath);
+    const assetsFolder = path.resolve(path.dirname(this.briefPath), brief.assets_folder);
+    this.watchAssets(assetsFolder);
+
+    const filter = createJobFilter(this.filters);
+    const expected = listExpectedOutputs(brief, assetsFolder, filter);
+    const current = { brief, assets: hashAssets(assetsFolder) };
+    const manifestFile = manifestFileFor(this.outputDir, brief.id);
+    const manifest = loadManifest(manifestFile);
+
+    const affected = affectedOutputs(manifest, current, expected);
+    const expectedKeys = new Set(expected.map(jobKey));
+    const removed = manifest
+      ? [...manifest.success, ...manifest.failures].filter(entry => !expectedKeys.has(resultJobKey(entry)))
+      : [];
+    logger.info("Watch: changes", {
+      changes,
+      affected: affected.map(output => `${jobKey(output)} (${output.reason})`),
+      removed: removed.map(resultJobKey)
+    });
+
+    let results = manifest || { success: [], failures: [] };
+    let resultsFile = null;
+    if (affected.length > 0) {
+      ({ results, resultsFile } = await runCampaign({
+        ...this.runOptions,
+        brief,
+        briefPath: this.briefPath,
+        outputDir: this.outputDir,
+        filter: createJobFilter({ jobs: affected }),
+        baseResults: manifest
+      }));
+    } else if (removed.length === 0) {
+      logger.info("Watch: no outputs affected");
+      return;
+    }
+
+    // Outputs whose asset, region or ratio is gone leave the manifest
+    const stillExpected = (entry) => expectedKeys.has(resultJobKey(entry));
+    const success = results.success.filter(stillExpected);
+    const failures = results.failures.filter(stillExpected);
+    const round = {
+      at: new Date().toISOString(),
+      changes,
+      processed: affected.map(output => ({ job: jobKey(output), reason: output.reason })),
+      removed: removed.map(resultJobKey),
+      resultsFile
+    };
+    writeManifest(manifestFile, {
+      ...results,
+      success,
+      failures,
+      summary: {
+        ...results.summary,
+        total: success.length + failures.length,
+        processed: success.length + failures.length,
+        succeeded: success.length,
+        failed: failures.length,
+        compliance: complianceSummary(success),
+        encodings: encodingSummary(success),
+        copyBlocked: failures.filter(entry => entry.violations).length
+      },
+      watch: {
+        briefPath: this.briefPath,
+        updatedAt: round.at,
+        brief,
+        assets: current.assets,
+        rounds: [...(manifest?.watch?.rounds || []), round].slice(-MAX_RECORDED_ROUNDS)
+      }
+    });
+    logger.info("Watch: manifest updated", { manifestFile, processed: affected.length, removed: removed.length, succeeded: success.length, failed: failures.length });
+  }
+}
+
+export {
+  WATCH_DEBOUNCE_MS,
+  manifestFileFor,
+  affectedOutputs,
+  CampaignWatcher
+};